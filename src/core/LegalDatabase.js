@@ -11,20 +11,40 @@ import { TextProcessor } from '../utils/TextProcessor.js';
 import { CacheManager } from '../utils/CacheManager.js';
 import { Validator } from '../utils/Validator.js';
 import { ExportManager } from '../utils/ExportManager.js';
+import { LawParser } from '../utils/LawParser.js';
+import { TextDiff } from '../utils/TextDiff.js';
+import { ReferenceExtractor } from '../utils/ReferenceExtractor.js';
+import { CitationParser } from '../utils/CitationParser.js';
+import { DirectiveExtractor } from '../utils/DirectiveExtractor.js';
+import { TimeframeExtractor } from '../utils/TimeframeExtractor.js';
+import { GlossaryExtractor } from '../utils/GlossaryExtractor.js';
+import { PenaltyExtractor } from '../utils/PenaltyExtractor.js';
+import { StatementExtractor } from '../utils/StatementExtractor.js';
 
 /**
  * @typedef {Object} DatabaseOptions
  * @property {string} [dataUrl] - URL to load initial data
+ * @property {LawInfo[]} [laws] - Further laws to load next to the initial data, each with its own dataUrl
+ * @property {string} [directiveMappingUrl] - URL of the table mapping EU directive articles to the articles implementing them
  * @property {boolean} [enableCache=true] - Enable caching
  * @property {boolean} [enableSearch=true] - Enable search functionality
  * @property {boolean} [enableValidation=true] - Enable data validation
  * @property {boolean} [autoSave=false] - Auto-save changes
+ * @property {boolean} [consolidate=false] - Merge records sharing an officialNumber into one article
  * @property {number} [cacheSize=100] - Cache size limit
  * @property {string} [language='hr'] - Default language
  * @property {Object} [searchOptions] - Search engine options
  * @property {Object} [cacheOptions] - Cache manager options
  */
 
+/**
+ * @typedef {Object} LawInfo
+ * @property {string} id - Law ID used as the namespace of its article IDs (e.g. "zor" gives "zor:art_077")
+ * @property {string} [title] - Official title (e.g. "Zakon o radu")
+ * @property {string} [abbreviation] - Short name shown on result badges (e.g. "ZOR")
+ * @property {string} [dataUrl] - URL of the law's dataset
+ */
+
 /**
  * @typedef {Object} DatabaseStats
  * @property {number} totalArticles - Total number of articles
@@ -37,6 +57,107 @@ import { ExportManager } from '../utils/ExportManager.js';
  * @property {Date} lastUpdated - Last update timestamp
  */
 
+/**
+ * @typedef {Object} TableOfContentsEntry
+ * @property {string} id - Section ID (e.g. "glava_ii", "glava_ii_8")
+ * @property {string} type - Section level (part for a glava, chapter for a subchapter)
+ * @property {string|null} number - Number printed in the law ("II.", "8"), null for transitional provisions
+ * @property {string} title - Official title
+ * @property {string[]} articleIds - IDs of articles directly in the section, in order of the law
+ * @property {number} articleCount - Number of articles in the section and its subsections
+ * @property {{first: string, last: string}} range - officialNumber of the first and the last article
+ * @property {TableOfContentsEntry[]} children - Subchapters
+ */
+
+/**
+ * @typedef {Object} ArticleDiff
+ * @property {string} articleId - Article ID
+ * @property {string} officialNumber - Official article number
+ * @property {string} title - Article title
+ * @property {string} status - Change status (changed, added, removed)
+ * @property {DiffOperation[]} operations - Word-level changes from the earlier to the later text
+ * @property {number} inserted - Number of inserted words
+ * @property {number} deleted - Number of deleted words
+ */
+
+/**
+ * @typedef {Object} VersionComparison
+ * @property {Object} from - Metadata of the earlier consolidated text
+ * @property {Object} to - Metadata of the later consolidated text
+ * @property {ArticleDiff[]} articles - Changed, added and removed articles in order of the law
+ * @property {number} unchanged - Number of articles with the same text
+ */
+
+/**
+ * @typedef {Object} CitingProvision
+ * @property {string} articleId - Article the reference is printed in
+ * @property {string} sourceId - Stavak or točka the reference is printed in
+ * @property {string} citation - Citation of the referring provision (e.g. "čl. 18. st. 2.")
+ * @property {string} title - Title of the referring article
+ * @property {string[]} targetIds - Referenced article, stavci and točke
+ */
+
+/**
+ * @typedef {Object} DirectiveArticle
+ * @property {string} article - Article of the directive (e.g. "7")
+ * @property {string} title - Subject of the directive article
+ * @property {string[]} implementedBy - IDs of the articles that implement it
+ */
+
+/**
+ * @typedef {Object} DirectiveInfo
+ * @property {string} celex - CELEX number (e.g. "32003L0088")
+ * @property {string} number - Identifier as printed in the law (e.g. "2003/88/EZ")
+ * @property {string} type - Act type (directive, regulation)
+ * @property {string} title - Title of the act
+ * @property {string} shortTitle - Common name (e.g. "Working Time Directive")
+ * @property {string} url - EUR-Lex address
+ * @property {boolean} transposed - True if the law lists the act as transposed
+ * @property {string[]} mentionedIn - IDs of the articles that name the act
+ * @property {DirectiveArticle[]} articles - Mapped articles of the act
+ */
+
+/**
+ * @typedef {Object} TimeframeEntry
+ * @property {string} articleId - Article the duration is printed in
+ * @property {string} citation - Citation of the stavak or točka (e.g. "čl. 47. st. 2.")
+ * @property {string} title - Title of the article
+ * @property {string} category - Category of the article
+ * @property {string} sourceId - Stavak or točka the duration is printed in
+ * @property {string} text - Duration as printed (e.g. "u roku od petnaest dana")
+ * @property {number} amount - Number of units
+ * @property {string} unit - Unit (minute, hour, day, working-day, week, month, year)
+ * @property {string} bound - minimum, maximum or exact
+ * @property {string} kind - deadline or period
+ * @property {string|null} trigger - Event the time limit runs from
+ * @property {string|null} per - Period the amount applies to (day, week, month, year)
+ */
+
+/**
+ * @typedef {Object} StatementEntry
+ * @property {string} articleId - Article the statement is made in
+ * @property {string} citation - Citation of the stavak or točka (e.g. "čl. 7. st. 3.")
+ * @property {string} title - Title of the article
+ * @property {string} category - Category of the article
+ * @property {string} sourceId - Stavak or točka the statement is made in
+ * @property {string} party - worker, employer, union or works-council
+ * @property {string} type - right, obligation or prohibition
+ * @property {string} subject - Party as printed
+ * @property {string} phrase - Modal phrase as printed (e.g. "je dužan")
+ * @property {string} text - Sentence or točka the statement is made in
+ */
+
+/**
+ * @typedef {Object} GlossaryTerm
+ * @property {string} term - Defined term in lower case (e.g. "radnik")
+ * @property {string[]} aliases - Other names given in the definition
+ * @property {string} definition - Definition as printed
+ * @property {string} law - Law the definition belongs to
+ * @property {string} articleId - Defining article
+ * @property {string} sourceId - Defining stavak or točka
+ * @property {string} citation - Citation of the definition (e.g. "čl. 4. st. 1.")
+ */
+
 /**
  * Main database class for Croatian Labor Law articles
  * Provides comprehensive functionality for article management, search, and data operations
@@ -48,6 +169,7 @@ export class LegalDatabase {
             enableSearch: true,
             enableValidation: true,
             autoSave: false,
+            consolidate: false,
             cacheSize: 100,
             language: 'hr',
             ...options
@@ -57,9 +179,30 @@ export class LegalDatabase {
         this.articles = new Map(); // id -> Article
         this.categories = new Set();
         this.languages = new Set(['hr']); // Default Croatian
+        this.aliases = new Map(); // merged record id -> consolidated article id
+        this.laws = new Map(); // law id -> law info with the metadata of its consolidated text
+        this.metadata = {}; // metadata of the first loaded consolidated text
+        this.comparison = null; // result of the last compareWith()
+        this.citedBy = new Map(); // article id -> provisions of other articles that refer to it
+        this.directives = new Map(); // CELEX number -> directive with the articles implementing it
+        this.glossary = new Map(); // law id -> term -> definition
+        this.definitions = new Map(); // article id -> every term the article defines
+        this.penalties = new Map(); // article id -> fines of its penal provisions with the obligations they enforce
+        this.glossaryMatchers = new Map(); // law id -> term finder built from the glossary
+        this.referenceIndex = new Map(); // reference key -> article, see ReferenceExtractor.createIndex()
+        this.unresolvedReferences = new Map(); // reference key -> ids of the articles referring to it in vain
         
         // Component initialization
         this.textProcessor = new TextProcessor();
+        this.lawParser = new LawParser();
+        this.textDiff = new TextDiff();
+        this.referenceExtractor = new ReferenceExtractor();
+        this.citationParser = new CitationParser();
+        this.directiveExtractor = new DirectiveExtractor();
+        this.timeframeExtractor = new TimeframeExtractor({ textProcessor: this.textProcessor });
+        this.glossaryExtractor = new GlossaryExtractor({ textProcessor: this.textProcessor });
+        this.penaltyExtractor = new PenaltyExtractor();
+        this.statementExtractor = new StatementExtractor();
         
         if (this.options.enableCache) {
             this.cacheManager = new CacheManager({
@@ -126,6 +269,14 @@ export class LegalDatabase {
             } else if (this.options.dataUrl) {
                 await this.loadFromUrl(this.options.dataUrl);
             }
+
+            for (const law of this.options.laws || []) {
+                await this.loadFromUrl(law.dataUrl, law);
+            }
+
+            if (this.options.directiveMappingUrl) {
+                this.loadDirectiveMapping(await (await fetch(this.options.directiveMappingUrl)).json());
+            }
             
             // Build search index if search is enabled
             if (this.options.enableSearch && this.articles.size > 0) {
@@ -156,10 +307,11 @@ export class LegalDatabase {
     /**
      * Load data from URL
      * @param {string} url - Data URL
+     * @param {LawInfo} [law] - Law the data belongs to, read from metadata.law if omitted
      * @returns {Promise<void>}
      * @private
      */
-    async loadFromUrl(url) {
+    async loadFromUrl(url, law = null) {
         try {
             console.log(`Loading data from: ${url}`);
             
@@ -168,7 +320,7 @@ export class LegalDatabase {
                 const cachedData = await this.cacheManager.get(`data_${url}`);
                 if (cachedData) {
                     console.log('Loading data from cache');
-                    await this.loadFromData(cachedData);
+                    await this.loadFromData(cachedData, law);
                     return;
                 }
             }
@@ -179,7 +331,7 @@ export class LegalDatabase {
             }
             
             const data = await response.json();
-            await this.loadFromData(data);
+            await this.loadFromData(data, law);
             
             // Cache the loaded data
             if (this.cacheManager) {
@@ -193,31 +345,74 @@ export class LegalDatabase {
 
     /**
      * Load data from object
+     * The aliases of a dataset map IDs of records it no longer has to the articles now holding their text
      * @param {Object|Array} data - Data object or array
+     * @param {LawInfo} [law] - Law the data belongs to, read from metadata.law if omitted
      * @returns {Promise<void>}
      * @private
      */
-    async loadFromData(data) {
+    async loadFromData(data, law = null) {
         try {
             let articles = [];
+            let metadata = null;
+            let aliases = {};
             
             // Handle different data formats
             if (Array.isArray(data)) {
                 articles = data;
             } else if (data.articles && Array.isArray(data.articles)) {
                 articles = data.articles;
+                metadata = { ...(data.metadata || {}) };
+                aliases = data.aliases || {};
             } else if (typeof data === 'object') {
                 articles = [data]; // Single article
             } else {
                 throw new Error('Invalid data format');
             }
+
+            law = law || (metadata && metadata.law) || null;
+            const recordIds = articles.map(record => record.id);
+            if (law) {
+                metadata = { ...(metadata || {}), law: { id: law.id, title: law.title, abbreviation: law.abbreviation } };
+                this.registerLaw(law, metadata);
+                articles = this.scopeRecords(articles, law.id);
+            }
+
+            // Callers that know a single law keep seeing the metadata of the first one
+            const isPrimary = !law || Object.keys(this.metadata).length === 0 || law.id === this.getPrimaryLawId();
+            if (metadata && isPrimary) {
+                this.metadata = metadata;
+            }
             
+            if (this.options.consolidate) {
+                articles = this.consolidateRecords(articles);
+            }
+
+            // IDs without a namespace keep pointing at the first law
+            if (law && law.id === this.getPrimaryLawId()) {
+                recordIds.filter(id => !this.articles.has(id)).forEach(id => {
+                    this.aliases.set(id, this.resolveArticleId(LegalDatabase.scopeId(law.id, id)));
+                });
+            }
+
+            // IDs dropped when the dataset was regenerated keep resolving
+            Object.entries(aliases).forEach(([oldId, newId]) => {
+                const target = this.resolveArticleId(law ? LegalDatabase.scopeId(law.id, newId) : newId);
+                this.aliases.set(law ? LegalDatabase.scopeId(law.id, oldId) : oldId, target);
+                if (law && law.id === this.getPrimaryLawId()) {
+                    this.aliases.set(oldId, target);
+                }
+            });
+
             console.log(`Processing ${articles.length} articles...`);
             
             // Process each article
             for (const articleData of articles) {
                 await this.addArticle(articleData, { skipIndexing: true, skipValidation: false });
             }
+
+            this.resolveReferences();
+            this.buildGlossary();
             
             console.log(`Successfully loaded ${this.articles.size} articles`);
             
@@ -226,6 +421,987 @@ export class LegalDatabase {
         }
     }
 
+    /**
+     * Resolve the cross-references printed in the article texts
+     * Runs over all articles, since a reference can point at an article that was loaded later
+     * @returns {number} Number of resolved references
+     */
+    resolveReferences() {
+        const articles = Array.from(this.articles.values());
+        this.referenceIndex = this.referenceExtractor.createIndex(articles);
+        this.unresolvedReferences.clear();
+        this.citedBy.clear();
+        this.penalties.clear();
+
+        return articles.reduce((total, article) => total + this.indexReferences(article).length, 0);
+    }
+
+    /**
+     * Resolve the references of one article and update the "cited by" index and its fines
+     * @param {Article} article - Article to read
+     * @returns {ArticleReference[]} Resolved references
+     * @private
+     */
+    indexReferences(article) {
+        const missing = new Set();
+        this.unindexCitations(article);
+        article.references = this.referenceExtractor.extract(article, this.referenceIndex, missing);
+        this.indexCitations(article);
+        this.penalties.set(article.id, this.penaltyExtractor.extract(article));
+
+        // Remembered so that adding the missing article resolves them without reading every article
+        missing.forEach(key => {
+            if (!this.unresolvedReferences.has(key)) {
+                this.unresolvedReferences.set(key, new Set());
+            }
+            this.unresolvedReferences.get(key).add(article.id);
+        });
+
+        return article.references;
+    }
+
+    /**
+     * Update the references, "cited by" index, fines and glossary after one article was added, changed or removed
+     * Besides the article itself, only the articles referring to its old text and those whose references to it
+     * did not resolve before are read again
+     * @param {string} id - Article ID
+     * @param {Article|null} previous - Article stored under the ID before, null for a new article
+     * @private
+     */
+    reindexArticle(id, previous) {
+        const article = this.articles.get(id) || null;
+        const affected = new Set();
+
+        if (previous) {
+            (this.citedBy.get(id) || []).forEach(provision => affected.add(provision.articleId));
+            const key = this.referenceExtractor.getIndexKey(previous);
+            if (key && this.referenceIndex.get(key) === previous) {
+                this.referenceIndex.delete(key);
+            }
+            this.unindexCitations(previous);
+            this.penalties.delete(id);
+            this.removeDefinitions(previous);
+        }
+
+        if (article) {
+            const key = this.referenceExtractor.getIndexKey(article);
+            if (key) {
+                this.referenceIndex.set(key, article);
+                (this.unresolvedReferences.get(key) || []).forEach(articleId => affected.add(articleId));
+                this.unresolvedReferences.delete(key);
+            }
+            this.indexReferences(article);
+            this.addDefinitions(article);
+        }
+
+        affected.delete(id);
+        affected.forEach(articleId => {
+            if (this.articles.has(articleId)) {
+                this.indexReferences(this.articles.get(articleId));
+            }
+        });
+    }
+
+    /**
+     * Add the references of an article to the "cited by" index
+     * References inside the article itself ("stavka 1. ovoga članka") are left out
+     * @param {Article} article - Article with resolved references
+     * @private
+     */
+    indexCitations(article) {
+        const provisions = new Map();
+
+        article.references.filter(reference => reference.articleId !== article.id).forEach(reference => {
+            const key = `${reference.articleId}|${reference.sourceId}`;
+            if (!provisions.has(key)) {
+                const provision = {
+                    articleId: article.id,
+                    sourceId: reference.sourceId,
+                    citation: article.getCitation(reference.sourceId),
+                    title: article.title,
+                    targetIds: []
+                };
+                provisions.set(key, provision);
+
+                if (!this.citedBy.has(reference.articleId)) {
+                    this.citedBy.set(reference.articleId, []);
+                }
+                this.citedBy.get(reference.articleId).push(provision);
+            }
+
+            const targetId = reference.pointId || reference.paragraphId || reference.articleId;
+            if (!provisions.get(key).targetIds.includes(targetId)) {
+                provisions.get(key).targetIds.push(targetId);
+            }
+        });
+    }
+
+    /**
+     * Remove the references of an article from the "cited by" index
+     * @param {Article} article - Article with the references it was indexed with
+     * @private
+     */
+    unindexCitations(article) {
+        new Set(article.references.map(reference => reference.articleId)).forEach(targetId => {
+            const remaining = (this.citedBy.get(targetId) || []).filter(provision => provision.articleId !== article.id);
+            if (remaining.length > 0) {
+                this.citedBy.set(targetId, remaining);
+            } else {
+                this.citedBy.delete(targetId);
+            }
+        });
+    }
+
+    /**
+     * Get the provisions of other articles that refer to an article
+     * @param {string} id - Article ID
+     * @returns {CitingProvision[]} Referring provisions in order of the law
+     */
+    getCitedBy(id) {
+        const provisions = this.citedBy.get(this.resolveArticleId(id)) || [];
+        const order = Array.from(this.articles.keys());
+
+        // Updated articles are indexed again at the end
+        return provisions
+            .map(provision => ({ ...provision, targetIds: [...provision.targetIds] }))
+            .sort((a, b) => order.indexOf(a.articleId) - order.indexOf(b.articleId));
+    }
+
+    /**
+     * Get the fines of the penal provisions
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.law] - Law ID
+     * @param {string} [filters.articleId] - Penal article
+     * @returns {import('../utils/PenaltyExtractor.js').Penalty[]} Fines in order of the law, one per offence
+     */
+    getPenalties(filters = {}) {
+        const articleId = filters.articleId ? this.resolveArticleId(filters.articleId) : null;
+
+        return Array.from(this.articles.keys())
+            .flatMap(id => this.penalties.get(id) || [])
+            .filter(penalty => !articleId || penalty.articleId === articleId)
+            .filter(penalty => !filters.law || this.articles.get(penalty.articleId)?.law === filters.law)
+            .map(penalty => ({ ...penalty, fine: { ...penalty.fine }, obligations: penalty.obligations.map(obligation => ({ ...obligation })) }));
+    }
+
+    /**
+     * Get the fines for breaching the obligations of an article
+     * @param {string} id - Article ID
+     * @returns {import('../utils/PenaltyExtractor.js').Penalty[]} Fines whose offence cites the article, its stavci or točke
+     */
+    getPenaltiesFor(id) {
+        const articleId = this.resolveArticleId(id);
+        return this.getPenalties().filter(penalty => penalty.obligations.some(obligation => obligation.articleId === articleId));
+    }
+
+    /**
+     * Collect the terms defined in the article texts
+     * The first definition of a term in a law is kept
+     * @returns {number} Number of defined terms
+     */
+    buildGlossary() {
+        this.glossary.clear();
+        this.glossaryMatchers.clear();
+        this.definitions.clear();
+
+        this.articles.forEach(article => this.addDefinitions(article));
+
+        return Array.from(this.glossary.values()).reduce((total, terms) => total + terms.size, 0);
+    }
+
+    /**
+     * Add the terms an article defines to the glossary of its law
+     * A term already defined by an article later in the law is taken over
+     * @param {Article} article - Article to read
+     * @private
+     */
+    addDefinitions(article) {
+        const lawId = article.law || null;
+        const entries = this.glossaryExtractor.extract(article)
+            .map(entry => ({ ...entry, law: lawId, citation: article.getCitation(entry.sourceId) }));
+        this.definitions.set(article.id, entries);
+        if (entries.length === 0) {
+            return;
+        }
+
+        if (!this.glossary.has(lawId)) {
+            this.glossary.set(lawId, new Map());
+        }
+
+        const terms = this.glossary.get(lawId);
+        let order = null;
+        const isEarlier = id => {
+            order = order || Array.from(this.articles.keys());
+            return order.indexOf(id) < order.indexOf(article.id);
+        };
+
+        entries.forEach(entry => {
+            const current = terms.get(entry.term);
+            if (!current || (current.articleId !== article.id && !isEarlier(current.articleId))) {
+                terms.set(entry.term, entry);
+            }
+        });
+        this.glossaryMatchers.delete(lawId);
+    }
+
+    /**
+     * Remove the terms an article defines from the glossary of its law
+     * Another article defining the same term takes its place
+     * @param {Article} article - Article to remove the terms of
+     * @private
+     */
+    removeDefinitions(article) {
+        const lawId = article.law || null;
+        const terms = this.glossary.get(lawId);
+        this.definitions.delete(article.id);
+        if (!terms) {
+            return;
+        }
+
+        const removed = Array.from(terms.values()).filter(entry => entry.articleId === article.id).map(entry => entry.term);
+        if (removed.length === 0) {
+            return;
+        }
+
+        removed.forEach(term => terms.delete(term));
+        Array.from(this.articles.keys()).forEach(id => {
+            (this.definitions.get(id) || [])
+                .filter(entry => entry.law === lawId && removed.includes(entry.term) && !terms.has(entry.term))
+                .forEach(entry => terms.set(entry.term, entry));
+        });
+        this.glossaryMatchers.delete(lawId);
+    }
+
+    /**
+     * Get the defined terms of a law
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {GlossaryTerm[]} Terms in alphabetical order
+     */
+    getGlossary(lawId = null) {
+        const terms = this.glossary.get(lawId || this.getPrimaryLawId()) || new Map();
+        return Array.from(terms.values())
+            .map(entry => ({ ...entry, aliases: [...entry.aliases] }))
+            .sort((a, b) => a.term.localeCompare(b.term, 'hr'));
+    }
+
+    /**
+     * Look up the definition of a term
+     * @param {string} term - Term in any case form or one of its other names ("radnika", "zaposlenik")
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {GlossaryTerm|null} Definition or null if the term is not defined
+     */
+    lookupTerm(term, lawId = null) {
+        const text = String(term || '').trim();
+        const [occurrence] = this.findGlossaryTerms(text, lawId);
+        if (!occurrence || occurrence.start !== 0 || occurrence.end !== text.length) {
+            return null;
+        }
+
+        const entry = this.glossary.get(lawId || this.getPrimaryLawId()).get(occurrence.term);
+        return { ...entry, aliases: [...entry.aliases] };
+    }
+
+    /**
+     * Find the defined terms in a text
+     * @param {string} text - Text to scan
+     * @param {string} [lawId] - Law whose terms are looked for, the first loaded law if omitted
+     * @returns {TermOccurrence[]} Occurrences in reading order
+     */
+    findGlossaryTerms(text, lawId = null) {
+        const law = lawId || this.getPrimaryLawId();
+        if (!this.glossaryMatchers.has(law)) {
+            const terms = this.glossary.get(law) || new Map();
+            this.glossaryMatchers.set(law, this.glossaryExtractor.createMatcher(Array.from(terms.values())));
+        }
+
+        return this.glossaryMatchers.get(law)(text);
+    }
+
+    /**
+     * Replace the EU act references of an article with the acts named in its text
+     * References to other laws are kept
+     * @param {Article} article - Article with paragraphs
+     * @private
+     */
+    extractLegalReferences(article) {
+        article.legalReferences = [
+            ...article.legalReferences.filter(reference => !reference.celex),
+            ...this.directiveExtractor.extractReferences(article)
+        ];
+    }
+
+    /**
+     * Load the table mapping EU directive articles to the articles implementing them
+     * @param {Object} data - Mapping in the shape of eu-directive-mapping.json
+     * @param {string} [lawId] - Law of the mapped article IDs, read from metadata.law or the first loaded law if omitted
+     * @returns {number} Number of mapped directives
+     * @throws {Error} If a directive cannot be identified
+     */
+    loadDirectiveMapping(data, lawId = null) {
+        const directives = Array.isArray(data) ? data : (data.directives || []);
+        lawId = lawId || (data.metadata && data.metadata.law) || this.getPrimaryLawId();
+
+        directives.forEach(entry => {
+            const celex = this.directiveExtractor.parseIdentifier(entry.celex || entry.number);
+            if (!celex) {
+                throw new Error(`Unknown directive in mapping: ${entry.celex || entry.number}`);
+            }
+
+            const directive = this.directives.get(celex) || {
+                celex,
+                number: entry.number,
+                title: entry.title || '',
+                shortTitle: entry.shortTitle || '',
+                articles: []
+            };
+
+            (entry.articles || []).forEach(mapped => {
+                directive.articles.push({
+                    article: String(mapped.article),
+                    title: mapped.title || '',
+                    implementedBy: (mapped.implementedBy || []).map(id => LegalDatabase.scopeId(lawId, id))
+                });
+            });
+
+            this.directives.set(celex, directive);
+        });
+
+        this.emit('directivesLoaded', { count: directives.length });
+        return directives.length;
+    }
+
+    /**
+     * Get the EU directives of the loaded laws
+     * Combines the mapping table with the acts named in the article texts
+     * @returns {DirectiveInfo[]} Mapped directives in order of the mapping, then the acts that are only named
+     */
+    getDirectives() {
+        const directives = new Map();
+        const describe = (celex, fields) => {
+            if (!directives.has(celex)) {
+                directives.set(celex, {
+                    celex,
+                    number: '',
+                    type: celex.charAt(5) === 'R' ? 'regulation' : 'directive',
+                    title: '',
+                    shortTitle: '',
+                    url: DirectiveExtractor.getEurLexUrl(celex),
+                    transposed: false,
+                    mentionedIn: [],
+                    articles: []
+                });
+            }
+
+            const directive = directives.get(celex);
+            Object.keys(fields).forEach(key => {
+                if (fields[key] && !directive[key]) {
+                    directive[key] = fields[key];
+                }
+            });
+            return directive;
+        };
+
+        this.directives.forEach(entry => {
+            describe(entry.celex, { number: entry.number, title: entry.title, shortTitle: entry.shortTitle }).articles =
+                entry.articles.map(mapped => ({ ...mapped, implementedBy: [...mapped.implementedBy] }));
+        });
+
+        this.articles.forEach(article => {
+            article.legalReferences.filter(reference => reference.celex).forEach(reference => {
+                const directive = describe(reference.celex, {
+                    number: reference.law.replace(/^\S+\s+/, ''),
+                    type: reference.type,
+                    title: reference.description
+                });
+                directive.transposed = directive.transposed || reference.relation === 'transposes';
+                directive.mentionedIn.push(article.id);
+            });
+        });
+
+        return Array.from(directives.values());
+    }
+
+    /**
+     * Get one EU directive
+     * @param {string} identifier - CELEX number or identifier such as "2003/88/EZ" or "2003/88/EC"
+     * @returns {DirectiveInfo|null} Directive or null if it is neither mapped nor named in the law
+     */
+    getDirective(identifier) {
+        const celex = this.directiveExtractor.parseIdentifier(identifier);
+        return this.getDirectives().find(directive => directive.celex === celex) || null;
+    }
+
+    /**
+     * Find the articles that implement an article of an EU directive
+     * @param {string} identifier - CELEX number or identifier of the directive
+     * @param {string|number} directiveArticle - Article of the directive ("7", "čl. 7.", "Article 7")
+     * @returns {Article[]} Implementing articles in order of the law
+     */
+    findImplementation(identifier, directiveArticle) {
+        const directive = this.directives.get(this.directiveExtractor.parseIdentifier(identifier));
+        const wanted = String(directiveArticle).toLowerCase().replace(/^(?:članak|čl\.|article|art\.)\s*/, '').replace(/\.$/, '');
+        if (!directive) {
+            return [];
+        }
+
+        const ids = new Set(directive.articles
+            .filter(mapped => mapped.article.toLowerCase() === wanted)
+            .flatMap(mapped => mapped.implementedBy)
+            .map(id => this.resolveArticleId(id)));
+
+        return Array.from(this.articles.values()).filter(article => ids.has(article.id));
+    }
+
+    /**
+     * Get the directive articles an article implements
+     * @param {string} id - Article ID
+     * @returns {Array<{celex: string, number: string, shortTitle: string, article: string, title: string}>} Implemented directive articles
+     */
+    getDirectivesFor(id) {
+        const articleId = this.resolveArticleId(id);
+        const implemented = [];
+
+        this.directives.forEach(directive => {
+            directive.articles
+                .filter(mapped => mapped.implementedBy.some(target => this.resolveArticleId(target) === articleId))
+                .forEach(mapped => implemented.push({
+                    celex: directive.celex,
+                    number: directive.number,
+                    shortTitle: directive.shortTitle,
+                    article: mapped.article,
+                    title: mapped.title
+                }));
+        });
+
+        return implemented;
+    }
+
+    /**
+     * Get the durations and time limits of the law
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.topic] - Category, or a word of the title, heading, keywords, section or start event (e.g. "otkaz")
+     * @param {string} [filters.articleId] - Article ID
+     * @param {string} [filters.law] - Law ID
+     * @param {string} [filters.kind] - deadline or period
+     * @param {string} [filters.unit] - Unit (minute, hour, day, working-day, week, month, year)
+     * @param {string} [filters.bound] - minimum, maximum or exact
+     * @returns {TimeframeEntry[]} Durations in order of the law
+     */
+    getTimeframes(filters = {}) {
+        const topic = filters.topic ? this.textProcessor.normalizeText(String(filters.topic)).trim() : '';
+        const articleId = filters.articleId ? this.resolveArticleId(filters.articleId) : null;
+        const entries = [];
+
+        this.articles.forEach(article => {
+            if ((articleId && article.id !== articleId) || (filters.law && article.law !== filters.law)) {
+                return;
+            }
+
+            const about = topic ? this.textProcessor.normalizeText([
+                article.category,
+                article.title,
+                article.heading,
+                ...article.keywords,
+                article.part && article.part.title,
+                article.chapter && article.chapter.title
+            ].filter(Boolean).join(' ')) : '';
+
+            article.timeframes
+                .filter(timeframe => ['kind', 'unit', 'bound'].every(field => !filters[field] || timeframe[field] === filters[field]))
+                .filter(timeframe => !topic || about.includes(topic) ||
+                    (timeframe.trigger !== null && this.textProcessor.normalizeText(timeframe.trigger).includes(topic)))
+                .forEach(timeframe => entries.push({
+                    articleId: article.id,
+                    citation: article.getCitation(timeframe.sourceId),
+                    title: article.title,
+                    category: article.category,
+                    ...timeframe
+                }));
+        });
+
+        return entries;
+    }
+
+    /**
+     * Get the rights and obligations of the parties, e.g. everything the employer must do
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.party] - worker, employer, union or works-council
+     * @param {string} [filters.type] - right, obligation or prohibition
+     * @param {string} [filters.articleId] - Article ID
+     * @param {string} [filters.law] - Law ID
+     * @returns {StatementEntry[]} Statements in order of the law
+     */
+    getStatements(filters = {}) {
+        const articleId = filters.articleId ? this.resolveArticleId(filters.articleId) : null;
+        const entries = [];
+
+        this.articles.forEach(article => {
+            if ((articleId && article.id !== articleId) || (filters.law && article.law !== filters.law)) {
+                return;
+            }
+
+            article.statements
+                .filter(statement => ['party', 'type'].every(field => !filters[field] || statement[field] === filters[field]))
+                .forEach(statement => entries.push({
+                    articleId: article.id,
+                    citation: article.getCitation(statement.sourceId),
+                    title: article.title,
+                    category: article.category,
+                    ...statement
+                }));
+        });
+
+        return entries;
+    }
+
+    /**
+     * Load another law next to the loaded ones
+     * @param {string|Object} source - Dataset URL or dataset in the shape of croatian-labor-law.json
+     * @param {LawInfo} [law] - Law the dataset belongs to, read from metadata.law if omitted
+     * @returns {Promise<LawInfo>} Loaded law
+     * @throws {Error} If the dataset does not name its law
+     */
+    async loadLaw(source, law = null) {
+        const data = typeof source === 'string' ? await (await fetch(source)).json() : source;
+        law = law || (data.metadata && data.metadata.law) || null;
+        if (!law || !law.id) {
+            throw new Error('Law dataset has no law ID (metadata.law.id)');
+        }
+
+        await this.loadFromData(data, law);
+
+        if (this.options.enableSearch && this.isIndexed) {
+            await this.buildSearchIndex();
+        }
+
+        this.lastModified = new Date();
+        this.emit('lawLoaded', { law: this.getLaw(law.id) });
+
+        return this.getLaw(law.id);
+    }
+
+    /**
+     * Register a law and the metadata of its consolidated text
+     * @param {LawInfo} law - Law info
+     * @param {Object} metadata - Dataset metadata
+     * @throws {Error} If the law has no ID
+     * @private
+     */
+    registerLaw(law, metadata) {
+        if (!law.id || typeof law.id !== 'string') {
+            throw new Error('Law ID must be a non-empty string');
+        }
+
+        this.laws.set(law.id, {
+            id: law.id,
+            title: law.title || law.id,
+            abbreviation: law.abbreviation || law.id.toUpperCase(),
+            metadata
+        });
+    }
+
+    /**
+     * Move records into the namespace of their law
+     * @param {Object[]} records - Article data records with IDs as published by the dataset
+     * @param {string} lawId - Law ID
+     * @returns {Object[]} Copies with law-scoped article, stavak and točka IDs
+     * @private
+     */
+    scopeRecords(records, lawId) {
+        return records.map(record => ({
+            ...record,
+            id: LegalDatabase.scopeId(lawId, record.id),
+            law: lawId,
+            paragraphs: Array.isArray(record.paragraphs) ? record.paragraphs.map(paragraph => ({
+                ...paragraph,
+                id: LegalDatabase.scopeId(lawId, paragraph.id),
+                points: (paragraph.points || []).map(point => ({ ...point, id: LegalDatabase.scopeId(lawId, point.id) }))
+            })) : record.paragraphs
+        }));
+    }
+
+    /**
+     * Prefix an ID with the law it belongs to
+     * @param {string|null} lawId - Law ID, IDs stay unchanged without one
+     * @param {string} id - Article, stavak, točka or section ID
+     * @returns {string} Law-scoped ID (e.g. "zor:art_077")
+     */
+    static scopeId(lawId, id) {
+        return !lawId || String(id).startsWith(`${lawId}:`) ? id : `${lawId}:${id}`;
+    }
+
+    /**
+     * Get the loaded laws
+     * @returns {Array<LawInfo & {articleCount: number}>} Laws in load order
+     */
+    getLaws() {
+        return Array.from(this.laws.keys()).map(id => this.getLaw(id));
+    }
+
+    /**
+     * Get a loaded law
+     * @param {string} id - Law ID
+     * @returns {(LawInfo & {articleCount: number})|null} Law or null if it is not loaded
+     */
+    getLaw(id) {
+        const law = this.laws.get(id);
+        if (!law) {
+            return null;
+        }
+
+        const { metadata, ...info } = law;
+        return {
+            ...info,
+            effectiveDate: metadata.effectiveDate || null,
+            consolidatedVersion: metadata.consolidatedVersion || null,
+            articleCount: Array.from(this.articles.values()).filter(article => article.law === id).length
+        };
+    }
+
+    /**
+     * Get the ID of the law loaded first, whose articles also answer to IDs without a namespace
+     * @returns {string|null} Law ID or null if the first dataset did not name its law
+     */
+    getPrimaryLawId() {
+        return this.metadata.law ? this.metadata.law.id : null;
+    }
+
+    /**
+     * Get the metadata of a law's consolidated text
+     * @param {string} [lawId] - Law ID
+     * @returns {Object} Metadata of the law, or of the first loaded text for articles without a law
+     * @private
+     */
+    getLawMetadata(lawId) {
+        return lawId && this.laws.has(lawId) ? this.laws.get(lawId).metadata : this.metadata;
+    }
+
+    /**
+     * Read the records of another consolidated text of a loaded law
+     * @param {Object} data - Dataset in the shape of croatian-labor-law.json
+     * @returns {{lawId: string|null, records: Object[]}} Law ID and records with law-scoped IDs
+     * @private
+     */
+    readConsolidatedText(data) {
+        const law = data.metadata && data.metadata.law;
+        const lawId = law ? law.id : this.getPrimaryLawId();
+        let records = data.articles || [];
+
+        if (lawId) {
+            records = this.scopeRecords(records, lawId);
+        }
+
+        return {
+            lawId,
+            records: this.options.consolidate ? this.consolidateRecords(records) : records
+        };
+    }
+
+    /**
+     * Merge records that share an officialNumber into one record per članak
+     * Paragraphs keep the order of the merged records and remember which record they came from
+     * @param {Object[]} records - Article data records
+     * @returns {Object[]} Consolidated records
+     */
+    consolidateRecords(records) {
+        const groups = new Map();
+
+        records.forEach(record => {
+            const key = record.officialNumber || record.id;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(record);
+        });
+
+        const consolidated = [];
+        groups.forEach(group => {
+            const ordered = [...group].sort((a, b) =>
+                String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+            );
+            consolidated.push(this.mergeRecords(ordered));
+        });
+
+        console.log(`Consolidated ${records.length} records into ${consolidated.length} articles`);
+        return consolidated;
+    }
+
+    /**
+     * Merge ordered records of one članak
+     * @param {Object[]} records - Records sorted by ID
+     * @returns {Object} Merged record
+     * @private
+     */
+    mergeRecords(records) {
+        const [first] = records;
+
+        if (records.length === 1) {
+            return first;
+        }
+
+        const paragraphs = [];
+        records.forEach(record => {
+            this.aliases.set(record.id, first.id);
+
+            // Paragraph numbering restarts in every record, so later records prefix IDs with their own
+            this.lawParser.parseContent(record.id === first.id ? first.id : record.id, record.content)
+                .forEach(paragraph => paragraphs.push({ ...paragraph, sourceId: record.id }));
+        });
+
+        const union = field => [...new Set(records.flatMap(record => record[field] || []))];
+
+        return {
+            ...first,
+            content: records.map(record => record.content).join(' '),
+            keywords: union('keywords'),
+            tags: union('tags'),
+            paragraphs,
+            mergedIds: records.map(record => record.id)
+        };
+    }
+
+    /**
+     * Create a dated version from an article record
+     * @param {Object} record - Article or article data
+     * @param {string|null} validFrom - First day the text is in force (ISO date)
+     * @param {string} [consolidation] - Consolidated text the record was taken from
+     * @returns {ArticleVersion} Version that is still in force
+     * @private
+     */
+    createVersion(record, validFrom, consolidation = this.getLawMetadata(record.law).consolidatedVersion) {
+        return {
+            validFrom,
+            validTo: null,
+            title: record.title,
+            heading: record.heading || null,
+            content: record.content,
+            paragraphs: record.paragraphs && record.paragraphs.length > 0 ?
+                record.paragraphs : this.lawParser.parseContent(record.id, record.content),
+            amendments: record.amendments || [],
+            consolidation: consolidation || null
+        };
+    }
+
+    /**
+     * Add the articles of another consolidated text as dated versions of the loaded articles
+     * Articles are matched by ID, which the ingestion derives from the official article number
+     * @param {Object} data - Dataset in the shape of croatian-labor-law.json
+     * @returns {Promise<{versions: number, unchanged: number, missing: string[]}>} Added versions, articles whose text did not change and records without a matching article
+     * @throws {Error} If the dataset has no effective date
+     */
+    async loadVersions(data) {
+        const metadata = data.metadata || {};
+        if (!metadata.effectiveDate) {
+            throw new Error('Consolidated text has no effective date (metadata.effectiveDate)');
+        }
+
+        const { records } = this.readConsolidatedText(data);
+        const summary = { versions: 0, unchanged: 0, missing: [] };
+
+        records.forEach(record => {
+            const article = this.articles.get(this.resolveArticleId(record.id));
+            if (!article) {
+                // Repealed articles have no entry of their own to hang the version on
+                summary.missing.push(record.id);
+                return;
+            }
+
+            const count = article.versions.length;
+            article.addVersion(this.createVersion(record, record.effectiveDate || metadata.effectiveDate, metadata.consolidatedVersion));
+            summary[article.versions.length > count ? 'versions' : 'unchanged']++;
+        });
+
+        // A newer consolidation replaces the text the references point into
+        this.resolveReferences();
+        this.buildGlossary();
+
+        if (this.cacheManager) {
+            await this.cacheManager.clear();
+        }
+
+        this.lastModified = new Date();
+        this.emit('versionsLoaded', { effectiveDate: metadata.effectiveDate, ...summary });
+
+        return summary;
+    }
+
+    /**
+     * Compare the loaded articles with another consolidated text word by word
+     * Articles are matched by official number; the text with the earlier effective date is the base of the diff
+     * @param {Object} data - Dataset in the shape of croatian-labor-law.json
+     * @returns {VersionComparison} Changed articles, kept for getArticleDiff() and getChangedArticles()
+     */
+    compareWith(data) {
+        const metadata = data.metadata || {};
+        const { lawId, records } = this.readConsolidatedText(data);
+        const loaded = this.getLawMetadata(lawId);
+        const otherIsNewer = String(metadata.effectiveDate || '') > String(loaded.effectiveDate || '');
+
+        const recordsByNumber = this.indexByOfficialNumber(records);
+        const recordsById = new Map(records.map(record => [record.id, record]));
+        const matched = new Set();
+        const articles = [];
+        let unchanged = 0;
+
+        this.articles.forEach(article => {
+            // Official numbers repeat across laws, so only the compared law takes part
+            if ((article.law || null) !== lawId) {
+                return;
+            }
+
+            const record = this.findMatchingRecord(article, recordsByNumber, recordsById);
+            if (record) {
+                matched.add(record);
+            }
+
+            const [earlier, later] = otherIsNewer ? [article, record] : [record, article];
+            if (earlier && later && earlier.content === later.content) {
+                unchanged++;
+                return;
+            }
+
+            articles.push(this.createArticleDiff(article, earlier, later));
+        });
+
+        records.filter(record => !matched.has(record)).forEach(record => {
+            articles.push(this.createArticleDiff(record, otherIsNewer ? null : record, otherIsNewer ? record : null));
+        });
+
+        const describe = source => ({
+            effectiveDate: source.effectiveDate || null,
+            consolidatedVersion: source.consolidatedVersion || null
+        });
+
+        this.comparison = {
+            from: describe(otherIsNewer ? loaded : metadata),
+            to: describe(otherIsNewer ? metadata : loaded),
+            articles,
+            unchanged
+        };
+
+        this.emit('comparisonLoaded', { changed: articles.length, unchanged });
+        return this.comparison;
+    }
+
+    /**
+     * Get the word-level changes of an article from the last comparison
+     * @param {string} id - Article ID
+     * @returns {ArticleDiff|null} Changes or null if the article did not change or nothing was compared
+     */
+    getArticleDiff(id) {
+        if (!this.comparison) {
+            return null;
+        }
+
+        const articleId = this.resolveArticleId(id);
+        return this.comparison.articles.find(diff => diff.articleId === articleId) || null;
+    }
+
+    /**
+     * Get every article that changed in the last comparison
+     * @returns {ArticleDiff[]} Changed, added and removed articles in order of the law
+     */
+    getChangedArticles() {
+        return this.comparison ? [...this.comparison.articles] : [];
+    }
+
+    /**
+     * Build the diff entry of one article
+     * @param {Object} article - Article or record the entry describes
+     * @param {Object|null} earlier - Earlier text, null if the article was added
+     * @param {Object|null} later - Later text, null if the article was removed
+     * @returns {ArticleDiff} Diff entry
+     * @private
+     */
+    createArticleDiff(article, earlier, later) {
+        const operations = this.textDiff.diffWords(earlier ? earlier.content : '', later ? later.content : '');
+        let status = 'changed';
+        if (!earlier) {
+            status = 'added';
+        } else if (!later) {
+            status = 'removed';
+        }
+
+        return {
+            articleId: article.id,
+            officialNumber: article.officialNumber || article.number || article.id,
+            title: (later || earlier).heading || (later || earlier).title || '',
+            status,
+            operations,
+            ...TextDiff.summarize(operations)
+        };
+    }
+
+    /**
+     * Index articles or records by official number
+     * @param {Iterable<Object>} items - Articles or records
+     * @returns {Map<string, Object>} Items by normalized official number
+     * @private
+     */
+    indexByOfficialNumber(items) {
+        const index = new Map();
+
+        for (const item of items) {
+            if (item.officialNumber) {
+                index.set(item.officialNumber.replace(/\s+/g, ' ').trim(), item);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Find the counterpart of an article or record, by official number first and by ID otherwise
+     * @param {Object} item - Article or record to match
+     * @param {Map<string, Object>} byNumber - Candidates by official number
+     * @param {Map<string, Object>} byId - Candidates by ID
+     * @returns {Object|null} Matching candidate
+     * @private
+     */
+    findMatchingRecord(item, byNumber, byId) {
+        const number = item.officialNumber ? item.officialNumber.replace(/\s+/g, ' ').trim() : null;
+        return (number && byNumber.get(number)) || byId.get(this.resolveArticleId(item.id)) || byId.get(item.id) || null;
+    }
+
+    /**
+     * Get an article as it read on a date
+     * @param {string} id - Article ID
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {Promise<Article|null>} Article with the text in force on the date, null if the article or its text for the date is unknown
+     */
+    async getArticleAsOf(id, date) {
+        const article = this.articles.get(this.resolveArticleId(id));
+        const snapshot = article ? Article.atDate(article, date) : null;
+
+        return snapshot ? new Article(snapshot) : null;
+    }
+
+    /**
+     * Get the first day on which a loaded text of a law was in force
+     * Dates before it have no version, so articles and searches as of them find nothing
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {string|null} ISO date (YYYY-MM-DD), null if nothing is loaded or some text carries no date
+     */
+    getEarliestVersionDate(lawId = this.getPrimaryLawId()) {
+        const versions = Array.from(this.articles.values())
+            .filter(article => !lawId || article.law === lawId)
+            .flatMap(article => article.versions);
+        if (versions.length === 0 || versions.some(version => !version.validFrom)) {
+            return null;
+        }
+
+        return versions.map(version => version.validFrom).sort()[0];
+    }
+
+    /**
+     * Resolve an article ID, following IDs of records merged by consolidation
+     * @param {string} id - Article or merged record ID
+     * @returns {string} ID of the stored article
+     */
+    resolveArticleId(id) {
+        return this.aliases.get(id) || id;
+    }
+
     /**
      * Add an article to the database
      * @param {Object|Article} articleData - Article data or Article instance
@@ -253,6 +1429,21 @@ export class LegalDatabase {
                 article = new Article(articleData);
             }
             
+            // Articles without a parsed structure get their stavci and točke from the flat text
+            if (article.paragraphs.length === 0) {
+                article.paragraphs = this.lawParser.parseContent(article.id, article.content);
+            }
+
+            // EU acts named in the text become legal references
+            this.extractLegalReferences(article);
+            article.timeframes = this.timeframeExtractor.extract(article);
+            article.statements = this.statementExtractor.extract(article);
+
+            // The loaded text is the first known version, in force from its own date or from the consolidation's
+            if (article.versions.length === 0) {
+                article.versions.push(this.createVersion(article, article.effectiveDate || this.getLawMetadata(article.law).effectiveDate || null));
+            }
+
             // Validate article if validation is enabled
             if (this.options.enableValidation && !skipValidation) {
                 const validationResult = this.validator.validateArticle(article.toJSON());
@@ -267,6 +1458,7 @@ export class LegalDatabase {
             }
             
             // Add to storage
+            const previous = this.articles.get(article.id) || null;
             this.articles.set(article.id, article);
             
             // Update categories and languages
@@ -284,6 +1476,11 @@ export class LegalDatabase {
             if (this.options.enableSearch && !skipIndexing && this.isIndexed) {
                 await this.searchEngine.indexArticle(article);
             }
+
+            // The new article can be the target of references that did not resolve before
+            if (!skipIndexing) {
+                this.reindexArticle(article.id, previous);
+            }
             
             this.lastModified = new Date();
             
@@ -313,6 +1510,7 @@ export class LegalDatabase {
      */
     async getArticle(id) {
         const startTime = performance.now();
+        id = this.resolveArticleId(id);
         
         try {
             // Check cache first
@@ -372,6 +1570,7 @@ export class LegalDatabase {
      */
     async updateArticle(id, updates, options = {}) {
         const startTime = performance.now();
+        id = this.resolveArticleId(id);
         
         try {
             const article = this.articles.get(id);
@@ -383,6 +1582,24 @@ export class LegalDatabase {
             Object.assign(article, updates);
             article.lastModified = new Date().toISOString();
             
+            // New text without a new structure makes the old stavci stale
+            if (updates.content !== undefined && updates.paragraphs === undefined) {
+                article.paragraphs = this.lawParser.parseContent(article.id, article.content);
+            }
+
+            // Edits correct the text in force, they do not start a new version
+            if (article.versions.length > 0 && ['title', 'heading', 'content', 'paragraphs'].some(field => updates[field] !== undefined)) {
+                const latest = article.versions[article.versions.length - 1];
+                article.versions[article.versions.length - 1] = this.createVersion(article, latest.validFrom, latest.consolidation);
+            }
+
+            if (updates.content !== undefined || updates.paragraphs !== undefined) {
+                this.extractLegalReferences(article);
+                article.timeframes = this.timeframeExtractor.extract(article);
+                article.statements = this.statementExtractor.extract(article);
+                this.reindexArticle(article.id, article);
+            }
+
             // Validate if enabled
             if (this.options.enableValidation && !options.skipValidation) {
                 const validationResult = this.validator.validateArticle(article.toJSON());
@@ -427,6 +1644,7 @@ export class LegalDatabase {
      */
     async removeArticle(id) {
         const startTime = performance.now();
+        id = this.resolveArticleId(id);
         
         try {
             const article = this.articles.get(id);
@@ -436,15 +1654,18 @@ export class LegalDatabase {
             
             // Remove from storage
             this.articles.delete(id);
+
+            // References to the removed article no longer resolve
+            this.reindexArticle(id, article);
             
             // Clear cache
             if (this.cacheManager) {
                 await this.cacheManager.remove(`article_${id}`);
             }
             
-            // Rebuild search index if needed
+            // Remove from search index if needed
             if (this.options.enableSearch && this.isIndexed) {
-                await this.buildSearchIndex();
+                await this.searchEngine.removeArticle(id);
             }
             
             this.lastModified = new Date();
@@ -513,6 +1734,140 @@ export class LegalDatabase {
         );
     }
 
+    /**
+     * Build the table of contents from the glava and subchapter of each article
+     * Articles keep the order in which they were loaded, which is the order of the official text
+     * Articles without a glava (e.g. added by hand) are left out
+     * @param {string} [lawId] - Only list the structure of this law
+     * @returns {TableOfContentsEntry[]} Glave with their subchapters
+     */
+    getTableOfContents(lawId = null) {
+        const parts = new Map();
+
+        this.articles.forEach(article => {
+            if (!article.part || (lawId && article.law !== lawId)) {
+                return;
+            }
+
+            const partId = LegalDatabase.scopeId(article.law, LegalDatabase.createSectionId(article.part));
+            if (!parts.has(partId)) {
+                parts.set(partId, this.createSectionEntry(partId, 'part', article.part));
+            }
+
+            const part = parts.get(partId);
+            let section = part;
+
+            if (article.chapter) {
+                const chapterId = LegalDatabase.createSectionId(article.chapter, partId, article.source);
+                section = part.children.find(child => child.id === chapterId);
+                if (!section) {
+                    section = this.createSectionEntry(chapterId, 'chapter', article.chapter);
+                    part.children.push(section);
+                }
+            }
+
+            section.articleIds.push(article.id);
+            new Set([part, section]).forEach(entry => {
+                entry.articleCount++;
+                entry.range.first = entry.range.first || article.officialNumber;
+                entry.range.last = article.officialNumber;
+            });
+        });
+
+        return Array.from(parts.values());
+    }
+
+    /**
+     * Create an empty table of contents entry
+     * @param {string} id - Section ID
+     * @param {string} type - Section level
+     * @param {Object} section - Glava or subchapter ({number, title})
+     * @returns {TableOfContentsEntry} Entry without articles
+     * @private
+     */
+    createSectionEntry(id, type, section) {
+        return {
+            id,
+            type,
+            number: section.number,
+            title: section.title,
+            articleIds: [],
+            articleCount: 0,
+            range: { first: null, last: null },
+            children: []
+        };
+    }
+
+    /**
+     * Get the articles of a glava or subchapter, subchapters included
+     * @param {string} sectionId - Section ID from the table of contents
+     * @returns {Article[]} Articles in order of the law
+     * @throws {Error} If the section does not exist
+     */
+    getSectionArticles(sectionId) {
+        const entries = this.getTableOfContents().flatMap(part => [part, ...part.children]);
+        const entry = entries.find(candidate => candidate.id === sectionId);
+
+        if (!entry) {
+            throw new Error(`Section not found: ${sectionId}`);
+        }
+
+        const ids = new Set([entry, ...entry.children].flatMap(section => section.articleIds));
+        return Array.from(this.articles.values()).filter(article => ids.has(article.id));
+    }
+
+    /**
+     * Find the articles cited by a query such as "čl. 77 st. 2", "art. 77" or "čl. 74–79"
+     * The transitional provisions of amending acts are left out, their article numbers repeat those of the law
+     * @param {string} query - Query as typed
+     * @param {string} [lawId] - Law cited, the law loaded first if omitted
+     * @returns {{citation: string, articles: Article[], nodeId: string|null}|null} Cited articles in order of the law and the stavak
+     *   or točka to jump to, null if the query is not a citation
+     */
+    findCitation(query, lawId = this.getPrimaryLawId()) {
+        const citation = this.citationParser.parse(query);
+        if (!citation) {
+            return null;
+        }
+
+        const articles = Array.from(this.articles.values())
+            .filter(article => !article.source && (!lawId || article.law === lawId))
+            .map(article => ({ article, number: this.citationParser.parseOfficialNumber(article.officialNumber) }))
+            .filter(({ number }) => number && this.citationParser.covers(number, citation))
+            .sort((a, b) => CitationParser.compare(a.number, b.number))
+            .map(({ article }) => article);
+
+        // "čl. 15 t. 3" names no stavak, the točka is looked up in all of them
+        const [article] = articles;
+        const paragraphs = articles.length === 1 && (citation.paragraph || citation.point) ?
+            article.paragraphs.filter(paragraph => !citation.paragraph || paragraph.number === citation.paragraph) : [];
+        const paragraph = citation.point ?
+            paragraphs.find(candidate => candidate.points.some(point => point.number === citation.point)) : paragraphs[0];
+        const point = paragraph && citation.point ? paragraph.points.find(candidate => candidate.number === citation.point) : null;
+
+        return {
+            citation: this.citationParser.format(citation),
+            articles,
+            nodeId: point ? point.id : (paragraph ? paragraph.id : null)
+        };
+    }
+
+    /**
+     * Create a stable section ID from a glava or subchapter number
+     * @param {Object} section - Glava or subchapter ({number, title})
+     * @param {string} [parentId] - ID of the enclosing glava
+     * @param {string} [source] - Amending act of transitional provisions (e.g. "NN 127/17")
+     * @returns {string} Section ID (e.g. "glava_iva", "glava_ii_8", "glava_ix_nn127_17")
+     */
+    static createSectionId(section, parentId = null, source = null) {
+        if (!parentId) {
+            return `glava_${String(section.number).toLowerCase().replace(/\./g, '')}`;
+        }
+
+        const number = section.number || String(source || section.title).toLowerCase().replace(/\s+/g, '').replace(/\//g, '_');
+        return `${parentId}_${number}`;
+    }
+
     /**
      * Get all categories
      * @returns {string[]} Array of categories
@@ -572,6 +1927,10 @@ export class LegalDatabase {
         if (filters.category) {
             articles = articles.filter(article => article.category === filters.category);
         }
+
+        if (filters.law) {
+            articles = articles.filter(article => article.law === filters.law);
+        }
         
         if (filters.language) {
             articles = articles.filter(article => 
@@ -686,6 +2045,10 @@ export class LegalDatabase {
                 articles: Array.from(this.articles.entries()),
                 categories: Array.from(this.categories),
                 languages: Array.from(this.languages),
+                aliases: Array.from(this.aliases.entries()),
+                laws: Array.from(this.laws.entries()),
+                directives: Array.from(this.directives.entries()),
+                metadata: this.metadata,
                 lastModified: this.lastModified.toISOString(),
                 version: '2.2.0'
             };
@@ -735,6 +2098,13 @@ export class LegalDatabase {
                 this.languages.add(language);
             });
             
+            this.aliases = new Map(state.aliases || []);
+            this.laws = new Map(state.laws || []);
+            this.directives = new Map(state.directives || []);
+            this.metadata = state.metadata || {};
+            this.resolveReferences();
+            this.buildGlossary();
+
             this.lastModified = new Date(state.lastModified);
             
             // Rebuild search index if needed
@@ -800,6 +2170,18 @@ export class LegalDatabase {
      */
     async clear() {
         this.articles.clear();
+        this.aliases.clear();
+        this.laws.clear();
+        this.metadata = {};
+        this.comparison = null;
+        this.citedBy.clear();
+        this.directives.clear();
+        this.glossary.clear();
+        this.glossaryMatchers.clear();
+        this.definitions.clear();
+        this.penalties.clear();
+        this.referenceIndex.clear();
+        this.unresolvedReferences.clear();
         this.categories.clear();
         this.languages.clear();
         this.languages.add('hr'); // Keep Croatian as default
@@ -5,6 +5,7 @@
  */
 
 import { TextProcessor } from '../../../utils/TextProcessor.js';
+import { Article } from '../../../models/Article.js';
 
 /**
  * @typedef {Object} QueryIntent
@@ -177,11 +178,7 @@ export class SmartAnswerEngine {
             practicalExamples: userContent?.practicalExamples || [],
             frequentlyAskedQuestions: userContent?.frequentlyAskedQuestions || [],
             keyTakeaways: userContent?.keyTakeaways || this.generateKeyTakeaways(articles),
-            sourceArticles: articles.map(article => ({
-                id: article.id,
-                title: article.userContent?.userFriendlyTitle || article.title,
-                number: article.number
-            })),
+            sourceArticles: articles.map(article => this.createSourceReference(article, article.userContent?.userFriendlyTitle)),
             relatedTopics: userContent?.relatedTopics || [],
             confidenceScore: this.calculateConfidenceScore(query, intent, articles)
         };
@@ -189,6 +186,25 @@ export class SmartAnswerEngine {
         return response;
     }
 
+    /**
+     * Create a source reference that cites the stavak or točka a search hit was found in
+     * @param {Object} source - Search result or article
+     * @param {string} [title] - Title to show instead of the article title
+     * @returns {Object} Source reference with id, title, number, citation and nodeId
+     */
+    createSourceReference(source, title) {
+        const article = source.article || source;
+        const location = Array.isArray(source.locations) ? source.locations[0] : null;
+
+        return {
+            id: article.id,
+            title: title || article.title,
+            number: article.number,
+            citation: location ? location.citation : Article.formatCitation(article),
+            nodeId: location ? location.pointId || location.paragraphId : article.id
+        };
+    }
+
     /**
      * Generate quick answer fallback when userContent is not available
      * @param {Object} article - Article object
@@ -281,11 +297,7 @@ export class SmartAnswerEngine {
             practicalExamples: [],
             frequentlyAskedQuestions: [],
             keyTakeaways: ['Consulta requiere revisión de legislación específica'],
-            sourceArticles: articles.map(article => ({
-                id: article.id,
-                title: article.title,
-                number: article.number
-            })),
+            sourceArticles: articles.map(article => this.createSourceReference(article)),
             relatedTopics: [],
             confidenceScore: 0.3
         };
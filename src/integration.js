@@ -20,6 +20,7 @@ class EnhancedFactChecker {
             enableValidation: true,
             language: 'hr',
             cacheSize: 200,
+            consolidate: true,
             ...options
         });
         
@@ -116,6 +117,203 @@ class EnhancedFactChecker {
         return article ? this.convertArticleToLegacyFormat(article) : null;
     }
 
+    /**
+     * Get an article as it read on a date (compatibility method)
+     * @param {string} id - Article ID
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Article with the text in force on the date
+     */
+    async getArticleAsOf(id, date) {
+        const article = await this.database.getArticleAsOf(id, date);
+        return article ? { ...this.convertArticleToLegacyFormat(article), validFrom: article.validFrom, validTo: article.validTo, asOf: date } : null;
+    }
+
+    /**
+     * Get the first day on which a loaded text of a law was in force (compatibility method)
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {string|null} ISO date (YYYY-MM-DD)
+     */
+    getEarliestVersionDate(lawId = null) {
+        return this.database.getEarliestVersionDate(lawId || undefined);
+    }
+
+    /**
+     * Load another law next to the loaded ones
+     * @param {string|Object} source - Dataset URL or dataset object
+     * @param {Object} [law] - Law info ({id, title, abbreviation}), read from metadata.law if omitted
+     * @returns {Promise<Object>} Loaded law
+     */
+    async loadLaw(source, law = null) {
+        const loaded = await this.database.loadLaw(source, law);
+        this.updateArticlesArray();
+        return loaded;
+    }
+
+    /**
+     * Get the loaded laws
+     * @returns {Array} Laws with their titles, abbreviations and article counts
+     */
+    getLaws() {
+        return this.database.getLaws();
+    }
+
+    /**
+     * Get a loaded law
+     * @param {string} id - Law ID
+     * @returns {Object|null} Law or null if it is not loaded
+     */
+    getLaw(id) {
+        return this.database.getLaw(id);
+    }
+
+    /**
+     * Add another consolidated text as dated versions of the articles
+     * @param {Object} data - Dataset in the shape of croatian-labor-law.json
+     * @returns {Promise<Object>} Summary of the added versions
+     */
+    async loadVersions(data) {
+        const summary = await this.database.loadVersions(data);
+        this.updateArticlesArray();
+        return summary;
+    }
+
+    /**
+     * Compare the loaded law with another consolidated text word by word
+     * @param {Object} data - Dataset in the shape of croatian-labor-law.json
+     * @returns {Object} Changed articles with their word-level diffs
+     */
+    compareWith(data) {
+        return this.database.compareWith(data);
+    }
+
+    /**
+     * Get the word-level changes of an article from the last comparison
+     * @param {string} id - Article ID
+     * @returns {Object|null} Changes or null if the article did not change
+     */
+    getArticleDiff(id) {
+        return this.database.getArticleDiff(id);
+    }
+
+    /**
+     * Get every article that changed in the last comparison
+     * @returns {Array} Changed, added and removed articles
+     */
+    getChangedArticles() {
+        return this.database.getChangedArticles();
+    }
+
+    /**
+     * Get the EU directives of the loaded laws
+     * @returns {Array} Mapped and named directives
+     */
+    getDirectives() {
+        return this.database.getDirectives();
+    }
+
+    /**
+     * Get one EU directive
+     * @param {string} identifier - CELEX number or identifier such as "2003/88/EZ"
+     * @returns {Object|null} Directive with its mapped articles
+     */
+    getDirective(identifier) {
+        return this.database.getDirective(identifier);
+    }
+
+    /**
+     * Find the articles that implement an article of an EU directive
+     * @param {string} identifier - CELEX number or identifier of the directive
+     * @param {string|number} directiveArticle - Article of the directive
+     * @returns {Array} Implementing articles
+     */
+    findImplementation(identifier, directiveArticle) {
+        const articles = this.database.findImplementation(identifier, directiveArticle);
+        return articles.map(article => this.convertArticleToLegacyFormat(article));
+    }
+
+    /**
+     * Get the durations and time limits of the law
+     * @param {Object} [filters] - Optional filters (topic, articleId, law, kind, unit, bound)
+     * @returns {Array} Durations in order of the law
+     */
+    getTimeframes(filters = {}) {
+        return this.database.getTimeframes(filters);
+    }
+
+    /**
+     * Get the rights and obligations of the parties
+     * @param {Object} [filters] - Optional filters (party, type, articleId, law)
+     * @returns {Array} Statements in order of the law
+     */
+    getStatements(filters = {}) {
+        return this.database.getStatements(filters);
+    }
+
+    /**
+     * Get the defined terms of a law
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {Array} Terms in alphabetical order
+     */
+    getGlossary(lawId = null) {
+        return this.database.getGlossary(lawId);
+    }
+
+    /**
+     * Look up the definition of a term
+     * @param {string} term - Term in any case form
+     * @param {string} [lawId] - Law ID, the first loaded law if omitted
+     * @returns {Object|null} Definition or null if the term is not defined
+     */
+    lookupTerm(term, lawId = null) {
+        return this.database.lookupTerm(term, lawId);
+    }
+
+    /**
+     * Find the defined terms in a text
+     * @param {string} text - Text to scan
+     * @param {string} [lawId] - Law whose terms are looked for
+     * @returns {Array} Occurrences in reading order
+     */
+    findGlossaryTerms(text, lawId = null) {
+        return this.database.findGlossaryTerms(text, lawId);
+    }
+
+    /**
+     * Get the misdemeanour fines of the loaded laws
+     * @param {Object} [filters] - Filters (law, articleId)
+     * @returns {Array} Fines in order of the law
+     */
+    getPenalties(filters = {}) {
+        return this.database.getPenalties(filters);
+    }
+
+    /**
+     * Get the fines for breaching the obligations of an article
+     * @param {string} id - Article ID
+     * @returns {Array} Fines in order of the law
+     */
+    getPenaltiesFor(id) {
+        return this.database.getPenaltiesFor(id);
+    }
+
+    /**
+     * Resolve an old or unscoped article ID to the ID of the stored article
+     * @param {string} id - Article ID
+     * @returns {string} ID of the stored article
+     */
+    resolveArticleId(id) {
+        return this.database.resolveArticleId(id);
+    }
+
+    /**
+     * Get the provisions of other articles that refer to an article
+     * @param {string} id - Article ID
+     * @returns {Array} Referring provisions in order of the law
+     */
+    getCitedBy(id) {
+        return this.database.getCitedBy(id);
+    }
+
     /**
      * Get all articles (compatibility method)
      * @param {Object} filters - Optional filters
@@ -136,6 +334,35 @@ class EnhancedFactChecker {
         return articles.map(article => this.convertArticleToLegacyFormat(article));
     }
 
+    /**
+     * Get the official structure of a law
+     * @param {string} [lawId] - Law ID, all loaded laws if omitted
+     * @returns {Array} Glave with their subchapters and article ranges
+     */
+    getTableOfContents(lawId = null) {
+        return this.database.getTableOfContents(lawId);
+    }
+
+    /**
+     * Get the articles of a glava or subchapter (compatibility method)
+     * @param {string} sectionId - Section ID from the table of contents
+     * @returns {Array} Articles in order of the law
+     */
+    getSectionArticles(sectionId) {
+        return this.database.getSectionArticles(sectionId).map(article => this.convertArticleToLegacyFormat(article));
+    }
+
+    /**
+     * Find the articles cited by a query such as "čl. 77 st. 2" or "čl. 74–79" (compatibility method)
+     * @param {string} query - Query as typed
+     * @param {string} [lawId] - Law cited, the first loaded law if omitted
+     * @returns {Object|null} Citation, cited articles and the stavak or točka to jump to, null if the query is not a citation
+     */
+    findCitation(query, lawId = null) {
+        const match = this.database.findCitation(query, lawId || undefined);
+        return match ? { ...match, articles: match.articles.map(article => this.convertArticleToLegacyFormat(article)) } : null;
+    }
+
     /**
      * Get all categories
      * @returns {Array} Categories array
@@ -333,10 +560,24 @@ class EnhancedFactChecker {
     convertArticleToLegacyFormat(article) {
         return {
             id: article.id,
+            law: article.law || null,
             title: article.title,
+            heading: article.heading,
             content: article.content,
             category: article.category,
+            number: article.number,
+            officialNumber: article.officialNumber,
+            part: article.part || null,
+            chapter: article.chapter || null,
+            articleType: article.articleType,
             keywords: article.keywords || [],
+            tags: article.tags || [],
+            paragraphs: article.paragraphs || [],
+            references: article.references || [],
+            timeframes: article.timeframes || [],
+            statements: article.statements || [],
+            versions: article.versions || [],
+            effectiveDate: article.effectiveDate || null,
             lastModified: article.lastModified,
             translations: article.translations || {},
             legalReferences: article.legalReferences || [],
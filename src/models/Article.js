@@ -4,12 +4,20 @@
  * @version 2.2.0
  */
 
+import { TextProcessor } from '../utils/TextProcessor.js';
+
+// Folds diacritics when locating search terms, like the search index does
+const textProcessor = new TextProcessor();
+
 /**
  * @typedef {Object} LegalReference
  * @property {string} law - Name of the referenced law
- * @property {string} article - Article number or section
+ * @property {string} [article] - Article number or section, omitted when the whole act is referenced
  * @property {string} description - Description of the reference
  * @property {string} url - URL to the referenced law
+ * @property {string} [celex] - CELEX number of a referenced EU act
+ * @property {string} [type] - Type of a referenced EU act (directive, regulation)
+ * @property {string} [relation] - How the article relates to an EU act (transposes, mentions)
  */
 
 /**
@@ -39,6 +47,43 @@
  * @property {string} relevance - How this case relates to the article
  */
 
+/**
+ * @typedef {Object} ArticlePoint
+ * @property {string} id - Point ID (e.g. "art_015_st1_t3")
+ * @property {number} number - Point number
+ * @property {string} label - Printed label ("3." or "3)")
+ * @property {string} text - Point text without the label
+ */
+
+/**
+ * @typedef {Object} ArticleParagraph
+ * @property {string} id - Paragraph ID (e.g. "art_077_st2")
+ * @property {number} number - Paragraph number
+ * @property {boolean} numbered - False for text without a printed label
+ * @property {string} text - Paragraph text without the label and points
+ * @property {ArticlePoint[]} points - Točke of the paragraph
+ */
+
+/**
+ * @typedef {Object} ArticleLocation
+ * @property {string} articleId - Article ID
+ * @property {string|null} paragraphId - Matching stavak ID
+ * @property {string|null} pointId - Matching točka ID
+ * @property {string} citation - Citation of the location (e.g. "čl. 77. st. 2.")
+ */
+
+/**
+ * @typedef {Object} ArticleVersion
+ * @property {string|null} validFrom - First day the text is in force (ISO date), null if unknown
+ * @property {string|null} validTo - First day the text is no longer in force (ISO date), null while in force
+ * @property {string} title - Title of the version
+ * @property {string|null} heading - Official heading of the version
+ * @property {string} content - Text of the version
+ * @property {ArticleParagraph[]} paragraphs - Stavci of the version
+ * @property {string[]} amendments - Amending acts (NN issues) up to this version
+ * @property {string|null} consolidation - Consolidated text the version was taken from
+ */
+
 /**
  * Enhanced Article class for Croatian Labor Law
  * Provides comprehensive article management with metadata, relationships, and validation
@@ -48,7 +93,11 @@ export class Article {
      * Create a new Article instance
      * @param {Object} data - Article data object
      * @param {string} data.id - Unique article identifier
+     * @param {string} [data.law] - ID of the law the article belongs to (e.g. "zor")
      * @param {string} data.title - Article title
+     * @param {string} [data.heading] - Official heading printed above the article
+     * @param {Object} [data.part] - Enclosing glava ({number, title})
+     * @param {Object} [data.chapter] - Enclosing subchapter ({number, title})
      * @param {string} data.content - Article content/text
      * @param {string} data.category - Article category
      * @param {string[]} data.keywords - Search keywords
@@ -60,6 +109,11 @@ export class Article {
      * @param {PracticalExample[]} [data.practicalExamples] - Real-world examples
      * @param {FAQ[]} [data.frequentlyAskedQuestions] - Common questions and answers
      * @param {CaseStudy[]} [data.relatedCaseStudies] - Related judicial decisions
+     * @param {ArticleParagraph[]} [data.paragraphs] - Stavci with their točke
+     * @param {ArticleVersion[]} [data.versions] - Dated versions of the text, oldest first
+     * @param {ArticleReference[]} [data.references] - Resolved references to other articles, stavci and točke
+     * @param {Timeframe[]} [data.timeframes] - Durations and time limits read from the stavci and točke
+     * @param {Statement[]} [data.statements] - Rights and obligations of the parties read from the stavci and točke
      */
     constructor(data) {
         this.validateData(data);
@@ -68,8 +122,17 @@ export class Article {
         Object.assign(this, data);
         
         // Then override with enhanced versions where needed
+        this.heading = data.heading || null;
         this.keywords = Array.isArray(data.keywords) ? [...data.keywords] : [];
         this.translations = data.translations || {};
+        this.paragraphs = Array.isArray(data.paragraphs) ? data.paragraphs.map(paragraph => ({
+            ...paragraph,
+            points: Array.isArray(paragraph.points) ? paragraph.points.map(point => ({ ...point })) : []
+        })) : [];
+        this.versions = Array.isArray(data.versions) ? data.versions.map(version => ({ ...version })) : [];
+        this.references = Array.isArray(data.references) ? data.references.map(reference => ({ ...reference })) : [];
+        this.timeframes = Array.isArray(data.timeframes) ? data.timeframes.map(timeframe => ({ ...timeframe })) : [];
+        this.statements = Array.isArray(data.statements) ? data.statements.map(statement => ({ ...statement })) : [];
         
         // Enhanced metadata (only set if not already present)
         if (!this.lastModified) this.lastModified = new Date().toISOString();
@@ -216,7 +279,7 @@ export class Article {
      * @param {LegalReference} reference - Legal reference to add
      */
     addLegalReference(reference) {
-        if (!reference || !reference.law || !reference.article) {
+        if (!reference || !reference.law || !(reference.article || reference.celex)) {
             throw new Error('Legal reference must include law and article');
         }
         
@@ -226,11 +289,13 @@ export class Article {
         );
         
         if (!exists) {
+            // EU acts are referenced as a whole, so they carry their CELEX number instead of an article
             this.legalReferences.push({
                 law: reference.law,
-                article: reference.article,
+                ...(reference.article ? { article: reference.article } : {}),
                 description: reference.description || '',
-                url: reference.url || ''
+                url: reference.url || '',
+                ...(reference.celex ? { celex: reference.celex, type: reference.type, relation: reference.relation || 'mentions' } : {})
             });
             
             this.updateModificationDate();
@@ -368,8 +433,8 @@ export class Article {
         const term = options.caseSensitive ? searchTerm : searchTerm.toLowerCase();
         let score = 0;
         
-        // Title match (highest weight)
-        if (this.title.toLowerCase().includes(term)) {
+        // Title match (highest weight), unless the title only repeats the opening words of the content
+        if (!Article.isExcerptTitle(this) && this.title.toLowerCase().includes(term)) {
             score += 50;
             if (this.title.toLowerCase() === term) {
                 score += 30; // Exact title match bonus
@@ -409,6 +474,227 @@ export class Article {
         return this.searchRelevanceScore;
     }
 
+    /**
+     * Get a stavak by its number
+     * @param {number} number - Paragraph number
+     * @returns {ArticleParagraph|null} Paragraph or null if not found
+     */
+    getParagraph(number) {
+        return this.paragraphs.find(paragraph => paragraph.number === number) || null;
+    }
+
+    /**
+     * Find a stavak or točka by ID
+     * @param {string} nodeId - Paragraph or point ID
+     * @returns {{paragraph: ArticleParagraph, point: ArticlePoint|null}|null} Node with its paragraph
+     */
+    findNode(nodeId) {
+        for (const paragraph of this.paragraphs) {
+            if (paragraph.id === nodeId) {
+                return { paragraph, point: null };
+            }
+
+            const point = paragraph.points.find(candidate => candidate.id === nodeId);
+            if (point) {
+                return { paragraph, point };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Locate the stavci and točke that contain a search term
+     * @param {string|string[]} searchTerm - Term to look for, or terms of which any one will do
+     * @returns {ArticleLocation[]} Matching locations in reading order
+     */
+    locate(searchTerm) {
+        return Article.findLocations(this, searchTerm);
+    }
+
+    /**
+     * Get the citation of the article or one of its stavci and točke
+     * @param {string} [nodeId] - Paragraph or point ID
+     * @returns {string} Citation (e.g. "čl. 77. st. 2. t. 1.")
+     */
+    getCitation(nodeId) {
+        const node = nodeId ? this.findNode(nodeId) : null;
+        return Article.formatCitation(this, node && node.paragraph, node && node.point);
+    }
+
+    /**
+     * Get the version of the text that was in force on a date
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {ArticleVersion|null} Version in force or null if no text is known for the date
+     */
+    getVersionAt(date) {
+        return Article.findVersion(this, date);
+    }
+
+    /**
+     * Add a dated version of the text
+     * Neighbouring versions with the same text are merged, and the latest version becomes the article text
+     * @param {ArticleVersion} version - Version to add
+     * @throws {Error} If the version has no text
+     */
+    addVersion(version) {
+        if (typeof version.content !== 'string') {
+            throw new Error(`Version of ${this.id} has no content`);
+        }
+
+        const ordered = [...this.versions.filter(existing => existing.validFrom !== version.validFrom), { ...version }]
+            .sort((a, b) => String(a.validFrom || '').localeCompare(String(b.validFrom || '')));
+
+        // An unchanged text has simply been in force longer
+        this.versions = ordered.reduce((merged, current) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.content === current.content) {
+                merged[merged.length - 1] = { ...current, validFrom: previous.validFrom };
+            } else {
+                merged.push(current);
+            }
+            return merged;
+        }, []);
+
+        this.versions.forEach((current, index) => {
+            const next = this.versions[index + 1];
+            current.validTo = next ? next.validFrom : null;
+        });
+
+        const latest = this.versions[this.versions.length - 1];
+        ['title', 'heading', 'content', 'paragraphs', 'amendments'].forEach(field => {
+            this[field] = latest[field];
+        });
+        this.generateSearchText();
+    }
+
+    /**
+     * Find the version of an article that was in force on a date
+     * Works on plain article objects too, so search can run against an older text
+     * @param {Object} article - Article with versions
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {ArticleVersion|null} Version in force or null if no text is known for the date
+     */
+    static findVersion(article, date) {
+        return (article.versions || []).find(version =>
+            (!version.validFrom || version.validFrom <= date) && (!version.validTo || date < version.validTo)
+        ) || null;
+    }
+
+    /**
+     * Get an article as it read on a date
+     * Articles without versions carry no dates and are returned as they are
+     * @param {Object} article - Article with versions
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {Object|null} Copy of the article with the text in force, null if no text is known for the date
+     */
+    static atDate(article, date) {
+        if (!Array.isArray(article.versions) || article.versions.length === 0) {
+            return article;
+        }
+
+        const version = Article.findVersion(article, date);
+        if (!version) {
+            return null;
+        }
+
+        // References, time limits and statements point into the current text, so an older text is shown without them
+        const current = version.content === article.content;
+        return {
+            ...article,
+            ...version,
+            references: current ? article.references : [],
+            timeframes: current ? article.timeframes : [],
+            statements: current ? article.statements : [],
+            asOf: date
+        };
+    }
+
+    /**
+     * Locate a search term in the stavci and točke of an article
+     * Works on plain article objects too, so search results can point below the article level
+     * Diacritics and case endings are ignored, so "placa" locates "plaća" and "plaću"
+     * @param {Object} article - Article with paragraphs
+     * @param {string|string[]} searchTerm - Term to look for, or terms of which any one will do
+     * @returns {ArticleLocation[]} Matching locations in reading order
+     */
+    static findLocations(article, searchTerm) {
+        const fold = text => textProcessor.normalizeWord(text.toLowerCase());
+        const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm])
+            .map(term => fold(term || ''))
+            .filter(Boolean);
+        if (terms.length === 0 || !Array.isArray(article.paragraphs)) {
+            return [];
+        }
+
+        const stems = new Set(terms.map(term => textProcessor.stemWord(term)));
+        const contains = text => terms.some(term => fold(text).includes(term)) ||
+            (text.match(textProcessor.wordPattern) || []).some(word => stems.has(textProcessor.stemWord(word)));
+
+        const locations = [];
+        const createLocation = (paragraph, point) => ({
+            articleId: article.id,
+            paragraphId: paragraph.id,
+            pointId: point ? point.id : null,
+            citation: Article.formatCitation(article, paragraph, point)
+        });
+
+        article.paragraphs.forEach(paragraph => {
+            if (contains(paragraph.text)) {
+                locations.push(createLocation(paragraph, null));
+            }
+
+            (paragraph.points || [])
+                .filter(point => contains(point.text))
+                .forEach(point => locations.push(createLocation(paragraph, point)));
+        });
+
+        return locations;
+    }
+
+    /**
+     * Check whether a title is only the opening words of the content (articles without a heading)
+     * @param {Object} article - Article with title, content and heading
+     * @returns {boolean} True if the title carries no information beyond the content
+     */
+    static isExcerptTitle(article) {
+        const title = (article.title || '').trim();
+        return !article.heading && title.length > 0 && (article.content || '').startsWith(title);
+    }
+
+    /**
+     * Format a citation in the form used by Croatian legal texts
+     * @param {Object} article - Article with officialNumber or number
+     * @param {ArticleParagraph} [paragraph] - Cited stavak
+     * @param {ArticlePoint} [point] - Cited točka
+     * @returns {string} Citation (e.g. "čl. 17.a st. 2.", "čl. 6. (NN 127/17)")
+     */
+    static formatCitation(article, paragraph = null, point = null) {
+        const official = String(article.officialNumber || article.number || article.id || '');
+        const match = official.match(/(\d+)\.?([a-z])?\s*(\(NN [^)]+\))?/);
+
+        if (!match) {
+            return official;
+        }
+
+        const parts = [`čl. ${parseInt(match[1], 10)}.${match[2] || ''}`];
+
+        // Unlabelled text is cited by the article alone
+        if (paragraph && paragraph.numbered) {
+            parts.push(`st. ${paragraph.number}.`);
+        }
+
+        if (point) {
+            parts.push(`t. ${point.number}.`);
+        }
+
+        if (match[3]) {
+            parts.push(match[3]);
+        }
+
+        return parts.join(' ');
+    }
+
     /**
      * Export article to JSON with optional data filtering
      * @param {Object} [options] - Export options
@@ -444,6 +730,13 @@ export class Article {
             result.translations = { ...this.translations };
         }
         
+        // Legal structure of articles built from the official text
+        ['law', 'heading', 'number', 'officialNumber', 'part', 'chapter', 'paragraphs', 'versions', 'references', 'timeframes', 'statements', 'mergedIds'].forEach(field => {
+            if (this[field] !== undefined) {
+                result[field] = this[field];
+            }
+        });
+
         if (includeMetadata) {
             result.lastModified = this.lastModified;
             result.precedingArticles = [...this.precedingArticles];
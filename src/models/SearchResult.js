@@ -35,6 +35,9 @@ export class SearchResult {
      * @param {string} data.searchTerm - Original search term
      * @param {Object} [data.searchOptions] - Search options used
      * @param {number} [data.rank] - Result ranking position
+     * @param {import('./Article.js').ArticleLocation[]} [data.locations] - Stavci and točke that matched
+     * @param {boolean} [data.fuzzy=false] - Whether the article was found through near spellings of mistyped words
+     * @param {string[]} [data.nearWords] - Words matched in place of the mistyped ones
      */
     constructor(data) {
         console.log('Creating SearchResult with data:', {
@@ -56,6 +59,9 @@ export class SearchResult {
         this.searchTerm = data.searchTerm;
         this.searchOptions = data.searchOptions || {};
         this.rank = data.rank || 0;
+        this.locations = Array.isArray(data.locations) ? [...data.locations] : [];
+        this.fuzzy = Boolean(data.fuzzy);
+        this.nearWords = Array.isArray(data.nearWords) ? [...data.nearWords] : [];
         
         // Metadata
         this.timestamp = new Date().toISOString();
@@ -199,6 +205,14 @@ export class SearchResult {
         this.fuzzyMatchCount = this.matchCategories.fuzzy.length;
     }
 
+    /**
+     * Get the citation of the best matching location
+     * @returns {string|null} Citation (e.g. "čl. 77. st. 2.") or null when the match is not inside a stavak
+     */
+    getCitation() {
+        return this.locations.length > 0 ? this.locations[0].citation : null;
+    }
+
     /**
      * Add a match to this search result
      * @param {SearchMatch} match - Match to add
@@ -357,6 +371,9 @@ export class SearchResult {
             searchTerm: this.searchTerm,
             rank: this.rank,
             snippet: this.snippet,
+            locations: [...this.locations],
+            fuzzy: this.fuzzy,
+            nearWords: [...this.nearWords],
             timestamp: this.timestamp,
             searchDuration: this.searchDuration
         };
@@ -398,7 +415,10 @@ export class SearchResult {
             highlights: json.highlights || [],
             searchTerm: json.searchTerm,
             searchOptions: json.searchOptions || {},
-            rank: json.rank || 0
+            rank: json.rank || 0,
+            locations: json.locations || [],
+            fuzzy: json.fuzzy,
+            nearWords: json.nearWords || []
         });
     }
 
@@ -48,6 +48,7 @@ class I18n {
                 'results-found': 'results found',
                 'no-results-title': 'No results found',
                 'no-results-description': 'Try different keywords or check the spelling of your search terms.',
+                'did-you-mean': 'Did you mean:',
                 'suggestions': 'Suggestions:',
                 'no-results-tips': [
                     'Use simpler terms (e.g., "vacation" instead of "annual leave entitlement")',
@@ -80,6 +81,71 @@ class I18n {
                 'workplace-safety-query': 'workplace safety',
                 'employment-contract-query': 'employment contract',
 
+                // Point in Time
+                'as-of-date': 'Law as of',
+                'as-of-help': 'Leave empty for the text in force today',
+                'version-in-force-from': 'In force from',
+                'version-in-force-until': 'until',
+                'version-as-of': 'Text as of',
+                'no-version-as-of': 'No loaded version of the law was in force on',
+                'earliest-version': 'The earliest is in force from',
+
+                // Law Filter
+                'law-filter': 'Law',
+                'all-laws': 'All laws',
+
+                // Facets
+                'facets-heading': 'Narrow results',
+                'facet-category': 'Category',
+                'facet-articleType': 'Provision type',
+                'facet-chapter': 'Chapter',
+                'facet-law': 'Law',
+                'facet-tag': 'Rights and obligations',
+                'facets-clear': 'Clear filters',
+
+                // Version Comparison
+                'compare-versions': 'Compare Versions',
+                'compare-help': 'Load another consolidated text (croatian-labor-law.json) to see what changed',
+                'compare-error': 'The file is not a valid law dataset',
+                'diff-changes': 'Changes',
+                'diff-status-changed': 'changed',
+                'diff-status-added': 'added',
+                'diff-status-removed': 'removed',
+                'diff-unchanged': 'unchanged',
+
+                // Cross-References
+                'cited-by': 'Referenced by',
+
+                // Table of Contents
+                'browse-law': 'Browse the Law',
+                'toc-part': 'Chapter',
+                'toc-whole-part': 'All articles of this chapter',
+
+                // EU Directives
+                'browse-directives': 'Browse by EU Directive',
+                'directive-article': 'Art.',
+                'directive-transposed': 'Transposition clause',
+                'directive-mentioned': 'Named in the law',
+
+                // Deadlines
+                'deadlines': 'Deadlines',
+                'deadline-topic': 'Filter by topic, e.g. otkaz',
+                'deadline-none': 'No deadlines for this topic',
+
+                // Rights and obligations
+                'rights-obligations': 'Rights and Obligations',
+                'party-employer': 'Employer',
+                'party-worker': 'Worker',
+                'party-union': 'Union',
+                'party-works-council': 'Works council',
+                'statement-obligation': 'Must',
+                'statement-prohibition': 'Must not',
+                'statement-right': 'Is entitled to',
+                'statement-none': 'No statements for this party',
+
+                // Penalties
+                'violation-penalty': 'Violation penalty',
+
                 // Search History
                 'recent-searches': 'Recent Searches',
                 'clear-history': 'Clear History',
@@ -100,6 +166,8 @@ class I18n {
                 // Error Messages
                 'error-title': 'Something went wrong',
                 'error-message': 'An error occurred while searching. Please try again.',
+                'invalid-query': 'Invalid search query',
+                'fuzzy-match': 'Approximate match',
                 'try-again': 'Try Again',
 
                 // GDPR and Privacy
@@ -185,6 +253,7 @@ class I18n {
                 'results-found': 'resultados encontrados',
                 'no-results-title': 'No se encontraron resultados',
                 'no-results-description': 'Intenta con diferentes palabras clave o verifica la ortografía de tus términos de búsqueda.',
+                'did-you-mean': '¿Quisiste decir:',
                 'suggestions': 'Sugerencias:',
                 'no-results-tips': [
                     'Usa términos más simples (ej., "vacaciones" en lugar de "derecho a vacaciones anuales")',
@@ -217,6 +286,71 @@ class I18n {
                 'workplace-safety-query': 'seguridad laboral',
                 'employment-contract-query': 'contrato de empleo',
 
+                // Point in Time
+                'as-of-date': 'Ley vigente el',
+                'as-of-help': 'Déjelo vacío para el texto vigente hoy',
+                'version-in-force-from': 'Vigente desde',
+                'version-in-force-until': 'hasta',
+                'version-as-of': 'Texto a fecha de',
+                'no-version-as-of': 'Ninguna versión cargada de la ley estaba vigente el',
+                'earliest-version': 'La más antigua está vigente desde',
+
+                // Law Filter
+                'law-filter': 'Ley',
+                'all-laws': 'Todas las leyes',
+
+                // Facets
+                'facets-heading': 'Acotar resultados',
+                'facet-category': 'Categoría',
+                'facet-articleType': 'Tipo de disposición',
+                'facet-chapter': 'Capítulo',
+                'facet-law': 'Ley',
+                'facet-tag': 'Derechos y obligaciones',
+                'facets-clear': 'Quitar filtros',
+
+                // Version Comparison
+                'compare-versions': 'Comparar Versiones',
+                'compare-help': 'Cargue otro texto consolidado (croatian-labor-law.json) para ver qué cambió',
+                'compare-error': 'El archivo no es un conjunto de datos de la ley válido',
+                'diff-changes': 'Cambios',
+                'diff-status-changed': 'modificado',
+                'diff-status-added': 'añadido',
+                'diff-status-removed': 'eliminado',
+                'diff-unchanged': 'sin cambios',
+
+                // Cross-References
+                'cited-by': 'Citado por',
+
+                // Table of Contents
+                'browse-law': 'Explorar la Ley',
+                'toc-part': 'Capítulo',
+                'toc-whole-part': 'Todos los artículos de este capítulo',
+
+                // EU Directives
+                'browse-directives': 'Explorar por Directiva de la UE',
+                'directive-article': 'Art.',
+                'directive-transposed': 'Cláusula de transposición',
+                'directive-mentioned': 'Mencionada en la ley',
+
+                // Deadlines
+                'deadlines': 'Plazos',
+                'deadline-topic': 'Filtrar por tema, p. ej. otkaz',
+                'deadline-none': 'No hay plazos para este tema',
+
+                // Rights and obligations
+                'rights-obligations': 'Derechos y obligaciones',
+                'party-employer': 'Empleador',
+                'party-worker': 'Trabajador',
+                'party-union': 'Sindicato',
+                'party-works-council': 'Comité de empresa',
+                'statement-obligation': 'Debe',
+                'statement-prohibition': 'No debe',
+                'statement-right': 'Tiene derecho a',
+                'statement-none': 'No hay disposiciones para esta parte',
+
+                // Penalties
+                'violation-penalty': 'Sanción por infracción',
+
                 // Search History
                 'recent-searches': 'Búsquedas Recientes',
                 'clear-history': 'Limpiar Historial',
@@ -237,6 +371,8 @@ class I18n {
                 // Error Messages
                 'error-title': 'Algo salió mal',
                 'error-message': 'Ocurrió un error durante la búsqueda. Por favor intenta de nuevo.',
+                'invalid-query': 'Consulta de búsqueda no válida',
+                'fuzzy-match': 'Coincidencia aproximada',
                 'try-again': 'Intentar de Nuevo',
 
                 // GDPR and Privacy
@@ -322,6 +458,7 @@ class I18n {
                 'results-found': 'pronađenih rezultata',
                 'no-results-title': 'Nema pronađenih rezultata',
                 'no-results-description': 'Pokušajte s različitim ključnim riječima ili provjerite pravopis vaših pojmova za pretraživanje.',
+                'did-you-mean': 'Jeste li mislili:',
                 'suggestions': 'Prijedlozi:',
                 'no-results-tips': [
                     'Koristite jednostavnije pojmove (npr. "godišnji odmor" umjesto "pravo na godišnji odmor")',
@@ -354,6 +491,71 @@ class I18n {
                 'workplace-safety-query': 'sigurnost na radu',
                 'employment-contract-query': 'ugovor o radu',
 
+                // Point in Time
+                'as-of-date': 'Zakon na dan',
+                'as-of-help': 'Ostavite prazno za tekst koji je danas na snazi',
+                'version-in-force-from': 'Na snazi od',
+                'version-in-force-until': 'do',
+                'version-as-of': 'Tekst na dan',
+                'no-version-as-of': 'Nijedna učitana verzija zakona nije bila na snazi',
+                'earliest-version': 'Najranija je na snazi od',
+
+                // Law Filter
+                'law-filter': 'Zakon',
+                'all-laws': 'Svi zakoni',
+
+                // Facets
+                'facets-heading': 'Suzite rezultate',
+                'facet-category': 'Kategorija',
+                'facet-articleType': 'Vrsta odredbe',
+                'facet-chapter': 'Poglavlje',
+                'facet-law': 'Zakon',
+                'facet-tag': 'Prava i obveze',
+                'facets-clear': 'Poništi filtre',
+
+                // Version Comparison
+                'compare-versions': 'Usporedba Verzija',
+                'compare-help': 'Učitajte drugi pročišćeni tekst (croatian-labor-law.json) da vidite što se promijenilo',
+                'compare-error': 'Datoteka nije valjan skup podataka zakona',
+                'diff-changes': 'Izmjene',
+                'diff-status-changed': 'izmijenjen',
+                'diff-status-added': 'dodan',
+                'diff-status-removed': 'brisan',
+                'diff-unchanged': 'bez izmjena',
+
+                // Cross-References
+                'cited-by': 'Na ovaj članak upućuju',
+
+                // Table of Contents
+                'browse-law': 'Pregled Zakona',
+                'toc-part': 'Glava',
+                'toc-whole-part': 'Svi članci ove glave',
+
+                // EU Directives
+                'browse-directives': 'Pregled po direktivama EU',
+                'directive-article': 'čl.',
+                'directive-transposed': 'Odredba o preuzimanju',
+                'directive-mentioned': 'Navedena u Zakonu',
+
+                // Deadlines
+                'deadlines': 'Rokovi',
+                'deadline-topic': 'Filtriraj po temi, npr. otkaz',
+                'deadline-none': 'Nema rokova za ovu temu',
+
+                // Rights and obligations
+                'rights-obligations': 'Prava i obveze',
+                'party-employer': 'Poslodavac',
+                'party-worker': 'Radnik',
+                'party-union': 'Sindikat',
+                'party-works-council': 'Radničko vijeće',
+                'statement-obligation': 'Mora',
+                'statement-prohibition': 'Ne smije',
+                'statement-right': 'Ima pravo',
+                'statement-none': 'Nema odredbi za ovu stranu',
+
+                // Penalties
+                'violation-penalty': 'Prekršajna kazna',
+
                 // Search History
                 'recent-searches': 'Nedavne Pretrage',
                 'clear-history': 'Obriši Povijes',
@@ -374,6 +576,8 @@ class I18n {
                 // Error Messages
                 'error-title': 'Nešto je pošlo po zlu',
                 'error-message': 'Došlo je do greške tijekom pretrage. Molimo pokušajte ponovno.',
+                'invalid-query': 'Neispravan upit za pretragu',
+                'fuzzy-match': 'Približno podudaranje',
                 'try-again': 'Pokušaj Ponovno',
 
                 // GDPR and Privacy
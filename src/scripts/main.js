@@ -65,6 +65,7 @@ class App {
             
             enhancedDatabase = await initializeFactChecker({
                 dataUrl: './src/search-engine/data/croatian-labor-law.json',
+                directiveMappingUrl: './src/search-engine/data/eu-directive-mapping.json',
                 enableCache: true,
                 enableSearch: true,
                 enableValidation: true,
@@ -252,6 +253,14 @@ class App {
             }, 250);
         });
 
+        // Cross-reference links change the hash without reloading the page
+        window.addEventListener('hashchange', () => {
+            const hash = window.location.hash;
+            if (hash.startsWith('#article-')) {
+                this.scrollToArticle(hash.substring(9));
+            }
+        });
+
         // Visibility change (for performance optimization)
         document.addEventListener('visibilitychange', () => {
             this.handleVisibilityChange();
@@ -712,10 +721,20 @@ class App {
         }
     }
 
-    scrollToArticle(articleId) {
-        // If article is not visible, this would trigger a search for it
-        const articleElement = document.querySelector(`[data-article-id="${articleId}"]`);
+    async scrollToArticle(articleId) {
+        // Permalinks point to an article, stavak ("art_077_st2") or točka ("art_077_st2_t1")
+        const selector = `[data-point-id="${articleId}"], [data-paragraph-id="${articleId}"], [data-article-id="${articleId}"]`;
+        let articleElement = document.querySelector(selector);
+
+        // If article is not visible, show it first
+        const searchEngine = window.searchEngine || window.searchManager;
+        if (!articleElement && searchEngine?.showArticle && await searchEngine.showArticle(articleId)) {
+            articleElement = document.querySelector(selector);
+        }
+
         if (articleElement) {
+            document.querySelectorAll('.permalink-target').forEach(element => element.classList.remove('permalink-target'));
+            articleElement.classList.add('permalink-target');
             articleElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
             articleElement.focus();
         }
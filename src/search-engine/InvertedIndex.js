@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Positional inverted index for Croatian Labor Law database
+ * Keeps the postings of every word stem per article and field and ranks articles with field-weighted BM25 (BM25F)
+ * A trigram index over the words finds near spellings of mistyped query words
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from '../utils/TextProcessor.js';
+
+/**
+ * @typedef {Object} TermGroup
+ * @property {string} token - Query word the group stands for
+ * @property {string[]} terms - Indexed stems counted as the query word (its own stem, or the stems of the words it is a prefix of)
+ * @property {Set<string>} [documents] - Documents containing any of the words, looked up when missing
+ * @property {string} [text] - Query word as typed, occurrences spelled the same way count in full
+ * @property {boolean} [prefix] - Whether the typed word is the start of the occurrences rather than all of them
+ */
+
+/**
+ * InvertedIndex class mapping words to the articles and positions they occur at
+ * Words are indexed by their stem, so every case form of a word ("odmor", "odmora", "odmoru") is found by any other.
+ * Documents can be added, replaced and removed one at a time, so the index follows edits without being rebuilt
+ */
+export class InvertedIndex {
+    /**
+     * Create a new InvertedIndex instance
+     * @param {Object} [options] - Index options
+     * @param {number} [options.k1=1.2] - BM25 term frequency saturation
+     * @param {number} [options.b=0.75] - BM25 length normalization
+     * @param {number} [options.variantWeight=0.8] - Weight of an occurrence spelled differently from the typed word (in another case or without diacritics)
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     */
+    constructor(options = {}) {
+        this.options = {
+            k1: 1.2,
+            b: 0.75,
+            variantWeight: 0.8,
+            ...options
+        };
+
+        this.textProcessor = options.textProcessor || new TextProcessor();
+        this.clear();
+    }
+
+    /**
+     * Remove every document
+     */
+    clear() {
+        this.postings = new Map(); // stem -> document id -> field -> positions
+        this.forms = new Map(); // folded word -> stem, spelling and number of documents containing it
+        this.trigrams = new Map(); // trigram -> folded words containing it
+        this.documents = new Map(); // document id -> field -> length in words
+        this.documentTerms = new Map(); // document id -> folded words of the document, for removal
+        this.surfaces = new Map(); // document id -> field -> words as printed, by position
+        this.fieldLengths = new Map(); // field -> total length in words
+        this.sortedForms = null;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number} Document count
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Split a text into the terms the index stores
+     * @param {string} text - Text to split
+     * @returns {string[]} Stems in reading order
+     */
+    analyze(text) {
+        return this.split(text).map(word => this.normalize(word));
+    }
+
+    /**
+     * Turn a word into the term the index stores
+     * Words are folded like TextProcessor.tokenize folds query words ("plaća" -> "placa") and then stemmed ("plaću" -> "plak"),
+     * so a query word meets every case form of itself
+     * @param {string} word - Word as printed or typed
+     * @returns {string} Stem
+     */
+    normalize(word) {
+        return this.textProcessor.stemWord(word);
+    }
+
+    /**
+     * Split a text into lower-case words as printed
+     * @param {string} text - Text to split
+     * @returns {string[]} Words in reading order
+     * @private
+     */
+    split(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        return (text.match(new RegExp(this.textProcessor.wordPattern.source, 'gu')) || []).map(word => word.toLowerCase());
+    }
+
+    /**
+     * Add a document, replacing an earlier version with the same ID
+     * @param {string} id - Document ID
+     * @param {Object<string, string>} fields - Text of each field
+     */
+    addDocument(id, fields) {
+        this.removeDocument(id);
+
+        const lengths = new Map();
+        const words = new Set();
+        const surfaces = new Map();
+        Object.entries(fields).forEach(([field, text]) => {
+            const printed = this.split(text);
+            surfaces.set(field, printed);
+            lengths.set(field, printed.length);
+            this.fieldLengths.set(field, (this.fieldLengths.get(field) || 0) + printed.length);
+
+            printed.forEach((surface, position) => {
+                const word = this.textProcessor.normalizeWord(surface);
+                if (!words.has(word)) {
+                    words.add(word);
+                    this.addForm(word, surface);
+                }
+
+                const term = this.forms.get(word).stem;
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+
+                const documents = this.postings.get(term);
+                if (!documents.has(id)) {
+                    documents.set(id, new Map());
+                }
+
+                const positions = documents.get(id);
+                if (!positions.has(field)) {
+                    positions.set(field, []);
+                }
+                positions.get(field).push(position);
+            });
+        });
+
+        this.documents.set(id, lengths);
+        this.documentTerms.set(id, words);
+        this.surfaces.set(id, surfaces);
+    }
+
+    /**
+     * Count one more document containing a word
+     * @param {string} word - Folded word
+     * @param {string} spelling - Word as printed in the document
+     * @private
+     */
+    addForm(word, spelling) {
+        const form = this.forms.get(word);
+        if (form) {
+            form.count++;
+            // Show "plaća" rather than "placa" once the word is seen with its diacritics
+            if (form.spelling === word) {
+                form.spelling = spelling;
+            }
+            return;
+        }
+
+        this.forms.set(word, { stem: this.normalize(word), spelling, count: 1 });
+        this.sortedForms = null;
+        this.textProcessor.generateTrigrams(word).forEach(trigram => {
+            if (!this.trigrams.has(trigram)) {
+                this.trigrams.set(trigram, new Set());
+            }
+            this.trigrams.get(trigram).add(word);
+        });
+    }
+
+    /**
+     * Forget a word no document contains any more
+     * @param {string} word - Folded word
+     * @private
+     */
+    removeForm(word) {
+        this.forms.delete(word);
+        this.sortedForms = null;
+        this.textProcessor.generateTrigrams(word).forEach(trigram => {
+            const words = this.trigrams.get(trigram);
+            words.delete(word);
+            if (words.size === 0) {
+                this.trigrams.delete(trigram);
+            }
+        });
+    }
+
+    /**
+     * Remove a document
+     * @param {string} id - Document ID
+     * @returns {boolean} True if the document was indexed
+     */
+    removeDocument(id) {
+        const lengths = this.documents.get(id);
+        if (!lengths) {
+            return false;
+        }
+
+        lengths.forEach((length, field) => this.fieldLengths.set(field, this.fieldLengths.get(field) - length));
+        this.documentTerms.get(id).forEach(word => {
+            const form = this.forms.get(word);
+            form.count--;
+            if (form.count === 0) {
+                this.removeForm(word);
+            }
+
+            // Several words of the document may share the stem
+            const documents = this.postings.get(form.stem);
+            if (documents && documents.delete(id) && documents.size === 0) {
+                this.postings.delete(form.stem);
+            }
+        });
+
+        this.documents.delete(id);
+        this.documentTerms.delete(id);
+        this.surfaces.delete(id);
+        return true;
+    }
+
+    /**
+     * Get the positions of a stem in each document and field
+     * @param {string} term - Indexed stem
+     * @returns {Map<string, Map<string, number[]>>} Document ID -> field -> positions
+     */
+    getPostings(term) {
+        return this.postings.get(term) || new Map();
+    }
+
+    /**
+     * Get the fields indexed for a document
+     * @param {string} id - Document ID
+     * @returns {string[]} Field names
+     */
+    getFields(id) {
+        return Array.from((this.documents.get(id) || new Map()).keys());
+    }
+
+    /**
+     * Find the stems of the indexed words starting with a prefix
+     * @param {string} prefix - Folded lower-case prefix
+     * @returns {string[]} Stems, in the alphabetical order of their words
+     */
+    expandPrefix(prefix) {
+        return this.toStems(this.findForms(prefix));
+    }
+
+    /**
+     * Find the stems of the indexed words matching a wildcard pattern
+     * @param {string} pattern - Folded lower-case pattern, * for any number of characters and ? for one
+     * @returns {string[]} Stems, in the alphabetical order of their words
+     */
+    matchTerms(pattern) {
+        const [prefix] = pattern.split(/[*?]/u);
+        const wildcards = { '*': '.*', '?': '.' };
+        const expression = new RegExp(`^${pattern.split('')
+            .map(char => wildcards[char] || char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+            .join('')}$`, 'u');
+
+        // The words before the first wildcard narrow the search down to one stretch of the sorted words
+        return this.toStems(this.findForms(prefix).filter(word => expression.test(word)));
+    }
+
+    /**
+     * Find the indexed words spelled like a word, for mistyped query words ("prekovremni" -> "prekovremeni")
+     * Candidates share at least one trigram with the word and are compared with TextProcessor.calculateSimilarity
+     * @param {string} word - Folded lower-case word
+     * @param {number} threshold - Lowest trigram similarity, from 0 to 1
+     * @returns {Array<{word: string, spelling: string, stem: string, count: number, similarity: number}>} Other words with the number of
+     * documents containing them, most similar first
+     */
+    findSimilar(word, threshold) {
+        const candidates = new Set();
+        this.textProcessor.generateTrigrams(word).forEach(trigram => (this.trigrams.get(trigram) || []).forEach(candidate => candidates.add(candidate)));
+        candidates.delete(word);
+
+        return Array.from(candidates)
+            .map(candidate => ({
+                word: candidate,
+                spelling: this.forms.get(candidate).spelling,
+                stem: this.forms.get(candidate).stem,
+                count: this.forms.get(candidate).count,
+                similarity: this.textProcessor.calculateSimilarity(word, candidate)
+            }))
+            .filter(match => match.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity || a.word.localeCompare(b.word));
+    }
+
+    /**
+     * Find the indexed words starting with a prefix
+     * @param {string} prefix - Folded lower-case prefix
+     * @returns {string[]} Folded words in alphabetical order
+     * @private
+     */
+    findForms(prefix) {
+        if (!this.sortedForms) {
+            this.sortedForms = Array.from(this.forms.keys()).sort();
+        }
+
+        // Binary search for the first word not below the prefix
+        let low = 0;
+        let high = this.sortedForms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedForms[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const words = [];
+        for (let i = low; i < this.sortedForms.length && this.sortedForms[i].startsWith(prefix); i++) {
+            words.push(this.sortedForms[i]);
+        }
+
+        return words;
+    }
+
+    /**
+     * Map folded words to their stems, each stem once
+     * @param {string[]} words - Indexed folded words
+     * @returns {string[]} Stems in the order of their first word
+     * @private
+     */
+    toStems(words) {
+        return Array.from(new Set(words.map(word => this.forms.get(word).stem)));
+    }
+
+    /**
+     * Get the documents containing any word of a group
+     * @param {TermGroup} group - Query word with its indexed words
+     * @returns {Set<string>} Document IDs
+     */
+    getDocuments(group) {
+        const documents = new Set();
+        group.terms.forEach(term => this.getPostings(term).forEach((fields, id) => documents.add(id)));
+        return documents;
+    }
+
+    /**
+     * Get the positions of a group in one field of a document
+     * @param {TermGroup} group - Query word with its indexed words
+     * @param {string} id - Document ID
+     * @param {string} field - Field name
+     * @returns {number[]} Positions in ascending order
+     */
+    getPositions(group, id, field) {
+        return group.terms
+            .flatMap(term => (this.getPostings(term).get(id)?.get(field)) || [])
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Count the occurrences of a group in one field of a document
+     * Occurrences spelled as typed count in full, other case forms and spellings without diacritics count variantWeight
+     * @param {TermGroup} group - Query word with its indexed words
+     * @param {string} id - Document ID
+     * @param {string} field - Field name
+     * @returns {number} Weighted number of occurrences
+     */
+    countOccurrences(group, id, field) {
+        const positions = this.getPositions(group, id, field);
+        if (!group.text) {
+            return positions.length;
+        }
+
+        const printed = this.surfaces.get(id).get(field);
+        return positions.reduce((count, position) => {
+            const exact = group.prefix ? printed[position].startsWith(group.text) : printed[position] === group.text;
+            return count + (exact ? 1 : this.options.variantWeight);
+        }, 0);
+    }
+
+    /**
+     * Score a document with field-weighted BM25
+     * The weighted term frequencies of all fields are summed before saturation, so a word repeated across fields is not counted twice
+     * @param {string} id - Document ID
+     * @param {TermGroup[]} groups - Query words
+     * @param {Object<string, number>} weights - Weight of each field, fields without a weight are not scored
+     * @returns {number} BM25F score, 0 if no query word occurs in the document
+     */
+    score(id, groups, weights) {
+        const lengths = this.documents.get(id);
+        if (!lengths) {
+            return 0;
+        }
+
+        const { k1, b } = this.options;
+        return groups.reduce((total, group) => {
+            let frequency = 0;
+            lengths.forEach((length, field) => {
+                const weight = weights[field] || 0;
+                const occurrences = weight > 0 ? this.countOccurrences(group, id, field) : 0;
+                if (occurrences > 0) {
+                    const average = this.fieldLengths.get(field) / this.documents.size || 1;
+                    frequency += weight * occurrences / (1 - b + b * length / average);
+                }
+            });
+
+            if (frequency === 0) {
+                return total;
+            }
+
+            const documentFrequency = (group.documents || this.getDocuments(group)).size;
+            const idf = Math.log(1 + (this.documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            return total + idf * frequency / (k1 + frequency);
+        }, 0);
+    }
+
+    /**
+     * Get index statistics
+     * @returns {{totalDocuments: number, totalTerms: number, totalWords: number}} Document, distinct stem and distinct word counts
+     */
+    getStats() {
+        return {
+            totalDocuments: this.documents.size,
+            totalTerms: this.postings.size,
+            totalWords: this.forms.size
+        };
+    }
+}
+
+export default InvertedIndex;
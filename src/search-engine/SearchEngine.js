@@ -5,6 +5,52 @@
  */
 
 import { SearchResult } from '../models/SearchResult.js';
+import { Article } from '../models/Article.js';
+import { InvertedIndex } from './InvertedIndex.js';
+import { SpellingCorrector } from './SpellingCorrector.js';
+import { SEARCH_CONFIG, getSearchOptions } from '../config/searchConfig.js';
+import { QueryParser } from '../utils/QueryParser.js';
+import { Validator } from '../utils/Validator.js';
+
+// Search option presets tried in turn when the exact words find too little: the first
+// looks for near spellings of the words found nowhere, the second for those of every word
+const FUZZY_PRESETS = ['relaxed', 'ultraRelaxed'];
+
+// Indexed fields of an article and the scoring weight each one takes
+const FIELD_WEIGHTS = {
+    title: 'title',
+    heading: 'title',
+    keywords: 'keywords',
+    content: 'content'
+};
+
+// Reads an article number in the form clanak: compares it in ("Članak 17.a" -> "17a")
+const toArticleNumber = text => String(text || '').toLowerCase()
+    .replace(/^(?:članak|clanak|čl)\.?\s*/u, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+// Article fields the query language filters on, read in the form the filter value is compared in
+const FIELD_FILTERS = {
+    category: article => String(article.category || '').toLowerCase(),
+    type: article => String(article.articleType || '').toLowerCase(),
+    clanak: article => toArticleNumber(article.officialNumber || article.number)
+};
+
+const FILTER_VALUES = {
+    category: value => value.toLowerCase(),
+    type: value => value.toLowerCase(),
+    clanak: toArticleNumber
+};
+
+// Facets counted over the matching articles, each reading the values of an article. The tags of the stavci
+// are the party and kind of the rights and obligations stated in them ("employer-obligation")
+const FACETS = {
+    category: article => [article.category],
+    articleType: article => [article.articleType],
+    chapter: article => [(article.chapter || article.part || {}).title],
+    law: article => [article.law],
+    tag: article => (article.statements || []).map(statement => `${statement.party}-${statement.type}`)
+};
 
 /**
  * WORKING SearchEngine - Fixed version that actually finds results
@@ -13,11 +59,17 @@ export class SearchEngine {
     constructor(database, options = {}) {
         console.log('🚀 WORKING SearchEngine constructor called');
         
+        // LegalDatabase passes { database, ...options } and keeps the index up to date itself
+        this.managed = Boolean(database && !database.articles && Object.prototype.hasOwnProperty.call(database, 'database'));
+        if (this.managed) {
+            const { database: owner, ...rest } = database;
+            database = owner;
+            options = rest;
+        }
+
         // Handle both parameter styles robustly
         if (database && (database.articles || database.database)) {
             this.database = database;
-        } else if (typeof database === 'object' && database.database) {
-            this.database = database.database;
         } else {
             console.warn('❌ SearchEngine: No valid database provided');
             this.database = null;
@@ -27,11 +79,25 @@ export class SearchEngine {
             maxResults: 50,
             minRelevance: 0.001,
             fuzzyThreshold: 0.6,
+            fuzzySearch: SEARCH_CONFIG.ENABLE_FUZZY_SEARCH,
+            scoringWeights: {
+                title: SEARCH_CONFIG.TITLE_MATCH_WEIGHT,
+                keywords: SEARCH_CONFIG.KEYWORD_MATCH_WEIGHT,
+                content: SEARCH_CONFIG.CONTENT_MATCH_WEIGHT
+            },
             ...options
         };
+
+        this.index = new InvertedIndex();
+        this.queryParser = new QueryParser({ textProcessor: this.index.textProcessor });
+        this.validator = new Validator();
+        this.spellingCorrector = new SpellingCorrector({ textProcessor: this.index.textProcessor });
+        this.indexedArticles = new Map(); // article id -> article as indexed
+        this.indexedSource = null; // article list the index was built from
+        this.datedIndex = null; // index of the texts in force on one past date
         
         // Initialize if database is available
-        if (this.database) {
+        if (this.database && !this.managed) {
             this.initialize();
         }
         
@@ -54,6 +120,8 @@ export class SearchEngine {
             if (count === 0) {
                 console.warn('⚠️ Articles data is empty, will retry later');
                 this.retryInitialization();
+            } else {
+                this.buildIndex(this.articlesData);
             }
         } else {
             console.error('❌ No articles data found in database, will retry...');
@@ -71,7 +139,7 @@ export class SearchEngine {
             if (this.database) {
                 const articles = this.findArticlesData();
                 if (articles && (articles.size > 0 || articles.length > 0)) {
-                    this.articlesData = articles;
+                    this.buildIndex(articles);
                     console.log('✅ SearchEngine retry successful:', this.getArticleCount(), 'articles');
                 } else {
                     console.log('⏳ Database found but no articles yet, waiting...');
@@ -143,20 +211,110 @@ export class SearchEngine {
         
         if (articles) {
             this.articlesData = articles;
-            console.log('✅ Search index built with', 
-                articles.size || articles.length || 0, 'articles');
         } else if (this.database) {
             this.articlesData = this.findArticlesData();
-            console.log('✅ Search index built from database with', 
-                this.getArticleCount(), 'articles');
         } else {
             console.warn('⚠️ No articles provided for index building');
+            return Promise.resolve();
         }
-        
+
+        this.index.clear();
+        this.indexedArticles.clear();
+        this.clearCache();
+
+        const list = this.articlesData instanceof Map ? Array.from(this.articlesData.values()) : (this.articlesData || []);
+        list.forEach(article => this.addToIndex(this.index, this.indexedArticles, article));
+        this.indexedSource = this.articlesData;
+        this.indexedCount = list.length;
+
+        console.log('✅ Search index built with', this.index.size, 'articles and', this.index.getStats().totalTerms, 'terms');
         return Promise.resolve();
     }
-    
+
+    /**
+     * Add or replace one article in the index - Called by LegalDatabase after an article is added or edited
+     * @param {Article} article - Article to index
+     */
+    indexArticle(article) {
+        this.addToIndex(this.index, this.indexedArticles, article);
+        this.clearCache();
+        return Promise.resolve();
+    }
+
+    /**
+     * Remove one article from the index
+     * @param {string} id - Article ID
+     */
+    removeArticle(id) {
+        this.index.removeDocument(id);
+        this.indexedArticles.delete(id);
+        this.clearCache();
+        return Promise.resolve();
+    }
+
+    /**
+     * Index the fields of an article
+     * @param {InvertedIndex} index - Index to add to
+     * @param {Map<string, Object>} articles - Indexed articles by ID
+     * @param {Object} article - Article to index
+     * @private
+     */
+    addToIndex(index, articles, article) {
+        if (!article || !article.id) {
+            return;
+        }
+
+        articles.set(article.id, article);
+        index.addDocument(article.id, {
+            // A title that only repeats the opening words of the content must not count twice
+            title: Article.isExcerptTitle(article) ? '' : (article.title || ''),
+            heading: article.heading || '',
+            keywords: (article.keywords || []).join(', '),
+            content: article.content || ''
+        });
+    }
+
+    /**
+     * Rebuild the index when the database has replaced its article list
+     * LegalDatabase reports every change through indexArticle() instead
+     * @private
+     */
+    ensureIndex() {
+        if (this.managed) {
+            return;
+        }
+
+        const source = this.database ? this.database.articles : null;
+        const count = source ? (source.size || source.length || 0) : 0;
+        if (count > 0 && (source !== this.indexedSource || count !== this.indexedCount)) {
+            this.buildIndex(source);
+        } else if (this.index.size === 0 && this.articlesData) {
+            this.buildIndex(this.articlesData);
+        }
+    }
+
+    /**
+     * Get the index to search, built from the texts in force on a date if one is given
+     * @param {string} [asOf] - ISO date
+     * @returns {{index: InvertedIndex, articles: Map<string, Object>}} Index with its articles
+     * @private
+     */
+    getIndex(asOf) {
+        if (!asOf) {
+            return { index: this.index, articles: this.indexedArticles };
+        }
+
+        if (!this.datedIndex || this.datedIndex.asOf !== asOf) {
+            const dated = { asOf, index: new InvertedIndex({ textProcessor: this.index.textProcessor }), articles: new Map() };
+            this.indexedArticles.forEach(article => this.addToIndex(dated.index, dated.articles, Article.atDate(article, asOf)));
+            this.datedIndex = dated;
+        }
+
+        return this.datedIndex;
+    }
+
     getArticleCount() {
+        if (this.index.size > 0) return this.index.size;
         if (!this.articlesData) return 0;
         return this.articlesData.size || this.articlesData.length || 0;
     }
@@ -170,79 +328,393 @@ export class SearchEngine {
     
     /**
      * Execute search - Called by SearchManager
+     * The query language has AND, OR, NOT, parentheses, "phrases", rad* wildcards, +required and -excluded words,
+     * and category:, type: and clanak: filters. Words written next to each other are joined by the default operator.
+     * The last word may be unfinished ("otkaz" finds "otkazni")
+     * Every matching article is scored with BM25F, raised by how many words it contains and how close together they are
+     * When a word is found nowhere, it is matched to near spellings with the fuzzyThreshold of the relaxed preset of
+     * getSearchOptions, and when nothing is found even then, every word is with that of the ultraRelaxed one. The results found through near spellings
+     * are marked fuzzy and come after every exact match
+     * The ticked values of options.facets narrow the results before maxResults cuts them, results.matching holds every
+     * matching article whatever is ticked, and results.facets its counts from countFacets()
+     * @throws {Error} If the query is malformed
      */
     async executeSearch(query, options = {}) {
         console.log(`🔍 WORKING SearchEngine: Searching for "${query}"`);
         
-        if (!this.articlesData) {
+        this.ensureIndex();
+        if (this.index.size === 0) {
             console.error('❌ No articles data available for search');
             return [];
         }
         
         const mergedOptions = { ...this.options, ...options };
-        const maxResults = mergedOptions.maxResults || 50;
-        const results = [];
-        const searchTerm = query.toLowerCase();
-        
-        // Convert to searchable array
-        const articlesToSearch = this.articlesData instanceof Map ? 
-            Array.from(this.articlesData.entries()) : 
-            this.articlesData.map((article, index) => [article.id || index, article]);
-        
-        console.log(`🔍 Searching through ${articlesToSearch.length} articles`);
-        
-        // Search through all articles
-        for (const [id, article] of articlesToSearch) {
-            if (!article) continue;
-            
-            const title = (article.title || '').toLowerCase();
-            const content = (article.content || '').toLowerCase();
-            const keywords = (article.keywords || []).join(' ').toLowerCase();
-            
-            // Check if the search term is found
-            const titleMatch = title.includes(searchTerm);
-            const contentMatch = content.includes(searchTerm);
-            const keywordMatch = keywords.includes(searchTerm);
-            
-            if (titleMatch || contentMatch || keywordMatch) {
-                
-                // Calculate relevance score
-                let score = 0;
-                if (titleMatch) score += 3;     // Title matches are most important
-                if (contentMatch) score += 1;   // Content matches
-                if (keywordMatch) score += 2;   // Keyword matches are important
-                
-                // Bonus for exact matches
-                if (title === searchTerm) score += 5;
-                if (keywords === searchTerm) score += 3;
-                
-                // Create SearchResult object
-                const searchResult = new SearchResult(
-                    id,
-                    article,
-                    score / 10, // Normalize score to 0-1
-                    [searchTerm], // Search terms
-                    {
-                        titleMatch,
-                        contentMatch,
-                        keywordMatch,
-                        query: query
-                    }
-                );
-                
-                results.push(searchResult);
-                
-                if (results.length >= maxResults) break;
+        const searchTerm = String(query || '').toLowerCase().trim();
+        const weights = this.getFieldWeights(mergedOptions.scoringWeights);
+        const operator = String(mergedOptions.defaultOperator || SEARCH_CONFIG.DEFAULT_OPERATOR).toUpperCase() === 'AND' ? 'AND' : 'OR';
+        if (!searchTerm) {
+            return [];
+        }
+
+        const validation = this.validator.validateSearchQuery(String(query));
+        if (!validation.isValid) {
+            throw new Error(`Invalid search query: ${validation.errors.map(error => error.message).join(', ')}`);
+        }
+
+        // With a date, search the text that was in force on that day
+        const { index, articles } = this.getIndex(mergedOptions.asOf);
+        const tree = this.queryParser.parse(String(query), { defaultOperator: operator });
+        let groups = [];
+        let documents = tree ? this.evaluate(tree, { index, articles, groups, negated: false }) : new Set();
+
+        if (tree && mergedOptions.fuzzySearch) {
+            for (const preset of FUZZY_PRESETS) {
+                const found = Array.from(documents).some(id => this.passesFilters(articles.get(id), mergedOptions));
+                const unknown = preset === 'relaxed' && groups.some(group => group.documents.size === 0);
+                if (found && !unknown) {
+                    break;
+                }
+
+                // Only the similarity threshold comes from the preset, and one given to this search wins over it
+                const threshold = options.fuzzyThreshold ?? getSearchOptions[preset]().fuzzyThreshold;
+                const fuzzy = { threshold, everyWord: preset === 'ultraRelaxed' };
+                groups = [];
+                documents = this.evaluate(tree, { index, articles, groups, negated: false, fuzzy });
             }
         }
+
+        const scored = [];
+        const matching = [];
+        documents.forEach(id => {
+            const article = articles.get(id);
+            if (!article || !this.passesFilters(article, mergedOptions)) {
+                return;
+            }
+
+            matching.push(article);
+            if (!this.matchesFacets(article, mergedOptions.facets)) {
+                return;
+            }
+
+            // A query of filters only has no words to rank by
+            const matched = groups.filter(group => group.documents.has(id));
+            const window = this.findWindow(index, matched, id);
+            const coverage = groups.length > 0 ? matched.length / groups.length : 1;
+            const proximity = matched.length > 1 && window ? (matched.length - 1) / (window.end - window.start) : 0;
+            const near = matched.filter(group => group.near && !group.exactDocuments.has(id));
+            scored.push({
+                id,
+                article,
+                matched,
+                window,
+                fuzzy: near.length > 0,
+                nearWords: Array.from(new Set(near.flatMap(group => group.near))),
+                score: groups.length > 0 ? index.score(id, matched, weights) * coverage * (1 + proximity) : 1
+            });
+        });
+
+        // Sort by relevance score (highest first) over all matches, then keep the best
+        // Articles matched by a filter alone ("type:rights OR plaća") come last, and those found through near spellings
+        // come after the exact matches, scored no higher than the last of them
+        scored.sort((a, b) => a.fuzzy - b.fuzzy || b.score - a.score);
+        const exact = scored.filter(entry => !entry.fuzzy);
+        const best = scored.length > 0 ? scored[0].score : 0;
+        const floor = exact.length > 0 ? exact[exact.length - 1].score : Infinity;
+        const results = scored
+            .map(entry => ({ ...entry, relevance: best > 0 ? (entry.fuzzy ? Math.min(entry.score, floor) : entry.score) / best : 0 }))
+            .filter(entry => entry.relevance >= (mergedOptions.minRelevance || 0) || (groups.length > 0 && entry.matched.length === 0))
+            .slice(0, mergedOptions.maxResults || 50)
+            .map((entry, rank) => new SearchResult({
+                id: entry.id,
+                article: entry.article,
+                relevanceScore: entry.relevance,
+                matches: this.createMatches(index, entry, searchTerm, weights),
+                searchTerm,
+                searchOptions: { query, operator },
+                rank: rank + 1,
+                locations: Article.findLocations(entry.article, entry.matched.map(group => group.text)),
+                fuzzy: entry.fuzzy,
+                nearWords: entry.nearWords
+            }));
         
-        // Sort by relevance score (highest first)
-        results.sort((a, b) => b.relevanceScore - a.relevanceScore);
-        
-        console.log(`✅ WORKING SearchEngine found ${results.length} results for "${query}"`);
+        results.matching = matching;
+        results.facets = this.countFacets(matching, mergedOptions.facets);
+        console.log(`✅ WORKING SearchEngine found ${results.length} results for "${query}" (${scored.length} matching)`);
         
         return results;
     }
+
+    /**
+     * Propose a corrected query for a query that found nothing ("Did you mean")
+     * @param {string} query - Query as typed
+     * @param {Object} [options] - Suggestion options
+     * @param {string[]} [options.dictionary] - Further known terms, such as the search terms of other languages
+     * @returns {string|null} Corrected query, null if there is nothing to correct
+     */
+    suggestCorrection(query, options = {}) {
+        this.ensureIndex();
+        return this.spellingCorrector.suggest(query, this.index, options.dictionary);
+    }
+
+    /**
+     * Find the articles matching a query tree
+     * The words outside NOT are collected in context.groups for ranking
+     * @param {import('../utils/QueryParser.js').QueryNode} node - Query tree
+     * @param {Object} context - Index, articles, collected words and whether the node is negated
+     * @returns {Set<string>} IDs of the matching articles
+     * @private
+     */
+    evaluate(node, context) {
+        const { index, articles } = context;
+        const createGroup = (token, text, terms, prefix = false) => {
+            const group = { token, text, terms, prefix };
+            group.documents = index.getDocuments(group);
+            if (!context.negated) {
+                context.groups.push(group);
+            }
+            return group;
+        };
+
+        switch (node.type) {
+        case 'term': {
+            // An unfinished word also counts the words it is the start of ("otkaz" -> "otkazni")
+            const stem = index.normalize(node.value);
+            const terms = node.prefix ? Array.from(new Set([stem, ...index.expandPrefix(node.value)])) : [stem];
+            const exactDocuments = index.getDocuments({ terms });
+            const near = context.fuzzy && !context.negated && (context.fuzzy.everyWord || exactDocuments.size === 0) ?
+                index.findSimilar(node.value, context.fuzzy.threshold).filter(match => !terms.includes(match.stem)) : [];
+            if (near.length === 0) {
+                return createGroup(node.value, node.text, terms, node.prefix).documents;
+            }
+
+            const group = createGroup(node.value, node.text, Array.from(new Set([...terms, ...near.map(match => match.stem)])), node.prefix);
+            // The closest spelling of each near word stands for it ("prekovremeni", not every case form)
+            group.near = near.filter((match, i) => near.findIndex(other => other.stem === match.stem) === i).map(match => match.spelling);
+            group.exactDocuments = exactDocuments;
+            return group.documents;
+        }
+
+        case 'wildcard':
+            return createGroup(node.value, node.text.toLowerCase().split(/[*?]/u)[0], index.matchTerms(node.value), true).documents;
+
+        case 'phrase': {
+            const typed = node.text.toLowerCase().match(new RegExp(index.textProcessor.wordPattern.source, 'gu')) || [];
+            const words = node.words.map((word, position) => createGroup(word, typed[position], [index.normalize(word)]));
+            return new Set(Array.from(words[0].documents).filter(id => this.findPhrase(index, words, id)));
+        }
+
+        case 'field': {
+            const value = FILTER_VALUES[node.field](node.value);
+            return new Set(Array.from(articles.keys()).filter(id => FIELD_FILTERS[node.field](articles.get(id)) === value));
+        }
+
+        case 'not': {
+            const excluded = this.evaluate(node.child, { ...context, negated: !context.negated });
+            return new Set(Array.from(articles.keys()).filter(id => !excluded.has(id)));
+        }
+
+        case 'required':
+        case 'filter':
+            return this.evaluate(node.child, context);
+
+        case 'and':
+            return node.children
+                .map(child => this.evaluate(child, context))
+                .reduce((documents, next) => new Set(Array.from(documents).filter(id => next.has(id))));
+
+        case 'or': {
+            // +required words must all occur, -excluded words must not, the other words are optional,
+            // and field filters narrow what the words find
+            const required = [];
+            const optional = [];
+            const excluded = [];
+            const filters = [];
+            node.children.forEach(child => {
+                if (child.type === 'not') {
+                    excluded.push(this.evaluate(child.child, { ...context, negated: !context.negated }));
+                } else if (child.type === 'filter') {
+                    filters.push(this.evaluate(child, context));
+                } else {
+                    (child.type === 'required' ? required : optional).push(this.evaluate(child, context));
+                }
+            });
+
+            let documents;
+            if (required.length > 0) {
+                documents = required.reduce((found, next) => new Set(Array.from(found).filter(id => next.has(id))));
+            } else if (optional.length > 0) {
+                documents = new Set(optional.flatMap(found => Array.from(found)));
+            } else {
+                documents = new Set(articles.keys());
+            }
+            return new Set(Array.from(documents).filter(id => !excluded.some(found => found.has(id)) && filters.every(found => found.has(id))));
+        }
+
+        default:
+            throw new Error(`Unknown query node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Check an article against the filters of the search options
+     * @param {Object} article - Article
+     * @param {Object} options - Search options with law, categories and articleType
+     * @returns {boolean} True if the article passes every filter
+     * @private
+     */
+    passesFilters(article, options) {
+        return (!options.law || article.law === options.law) &&
+            (!Array.isArray(options.categories) || options.categories.length === 0 || options.categories.includes(article.category)) &&
+            (!options.articleType || article.articleType === options.articleType);
+    }
+
+    /**
+     * Get the values an article has for each facet
+     * @param {Object} article - Article
+     * @returns {Object<string, string[]>} Values by facet
+     * @private
+     */
+    getFacetValues(article) {
+        return Object.fromEntries(Object.entries(FACETS).map(([facet, read]) => [facet, Array.from(new Set(read(article).filter(Boolean)))]));
+    }
+
+    /**
+     * Check an article against the ticked facet values
+     * The values ticked in one facet are alternatives, and every facet with ticked values must match
+     * @param {Object} article - Article
+     * @param {Object<string, string[]>} [selected] - Ticked values by facet
+     * @param {string} [except] - Facet left out of the check
+     * @returns {boolean} True if the article matches
+     */
+    matchesFacets(article, selected = {}, except = null) {
+        const values = this.getFacetValues(article);
+        return Object.keys(FACETS).every(facet => facet === except || !Array.isArray(selected[facet]) ||
+            selected[facet].length === 0 || selected[facet].some(value => values[facet].includes(value)));
+    }
+
+    /**
+     * Count the articles having each facet value
+     * The counts of a facet take only the other facets' ticked values into account, so each value says how many
+     * articles ticking it as well would show. Ticked values are listed even when no article has them.
+     * @param {Object[]} articles - Articles to count
+     * @param {Object<string, string[]>} [selected] - Ticked values by facet
+     * @returns {Object<string, {value: string, count: number, selected: boolean}[]>} Values by facet, most frequent first
+     */
+    countFacets(articles, selected = {}) {
+        const counts = Object.fromEntries(Object.keys(FACETS).map(facet => [facet, new Map((selected[facet] || []).map(value => [value, 0]))]));
+
+        articles.forEach(article => {
+            const values = this.getFacetValues(article);
+            Object.keys(FACETS)
+                .filter(facet => this.matchesFacets(article, selected, facet))
+                .forEach(facet => values[facet].forEach(value => counts[facet].set(value, (counts[facet].get(value) || 0) + 1)));
+        });
+
+        return Object.fromEntries(Object.entries(counts).map(([facet, values]) => [facet, Array.from(values, ([value, count]) => ({
+            value,
+            count,
+            selected: (selected[facet] || []).includes(value)
+        })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))]));
+    }
+
+    /**
+     * Check whether the words of a phrase follow each other in a field of an article
+     * @param {InvertedIndex} index - Index to search
+     * @param {Object[]} groups - Words of the phrase in order
+     * @param {string} id - Article ID
+     * @returns {boolean} True if some field holds the phrase
+     * @private
+     */
+    findPhrase(index, groups, id) {
+        return index.getFields(id).some(field => {
+            const positions = groups.map(group => index.getPositions(group, id, field));
+            return positions[0].some(first => positions.every((list, offset) => list.includes(first + offset)));
+        });
+    }
+
+    /**
+     * Find the shortest stretch of one field holding every query word found in an article
+     * @param {InvertedIndex} index - Index to search
+     * @param {Object[]} groups - Query words found in the article
+     * @param {string} id - Article ID
+     * @returns {{field: string, start: number, end: number}|null} Word positions of the stretch, null if no field holds all the words
+     * @private
+     */
+    findWindow(index, groups, id) {
+        let best = null;
+        if (groups.length === 0) {
+            return best;
+        }
+
+        index.getFields(id).forEach(field => {
+            const positions = groups.map(group => index.getPositions(group, id, field));
+            if (positions.some(list => list.length === 0)) {
+                return;
+            }
+
+            // Move the word furthest behind forward until one of the words runs out
+            const cursors = positions.map(() => 0);
+            for (;;) {
+                const current = positions.map((list, i) => list[cursors[i]]);
+                const start = Math.min(...current);
+                const end = Math.max(...current);
+                if (!best || end - start < best.end - best.start) {
+                    best = { field, start, end };
+                }
+
+                const behind = current.indexOf(start);
+                if (++cursors[behind] >= positions[behind].length) {
+                    break;
+                }
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Describe where an article matched, for snippets and highlighting
+     * @param {InvertedIndex} index - Index searched
+     * @param {Object} entry - Scored article with the query words it contains
+     * @param {string} searchTerm - Lower-case query
+     * @param {Object<string, number>} weights - Field weights
+     * @returns {Object[]} Matches with the character position where the words are closest, or of the first one
+     * @private
+     */
+    createMatches(index, entry, searchTerm, weights) {
+        const texts = {
+            title: entry.article.title,
+            keywords: (entry.article.keywords || []).join(', '),
+            content: entry.article.content
+        };
+
+        return index.getFields(entry.id).flatMap(field => {
+            const positions = entry.matched.flatMap(group => index.getPositions(group, entry.id, field));
+            if (positions.length === 0) {
+                return [];
+            }
+
+            // SearchResult has no text for the heading, so its snippet starts at the beginning of the content
+            const position = entry.window && entry.window.field === field ? entry.window.start : Math.min(...positions);
+            const words = texts[field] ? Array.from(String(texts[field]).matchAll(new RegExp(index.textProcessor.wordPattern.source, 'gu'))) : [];
+            return [{
+                field,
+                text: searchTerm,
+                position: words[position] ? words[position].index : undefined,
+                score: weights[field] || 0
+            }];
+        });
+    }
+
+    /**
+     * Map the scoring weights of the search options onto the indexed fields
+     * @param {Object} [scoringWeights] - Weights by title, keywords and content
+     * @returns {Object<string, number>} Weight of each indexed field
+     * @private
+     */
+    getFieldWeights(scoringWeights = {}) {
+        const weights = { ...this.options.scoringWeights, ...scoringWeights };
+        return Object.fromEntries(Object.entries(FIELD_WEIGHTS).map(([field, key]) => [field, weights[key] || 0]));
+    }
     
     /**
      * Multi-language search with translations
@@ -253,7 +725,7 @@ export class SearchEngine {
         // Search for all Croatian terms
         if (translations.croatian && Array.isArray(translations.croatian)) {
             for (const term of translations.croatian) {
-                const termResults = await this.search(term, { maxResults: 50 });
+                const termResults = await this.search(term, { asOf: options.asOf, maxResults: 50 });
                 allResults.push(...termResults);
             }
         }
@@ -277,6 +749,13 @@ export class SearchEngine {
         return uniqueResults.slice(0, maxResults);
     }
     
+    /**
+     * Forget indexes derived from the current one
+     */
+    clearCache() {
+        this.datedIndex = null;
+    }
+
     /**
      * Update database reference
      */
@@ -291,6 +770,7 @@ export class SearchEngine {
     getStats() {
         return {
             articleCount: this.getArticleCount(),
+            indexStats: this.index.getStats(),
             hasDatabase: !!this.database,
             hasArticles: !!this.articlesData,
             databaseType: typeof this.database,
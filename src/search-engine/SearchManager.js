@@ -6,10 +6,148 @@
 // Import enhanced system functions
 import { getFactChecker } from '../integration.js';
 import { SearchEngine } from './SearchEngine.js';
+import { Article } from '../models/Article.js';
+import { TextProcessor } from '../utils/TextProcessor.js';
 import SmartAnswerEngine from '../features/smart-answers/engines/SmartAnswerEngine.js';
 import { FeedbackRanking } from './components/FeedbackRanking.js';
 import { SEARCH_CONFIG, getSearchOptions, COMPREHENSIVE_SEARCH_TERMS } from '../searchConfig.js';
 
+// Basic translation dictionary for common legal terms
+const QUERY_TRANSLATIONS = {
+    // Working time terms
+    'radna vremena': { english: 'working hours', spanish: 'horas trabajo' },
+    'working hours': { croatian: 'radna vremena', spanish: 'horas trabajo' },
+    'horas trabajo': { croatian: 'radna vremena', english: 'working hours' },
+    'radno vrijeme': { english: 'working time', spanish: 'tiempo trabajo' },
+    'working time': { croatian: 'radno vrijeme', spanish: 'tiempo trabajo' },
+    'tiempo trabajo': { croatian: 'radno vrijeme', english: 'working time' },
+
+    // Contract terms
+    'ugovor': { english: 'contract', spanish: 'contrato' },
+    'contract': { croatian: 'ugovor', spanish: 'contrato' },
+    'contrato': { croatian: 'ugovor', english: 'contract' },
+    'ugovor o radu': { english: 'employment contract', spanish: 'contrato trabajo' },
+    'employment contract': { croatian: 'ugovor o radu', spanish: 'contrato trabajo' },
+    'contrato trabajo': { croatian: 'ugovor o radu', english: 'employment contract' },
+
+    // Leave terms
+    'odmor': { english: 'leave', spanish: 'vacaciones' },
+    'leave': { croatian: 'odmor', spanish: 'vacaciones' },
+    'vacaciones': { croatian: 'odmor', english: 'leave' },
+    'vacation': { croatian: 'odmor', spanish: 'vacaciones' },
+    'vacation days': { croatian: 'godišnji odmor', spanish: 'días de vacaciones' },
+    'días de vacaciones': { croatian: 'godišnji odmor', english: 'vacation days' },
+    'holiday': { croatian: 'odmor', spanish: 'vacaciones' },
+    'holidays': { croatian: 'odmor', spanish: 'vacaciones' },
+    'godišnji odmor': { english: 'annual leave', spanish: 'vacaciones anuales' },
+    'annual leave': { croatian: 'godišnji odmor', spanish: 'vacaciones anuales' },
+    'vacaciones anuales': { croatian: 'godišnji odmor', english: 'annual leave' },
+    'godišnji': { english: 'annual', spanish: 'anual' },
+    'annual': { croatian: 'godišnji', spanish: 'anual' },
+    'anual': { croatian: 'godišnji', english: 'annual' },
+    'rodiljski dopust': { english: 'maternity leave', spanish: 'licencia maternidad' },
+    'maternity leave': { croatian: 'rodiljski dopust', spanish: 'licencia maternidad' },
+    'licencia maternidad': { croatian: 'rodiljski dopust', english: 'maternity leave' },
+    'maternal': { croatian: 'majčinski', spanish: 'maternal' },
+    'majčinski': { english: 'maternal', spanish: 'maternal' },
+    'materinski': { english: 'maternity', spanish: 'maternidad' },
+    'maternity': { croatian: 'materinski', spanish: 'maternidad' },
+    'maternidad': { croatian: 'materinski', english: 'maternity' },
+    'rodilnica': { english: 'maternity ward', spanish: 'maternidad' },
+    'pregnancy': { croatian: 'trudnoća', spanish: 'embarazo' },
+    'trudnoća': { english: 'pregnancy', spanish: 'embarazo' },
+    'embarazo': { croatian: 'trudnoća', english: 'pregnancy' },
+    'baby': { croatian: 'dijete', spanish: 'bebé' },
+    'dijete': { english: 'baby', spanish: 'bebé' },
+    'bebé': { croatian: 'dijete', english: 'baby' },
+    'porodiljna': { english: 'maternity benefit', spanish: 'prestación maternidad' },
+    'maternity benefit': { croatian: 'porodiljna', spanish: 'prestación maternidad' },
+    'prestación maternidad': { croatian: 'porodiljna', english: 'maternity benefit' },
+
+    // Termination terms
+    'otkaz': { english: 'termination', spanish: 'despido' },
+    'termination': { croatian: 'otkaz', spanish: 'despido' },
+    'despido': { croatian: 'otkaz', english: 'termination' },
+    'otkazni rok': { english: 'notice period', spanish: 'período aviso' },
+    'notice period': { croatian: 'otkazni rok', spanish: 'período aviso' },
+    'período aviso': { croatian: 'otkazni rok', english: 'notice period' },
+
+    // Salary terms
+    'plaća': { english: 'salary', spanish: 'salario' },
+    'salary': { croatian: 'plaća', spanish: 'salario' },
+    'salario': { croatian: 'plaća', english: 'salary' },
+
+    // Overtime terms
+    'prekovremeni rad': { english: 'overtime work', spanish: 'trabajo horas extra' },
+    'overtime work': { croatian: 'prekovremeni rad', spanish: 'trabajo horas extra' },
+    'trabajo horas extra': { croatian: 'prekovremeni rad', english: 'overtime work' },
+    'prekovremeni': { english: 'overtime', spanish: 'horas extra' },
+    'overtime': { croatian: 'prekovremeni', spanish: 'horas extra' },
+    'horas extra': { croatian: 'prekovremeni', english: 'overtime' },
+
+    // General terms
+    'radnik': { english: 'worker', spanish: 'trabajador' },
+    'worker': { croatian: 'radnik', spanish: 'trabajador' },
+    'trabajador': { croatian: 'radnik', english: 'worker' },
+    'poslodavac': { english: 'employer', spanish: 'empleador' },
+    'employer': { croatian: 'poslodavac', spanish: 'empleador' },
+    'empleador': { croatian: 'poslodavac', english: 'employer' },
+    'radnica': { english: 'female worker', spanish: 'trabajadora' },
+    'female worker': { croatian: 'radnica', spanish: 'trabajadora' },
+    'trabajadora': { croatian: 'radnica', english: 'female worker' },
+
+    // Time units
+    'sati': { english: 'hours', spanish: 'horas' },
+    'hours': { croatian: 'sati', spanish: 'horas' },
+    'horas': { croatian: 'sati', english: 'hours' },
+    'dana': { english: 'days', spanish: 'días' },
+    'days': { croatian: 'dana', spanish: 'días' },
+    'días': { croatian: 'dana', english: 'days' },
+    'mjeseci': { english: 'months', spanish: 'meses' },
+    'months': { croatian: 'mjeseci', spanish: 'meses' },
+    'meses': { croatian: 'mjeseci', english: 'months' },
+    'godina': { english: 'years', spanish: 'años' },
+    'years': { croatian: 'godina', spanish: 'años' },
+    'años': { croatian: 'godina', english: 'years' },
+
+    // Additional Spanish terms for comprehensive search
+    'licencia': { croatian: 'dopust', english: 'license' },
+    'dopust': { english: 'license', spanish: 'licencia' },
+    'permiso': { croatian: 'dozvola', english: 'permit' },
+    'dozvola': { english: 'permit', spanish: 'permiso' },
+    'baja': { croatian: 'bolovanje', english: 'sick leave' },
+    'bolovanje': { english: 'sick leave', spanish: 'baja' },
+    'baja por enfermedad': { croatian: 'bolovanje', english: 'sick leave' },
+    'sick leave': { croatian: 'bolovanje', spanish: 'baja por enfermedad' },
+    'prestaciones': { croatian: 'beneficije', english: 'benefits' },
+    'beneficije': { english: 'benefits', spanish: 'prestaciones' },
+    'benefits': { croatian: 'beneficije', spanish: 'prestaciones' },
+    'empleado': { croatian: 'zaposlenik', english: 'employee' },
+    'zaposlenik': { english: 'employee', spanish: 'empleado' },
+    'employee': { croatian: 'zaposlenik', spanish: 'empleado' },
+    'empleada': { croatian: 'zaposlenica', english: 'female employee' },
+    'zaposlenica': { english: 'female employee', spanish: 'empleada' },
+    'female employee': { croatian: 'zaposlenica', spanish: 'empleada' },
+    'empresa': { croatian: 'tvrtka', english: 'company' },
+    'tvrtka': { english: 'company', spanish: 'empresa' },
+    'company': { croatian: 'tvrtka', spanish: 'empresa' },
+    'jornada': { croatian: 'radno vrijeme', english: 'working day' },
+    'working day': { croatian: 'radno vrijeme', spanish: 'jornada' },
+    'descanso': { croatian: 'odmor', english: 'rest' },
+    'rest': { croatian: 'odmor', spanish: 'descanso' },
+    'horario': { croatian: 'raspored', english: 'schedule' },
+    'raspored': { english: 'schedule', spanish: 'horario' },
+    'schedule': { croatian: 'raspored', spanish: 'horario' }
+};
+
+// Every term of the dictionary, in all three languages, known to the spelling corrector
+const DICTIONARY_TERMS = Array.from(new Set(Object.entries(QUERY_TRANSLATIONS)
+    .flatMap(([term, translations]) => [term, ...Object.values(translations)])));
+
+// Operators, +required and -excluded words, groups and field:filters of the query language. A colon after any
+// other word ("napomena: otkaz") is plain text
+const QUERY_LANGUAGE = /(?:^|[\s(])(?:AND|OR|NOT)(?=[\s(]|$)|(?:^|[\s(])[+-](?=[\p{L}\p{N}"(])|[()]|(?:^|[\s(+-])(?:[Cc]ategory|[Tt]ype|[Cc]lanak):[^\s)]/u;
+
 class CroatianLawSearchEngine {
     constructor() {
         console.log('EnhancedSearchManager constructor starting...');
@@ -26,6 +164,10 @@ class CroatianLawSearchEngine {
         this.searchTimeout = null;
         this.isSearching = false;
         this.enhancedMode = true;
+        this.glossaryTooltipCount = 0; // unique IDs for the definition tooltips
+        this.lastSearch = null; // query, translations and filters of the last search, searched again as facets are ticked
+        this.selectedFacets = {}; // facet -> ticked values
+        this.textProcessor = new TextProcessor(); // folds diacritics when marking search terms
         
         // Feedback ranking system
         console.log('Initializing feedback ranking...');
@@ -96,7 +238,13 @@ class CroatianLawSearchEngine {
                 });
                 
                 this.searchEngine = new SearchEngine(database);
+                this.migrateStoredArticleIds(database);
                 console.log('✅ SearchEngine initialized successfully with database');
+                this.renderLawFilter();
+                this.renderTableOfContents();
+                this.renderDirectiveBrowser();
+                this.renderDeadlines();
+                this.renderStatements();
                 
                 // Verify SearchEngine has articles
                 setTimeout(() => {
@@ -138,6 +286,7 @@ class CroatianLawSearchEngine {
             if (database && (database.articles?.size > 0 || database.articles?.length > 0)) {
                 console.log('✅ Database found after', attempts, 'attempts');
                 this.searchEngine = new SearchEngine(database);
+                this.migrateStoredArticleIds(database);
                 console.log('🔍 SearchEngine initialized with', this.searchEngine.getArticleCount(), 'articles');
                 return;
             }
@@ -164,6 +313,7 @@ class CroatianLawSearchEngine {
         this.resultsInfo = document.getElementById('results-info');
         this.resultsCount = document.getElementById('results-count');
         this.searchQueryDisplay = document.getElementById('search-query-display');
+        this.facetsContainer = document.getElementById('search-facets');
     }
 
     bindEvents() {
@@ -206,6 +356,77 @@ class CroatianLawSearchEngine {
             });
         }
 
+        // Repeat the search against the text in force on the new date
+        const asOfInput = document.getElementById('as-of-date');
+        if (asOfInput) {
+            asOfInput.addEventListener('change', () => {
+                if (this.searchInput && this.searchInput.value.trim()) {
+                    this.performSearch();
+                }
+            });
+        }
+
+        // Limit the search and the table of contents to one law
+        const lawFilter = document.getElementById('law-filter');
+        if (lawFilter) {
+            lawFilter.addEventListener('change', () => {
+                this.renderTableOfContents();
+                this.renderDeadlines();
+                this.renderStatements();
+                if (this.searchInput && this.searchInput.value.trim()) {
+                    this.performSearch();
+                }
+            });
+        }
+
+        // Let keyboard users close a definition tooltip without moving focus
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && document.activeElement?.classList.contains('glossary-term')) {
+                document.activeElement.classList.add('glossary-dismissed');
+            }
+        });
+        document.addEventListener('focusout', event => event.target.classList?.remove('glossary-dismissed'));
+
+        // Narrow the deadline listing to a topic
+        const deadlineTopic = document.getElementById('deadline-topic');
+        if (deadlineTopic) {
+            deadlineTopic.addEventListener('input', () => this.renderDeadlines());
+        }
+
+        // Search again narrowed to the ticked facet values
+        if (this.facetsContainer) {
+            this.facetsContainer.addEventListener('change', event => {
+                const checkbox = event.target.closest('.facet-checkbox');
+                if (checkbox) {
+                    this.toggleFacet(checkbox.dataset.facet, checkbox.value, checkbox.checked);
+                }
+            });
+            this.facetsContainer.addEventListener('click', event => {
+                if (event.target.closest('.facets-clear')) {
+                    this.selectedFacets = {};
+                    this.displayFacetedResults();
+                }
+            });
+        }
+
+        // Show what the chosen party must do, must not do or is entitled to
+        ['statement-party', 'statement-type'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.renderStatements());
+            }
+        });
+
+        // Compare the loaded law with another consolidated text
+        const compareFile = document.getElementById('compare-file');
+        if (compareFile) {
+            compareFile.addEventListener('change', () => {
+                if (compareFile.files && compareFile.files[0]) {
+                    this.loadComparison(compareFile.files[0]);
+                }
+            });
+        }
+
         // Clear history button
         const clearHistoryButton = document.getElementById('clear-history');
         if (clearHistoryButton) {
@@ -221,9 +442,44 @@ class CroatianLawSearchEngine {
             this.setupQuickAccessButtons();
             // Update smart answer translations if visible
             this.updateSmartAnswerTranslations();
+            this.renderLawFilter();
+            this.renderTableOfContents();
+            this.renderDirectiveBrowser();
+            this.renderDeadlines();
+            this.renderStatements();
         });
     }
 
+    /**
+     * Move the feedback rankings and bookmarks saved under old or unscoped article IDs to the current IDs
+     * @param {Object} database - Loaded database
+     */
+    migrateStoredArticleIds(database) {
+        if (typeof database.resolveArticleId !== 'function') {
+            return;
+        }
+
+        const resolveId = id => database.resolveArticleId(id);
+        this.feedbackRanking.migrateArticleIds(resolveId);
+
+        try {
+            const bookmarks = JSON.parse(localStorage.getItem('bookmarked-articles') || '[]');
+            const migrated = [];
+            bookmarks.forEach(bookmark => {
+                const id = resolveId(bookmark.id);
+                if (!migrated.some(entry => entry.id === id)) {
+                    migrated.push({ ...bookmark, id });
+                }
+            });
+
+            if (migrated.length < bookmarks.length || migrated.some((bookmark, index) => bookmark.id !== bookmarks[index].id)) {
+                localStorage.setItem('bookmarked-articles', JSON.stringify(migrated));
+            }
+        } catch (error) {
+            console.warn('Error migrating bookmarks:', error);
+        }
+    }
+
     onDatabaseReady() {
         console.log('Database ready, search engine initialized');
         
@@ -232,6 +488,7 @@ class CroatianLawSearchEngine {
             const database = window.legalDatabase || window.enhancedDatabase;
             if (database && !this.searchEngine) {
                 this.searchEngine = new SearchEngine(database);
+                this.migrateStoredArticleIds(database);
                 console.log('SearchEngine initialized successfully (fallback)');
             }
         } catch (error) {
@@ -389,6 +646,20 @@ class CroatianLawSearchEngine {
             return; // Prevent multiple simultaneous searches
         }
 
+        // A citation opens the cited articles instead of searching for its numbers
+        if (this.showCitation(query)) {
+            this.addToSearchHistory(query);
+            this.hideSuggestions();
+            return;
+        }
+
+        // Say what is wrong with a malformed query instead of searching
+        const validation = this.searchEngine?.validator?.validateSearchQuery(query);
+        if (validation && !validation.isValid) {
+            this.showError(`${window.i18n?.translate('invalid-query') || 'Invalid search query'}: ${validation.errors.map(error => error.message).join(', ')}`);
+            return;
+        }
+
         this.isSearching = true;
         this.showLoadingState();
         this.hideSuggestions();
@@ -403,11 +674,10 @@ class CroatianLawSearchEngine {
             // Translate query to multiple languages for comprehensive search
             const translatedQueries = await this.translateQuery(query);
             
-            // Perform search with translated queries
-            const results = await this.executeMultiLanguageSearch(translatedQueries, filters);
-            
-            // Display results
-            this.displaySearchResults(results, query);
+            // Perform search with translated queries, nothing ticked yet for a new search
+            this.lastSearch = { query, translatedQueries, filters };
+            this.selectedFacets = {};
+            await this.displayFacetedResults();
             
         } catch (error) {
             console.error('Search error:', error);
@@ -427,133 +697,7 @@ class CroatianLawSearchEngine {
             spanish: []
         };
 
-        // Basic translation dictionary for common legal terms
-        const translations = {
-            // Working time terms
-            'radna vremena': { english: 'working hours', spanish: 'horas trabajo' },
-            'working hours': { croatian: 'radna vremena', spanish: 'horas trabajo' },
-            'horas trabajo': { croatian: 'radna vremena', english: 'working hours' },
-            'radno vrijeme': { english: 'working time', spanish: 'tiempo trabajo' },
-            'working time': { croatian: 'radno vrijeme', spanish: 'tiempo trabajo' },
-            'tiempo trabajo': { croatian: 'radno vrijeme', english: 'working time' },
-            
-            // Contract terms
-            'ugovor': { english: 'contract', spanish: 'contrato' },
-            'contract': { croatian: 'ugovor', spanish: 'contrato' },
-            'contrato': { croatian: 'ugovor', english: 'contract' },
-            'ugovor o radu': { english: 'employment contract', spanish: 'contrato trabajo' },
-            'employment contract': { croatian: 'ugovor o radu', spanish: 'contrato trabajo' },
-            'contrato trabajo': { croatian: 'ugovor o radu', english: 'employment contract' },
-            
-            // Leave terms
-            'odmor': { english: 'leave', spanish: 'vacaciones' },
-            'leave': { croatian: 'odmor', spanish: 'vacaciones' },
-            'vacaciones': { croatian: 'odmor', english: 'leave' },
-            'vacation': { croatian: 'odmor', spanish: 'vacaciones' },
-            'vacation days': { croatian: 'godišnji odmor', spanish: 'días de vacaciones' },
-            'días de vacaciones': { croatian: 'godišnji odmor', english: 'vacation days' },
-            'holiday': { croatian: 'odmor', spanish: 'vacaciones' },
-            'holidays': { croatian: 'odmor', spanish: 'vacaciones' },
-            'godišnji odmor': { english: 'annual leave', spanish: 'vacaciones anuales' },
-            'annual leave': { croatian: 'godišnji odmor', spanish: 'vacaciones anuales' },
-            'vacaciones anuales': { croatian: 'godišnji odmor', english: 'annual leave' },
-            'godišnji': { english: 'annual', spanish: 'anual' },
-            'annual': { croatian: 'godišnji', spanish: 'anual' },
-            'anual': { croatian: 'godišnji', english: 'annual' },
-            'rodiljski dopust': { english: 'maternity leave', spanish: 'licencia maternidad' },
-            'maternity leave': { croatian: 'rodiljski dopust', spanish: 'licencia maternidad' },
-            'licencia maternidad': { croatian: 'rodiljski dopust', english: 'maternity leave' },
-            'maternal': { croatian: 'majčinski', spanish: 'maternal' },
-            'majčinski': { english: 'maternal', spanish: 'maternal' },
-            'materinski': { english: 'maternity', spanish: 'maternidad' },
-            'maternity': { croatian: 'materinski', spanish: 'maternidad' },
-            'maternidad': { croatian: 'materinski', english: 'maternity' },
-            'rodilnica': { english: 'maternity ward', spanish: 'maternidad' },
-            'pregnancy': { croatian: 'trudnoća', spanish: 'embarazo' },
-            'trudnoća': { english: 'pregnancy', spanish: 'embarazo' },
-            'embarazo': { croatian: 'trudnoća', english: 'pregnancy' },
-            'baby': { croatian: 'dijete', spanish: 'bebé' },
-            'dijete': { english: 'baby', spanish: 'bebé' },
-            'bebé': { croatian: 'dijete', english: 'baby' },
-            'porodiljna': { english: 'maternity benefit', spanish: 'prestación maternidad' },
-            'maternity benefit': { croatian: 'porodiljna', spanish: 'prestación maternidad' },
-            'prestación maternidad': { croatian: 'porodiljna', english: 'maternity benefit' },
-            
-            // Termination terms
-            'otkaz': { english: 'termination', spanish: 'despido' },
-            'termination': { croatian: 'otkaz', spanish: 'despido' },
-            'despido': { croatian: 'otkaz', english: 'termination' },
-            'otkazni rok': { english: 'notice period', spanish: 'período aviso' },
-            'notice period': { croatian: 'otkazni rok', spanish: 'período aviso' },
-            'período aviso': { croatian: 'otkazni rok', english: 'notice period' },
-            
-            // Salary terms
-            'plaća': { english: 'salary', spanish: 'salario' },
-            'salary': { croatian: 'plaća', spanish: 'salario' },
-            'salario': { croatian: 'plaća', english: 'salary' },
-            
-            // Overtime terms
-            'prekovremeni rad': { english: 'overtime work', spanish: 'trabajo horas extra' },
-            'overtime work': { croatian: 'prekovremeni rad', spanish: 'trabajo horas extra' },
-            'trabajo horas extra': { croatian: 'prekovremeni rad', english: 'overtime work' },
-            'prekovremeni': { english: 'overtime', spanish: 'horas extra' },
-            'overtime': { croatian: 'prekovremeni', spanish: 'horas extra' },
-            'horas extra': { croatian: 'prekovremeni', english: 'overtime' },
-            
-            // General terms
-            'radnik': { english: 'worker', spanish: 'trabajador' },
-            'worker': { croatian: 'radnik', spanish: 'trabajador' },
-            'trabajador': { croatian: 'radnik', english: 'worker' },
-            'poslodavac': { english: 'employer', spanish: 'empleador' },
-            'employer': { croatian: 'poslodavac', spanish: 'empleador' },
-            'empleador': { croatian: 'poslodavac', english: 'employer' },
-            'radnica': { english: 'female worker', spanish: 'trabajadora' },
-            'female worker': { croatian: 'radnica', spanish: 'trabajadora' },
-            'trabajadora': { croatian: 'radnica', english: 'female worker' },
-            
-            // Time units
-            'sati': { english: 'hours', spanish: 'horas' },
-            'hours': { croatian: 'sati', spanish: 'horas' },
-            'horas': { croatian: 'sati', english: 'hours' },
-            'dana': { english: 'days', spanish: 'días' },
-            'days': { croatian: 'dana', spanish: 'días' },
-            'días': { croatian: 'dana', english: 'days' },
-            'mjeseci': { english: 'months', spanish: 'meses' },
-            'months': { croatian: 'mjeseci', spanish: 'meses' },
-            'meses': { croatian: 'mjeseci', english: 'months' },
-            'godina': { english: 'years', spanish: 'años' },
-            'years': { croatian: 'godina', spanish: 'años' },
-            'años': { croatian: 'godina', english: 'years' },
-            
-            // Additional Spanish terms for comprehensive search
-            'licencia': { croatian: 'dopust', english: 'license' },
-            'dopust': { english: 'license', spanish: 'licencia' },
-            'permiso': { croatian: 'dozvola', english: 'permit' },
-            'dozvola': { english: 'permit', spanish: 'permiso' },
-            'baja': { croatian: 'bolovanje', english: 'sick leave' },
-            'bolovanje': { english: 'sick leave', spanish: 'baja' },
-            'baja por enfermedad': { croatian: 'bolovanje', english: 'sick leave' },
-            'sick leave': { croatian: 'bolovanje', spanish: 'baja por enfermedad' },
-            'prestaciones': { croatian: 'beneficije', english: 'benefits' },
-            'beneficije': { english: 'benefits', spanish: 'prestaciones' },
-            'benefits': { croatian: 'beneficije', spanish: 'prestaciones' },
-            'empleado': { croatian: 'zaposlenik', english: 'employee' },
-            'zaposlenik': { english: 'employee', spanish: 'empleado' },
-            'employee': { croatian: 'zaposlenik', spanish: 'empleado' },
-            'empleada': { croatian: 'zaposlenica', english: 'female employee' },
-            'zaposlenica': { english: 'female employee', spanish: 'empleada' },
-            'female employee': { croatian: 'zaposlenica', spanish: 'empleada' },
-            'empresa': { croatian: 'tvrtka', english: 'company' },
-            'tvrtka': { english: 'company', spanish: 'empresa' },
-            'company': { croatian: 'tvrtka', spanish: 'empresa' },
-            'jornada': { croatian: 'radno vrijeme', english: 'working day' },
-            'working day': { croatian: 'radno vrijeme', spanish: 'jornada' },
-            'descanso': { croatian: 'odmor', english: 'rest' },
-            'rest': { croatian: 'odmor', spanish: 'descanso' },
-            'horario': { croatian: 'raspored', english: 'schedule' },
-            'raspored': { english: 'schedule', spanish: 'horario' },
-            'schedule': { croatian: 'raspored', spanish: 'horario' }
-        };
+        const translations = QUERY_TRANSLATIONS;
 
         // Start with original query
         queryTerms.croatian.push(query);
@@ -660,6 +804,13 @@ class CroatianLawSearchEngine {
 
         // Perform searches in all languages and combine results
         const allResults = new Map();
+
+        // Facets are counted over every article a search matches, not only the results it keeps
+        const matching = new Map();
+        const collectMatching = results => (results.matching || []).forEach(article => matching.set(article.id, article));
+        const withFacets = results => Object.assign(results, {
+            facets: this.searchEngine.countFacets(Array.from(matching.values()), filters.facets)
+        });
         
         // Check if this is a special term that needs comprehensive search
         const queryLower = translatedQueries.original.toLowerCase();
@@ -671,6 +822,15 @@ class CroatianLawSearchEngine {
         
         // Choose search options based on term type
         const searchOptions = isSpecialTerm ? getSearchOptions.comprehensive() : getSearchOptions.standard();
+
+        // A query using the query language is searched as typed, since its translated words searched
+        // on their own would bring back what its operators and filters leave out
+        if (QUERY_LANGUAGE.test(translatedQueries.original)) {
+            return this.searchEngine.executeSearch(translatedQueries.original, {
+                ...filters,
+                ...searchOptions
+            });
+        }
         
         // Search with original query
         console.log('Searching with original query:', translatedQueries.original);
@@ -679,6 +839,7 @@ class CroatianLawSearchEngine {
             ...searchOptions
         });
         console.log('Original results:', originalResults.length);
+        collectMatching(originalResults);
         originalResults.forEach(result => {
             if (!allResults.has(result.id)) {
                 allResults.set(result.id, result);
@@ -696,6 +857,7 @@ class CroatianLawSearchEngine {
                     maxResults: isSpecialTerm ? 30 : SEARCH_CONFIG.CROATIAN_SEARCH_LIMIT
                 });
                 console.log(`Croatian "${query}": ${results.length} results`);
+                collectMatching(results);
                 results.forEach(result => {
                     if (!allResults.has(result.id)) {
                         allResults.set(result.id, result);
@@ -713,6 +875,7 @@ class CroatianLawSearchEngine {
                 ...searchOptions,
                 maxResults: isSpecialTerm ? 25 : SEARCH_CONFIG.ENGLISH_SEARCH_LIMIT
             });
+            collectMatching(results);
             results.forEach(result => {
                 if (!allResults.has(result.id)) {
                     allResults.set(result.id, result);
@@ -729,6 +892,7 @@ class CroatianLawSearchEngine {
                 ...searchOptions,
                 maxResults: isSpecialTerm ? 20 : SEARCH_CONFIG.SPANISH_SEARCH_LIMIT
             });
+            collectMatching(results);
             results.forEach(result => {
                 if (!allResults.has(result.id)) {
                     allResults.set(result.id, result);
@@ -760,8 +924,8 @@ class CroatianLawSearchEngine {
                         const content = article.content.toLowerCase();
                         const title = article.title.toLowerCase();
                         
-                        if (content.includes('odmor') || content.includes('godišnji') || 
-                            title.includes('odmor') || title.includes('godišnji')) {
+                        if ((content.includes('odmor') || content.includes('godišnji') ||
+                            title.includes('odmor') || title.includes('godišnji')) && this.searchEngine.matchesFacets(article, filters.facets)) {
                             fallbackResults.push({
                                 id: article.id,
                                 article: article,
@@ -794,11 +958,12 @@ class CroatianLawSearchEngine {
             // Merge with existing results, avoiding duplicates
             const existingIds = new Set(limitedResults.map(r => r.id));
             const additionalResults = relaxedResults.filter(r => !existingIds.has(r.id));
+            collectMatching(relaxedResults);
             
-            return [...limitedResults, ...additionalResults].slice(0, SEARCH_CONFIG.DEFAULT_MAX_RESULTS);
+            return withFacets([...limitedResults, ...additionalResults].slice(0, SEARCH_CONFIG.DEFAULT_MAX_RESULTS));
         }
         
-        return limitedResults;
+        return withFacets(limitedResults);
     }
 
     async executeSearch(query, filters) {
@@ -832,23 +997,143 @@ class CroatianLawSearchEngine {
         if (articleTypeFilter && articleTypeFilter.value) {
             filters.articleType = articleTypeFilter.value;
         }
+
+        const lawFilter = document.getElementById('law-filter');
+        if (lawFilter && lawFilter.value) {
+            filters.law = lawFilter.value;
+        }
+
+        // Search the law as it read on a past date
+        const asOfInput = document.getElementById('as-of-date');
+        if (asOfInput && asOfInput.value) {
+            filters.asOf = asOfInput.value;
+        }
         
         return filters;
     }
 
-    displaySearchResults(results, query) {
+    /**
+     * Search for the last query again narrowed to the ticked facet values, so they apply before the results are cut
+     * to the maximum, and show the results with the facet counts of every article the query matches
+     */
+    async displayFacetedResults() {
+        if (!this.lastSearch) {
+            return;
+        }
+
+        const { query, translatedQueries, filters } = this.lastSearch;
+        try {
+            const results = await this.executeMultiLanguageSearch(translatedQueries, { ...filters, facets: this.selectedFacets });
+            this.displaySearchResults(results, query, { facets: results.facets });
+        } catch (error) {
+            console.error('Search error:', error);
+            this.showError(window.i18n?.translate('error-message') || 'An error occurred during search');
+        }
+    }
+
+    /**
+     * Tick or untick a facet value and show the results it leaves
+     * @param {string} facet - Facet name
+     * @param {string} value - Facet value
+     * @param {boolean} checked - Whether the value is ticked
+     */
+    toggleFacet(facet, value, checked) {
+        const values = new Set(this.selectedFacets[facet] || []);
+        if (checked) {
+            values.add(value);
+        } else {
+            values.delete(value);
+        }
+
+        this.selectedFacets = { ...this.selectedFacets, [facet]: Array.from(values) };
+        this.displayFacetedResults();
+    }
+
+    /**
+     * Render the facet lists of the search results, or hide them for browsed lists
+     * Facets with a single value and nothing ticked cannot narrow the results and are left out
+     * @param {Object<string, {value: string, count: number, selected: boolean}[]>} [facets] - Counts from SearchEngine.countFacets()
+     */
+    renderFacets(facets) {
+        if (!this.facetsContainer) {
+            return;
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const groups = Object.entries(facets || {})
+            .filter(([, values]) => values.length > 1 || values.some(entry => entry.selected));
+
+        this.facetsContainer.hidden = groups.length === 0;
+        if (groups.length === 0) {
+            this.facetsContainer.innerHTML = '';
+            return;
+        }
+
+        const ticked = groups.some(([, values]) => values.some(entry => entry.selected));
+        this.facetsContainer.innerHTML = groups.map(([facet, values]) => `
+            <fieldset class="facet-group">
+                <legend class="facet-heading">${escape(window.i18n?.translate(`facet-${facet}`) || facet)}</legend>
+                ${values.map(entry => `
+                    <label class="facet-option${entry.count === 0 ? ' facet-empty' : ''}">
+                        <input type="checkbox" class="facet-checkbox" data-facet="${escape(facet)}" value="${escape(entry.value)}"${entry.selected ? ' checked' : ''}>
+                        <span class="facet-label">${escape(this.getFacetLabel(facet, entry.value))}</span>
+                        <span class="facet-count">${entry.count}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `).join('') + (ticked ? `<button type="button" class="facets-clear">${escape(window.i18n?.translate('facets-clear') || 'Clear filters')}</button>` : '');
+    }
+
+    /**
+     * Format a facet value for display
+     * @param {string} facet - Facet name
+     * @param {string} value - Facet value
+     * @returns {string} Label such as "Termination", "Radno vrijeme" or "Employer – Must"
+     */
+    getFacetLabel(facet, value) {
+        const translate = key => window.i18n?.translate(key) || key;
+        switch (facet) {
+        case 'category':
+            return this.getSectionName(value);
+        case 'articleType':
+            return translate(value);
+        case 'chapter':
+            return this.getSectionLabel({ title: value }, 'chapter');
+        case 'law': {
+            const law = window.legalDatabase?.getLaw?.(value);
+            return law ? law.abbreviation || law.title : value;
+        }
+        case 'tag': {
+            const [, party, type] = value.match(/^(.+)-(right|obligation|prohibition)$/) || [null, value, ''];
+            return type ? `${translate(`party-${party}`)} – ${translate(`statement-${type}`)}` : value;
+        }
+        default:
+            return value;
+        }
+    }
+
+    /**
+     * Display search results or a browsed list of articles
+     * @param {Array} results - Search results or articles
+     * @param {string} query - Search query or label of the browsed section
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.keepOrder=false] - Keep the given order instead of applying feedback ranking
+     * @param {Object} [options.facets] - Facet counts to list next to the results, none for browsed lists
+     */
+    displaySearchResults(results, query, options = {}) {
         console.log(`Displaying search results: ${results.length} results for query "${query}"`);
-        this.updateResultsInfo(results.length, query);
+        this.updateResultsInfo(this.groupResultsByArticle(results).length, query);
+        this.renderFacets(options.facets);
         
         if (results.length === 0) {
-            this.showNoResults();
+            this.showNoResults(options.keepOrder ? null : query);
             return;
         }
         
         this.hideNoResults();
         
         // Apply feedback ranking to results
-        const rankedResults = this.applyFeedbackRanking(results, query);
+        const rankedResults = options.keepOrder ? results : this.applyFeedbackRanking(results, query);
         console.log(`After ranking: ${rankedResults.length} results`);
         
         // Simple display - show articles with highlighted keywords and feedback ranking
@@ -1166,10 +1451,12 @@ class CroatianLawSearchEngine {
             return;
         }
 
-        console.log(`Rendering ${results.length} results...`);
+        const groups = this.groupResultsByArticle(results);
+
+        console.log(`Rendering ${groups.length} results (${results.length} matches)...`);
         this.resultsContainer.innerHTML = '';
         
-        results.forEach((searchResult, index) => {
+        groups.forEach(({ searchResult, terms }, index) => {
             console.log(`Rendering result ${index}:`, {
                 hasSearchResult: !!searchResult,
                 hasArticle: !!searchResult?.article,
@@ -1177,7 +1464,7 @@ class CroatianLawSearchEngine {
                 relevanceScore: searchResult?.relevanceScore
             });
             
-            const resultElement = this.createSimpleResultElement(searchResult, query, index);
+            const resultElement = this.createSimpleResultElement(searchResult, query, index, terms);
             if (resultElement) {
                 this.resultsContainer.appendChild(resultElement);
             }
@@ -1186,7 +1473,33 @@ class CroatianLawSearchEngine {
         console.log(`Successfully rendered ${this.resultsContainer.children.length} result elements`);
     }
 
-    createSimpleResultElement(searchResult, query, index) {
+    /**
+     * Group results so that one članak is shown once
+     * Keeps the best ranked result and collects the terms every match was found with
+     * @param {Array} results - Ranked search results
+     * @returns {Array<{searchResult: Object, terms: string[]}>} One entry per article
+     */
+    groupResultsByArticle(results) {
+        const groups = new Map();
+
+        results.forEach(searchResult => {
+            const article = searchResult?.article || searchResult;
+            const key = article?.officialNumber || article?.number || article?.id || searchResult;
+
+            if (!groups.has(key)) {
+                groups.set(key, { searchResult, terms: [] });
+            }
+
+            const term = searchResult?.searchTerm;
+            if (term && !groups.get(key).terms.includes(term)) {
+                groups.get(key).terms.push(term);
+            }
+        });
+
+        return Array.from(groups.values());
+    }
+
+    createSimpleResultElement(searchResult, query, index, terms = []) {
         try {
             // Extract the article from the SearchResult
             const article = searchResult?.article || searchResult;
@@ -1235,8 +1548,16 @@ class CroatianLawSearchEngine {
                 translationLabel = 'English';
             }
             
-            // Highlight search terms
-            const highlightedCroatian = this.highlightSearchTerms(croatianText, query);
+            // Highlight search terms, stavak by stavak when the article structure is known
+            const highlightedCroatian = Array.isArray(safeArticle.paragraphs) && safeArticle.paragraphs.length > 0 ?
+                this.formatArticleText(safeArticle, [query, ...terms]) :
+                this.highlightSearchTerms(croatianText, query);
+
+            // Point the hit at the stavak or točka it was found in
+            const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+            const location = searchResult?.locations?.[0] || null;
+            const citationLink = location ?
+                `<a class="article-citation" href="${this.getPermalink(location.pointId || location.paragraphId)}">${escape(location.citation)}</a>` : '';
             const highlightedTranslation = this.highlightSearchTerms(translationText, query);
             
             // Check if this article is highly ranked for this query
@@ -1247,10 +1568,16 @@ class CroatianLawSearchEngine {
             // Create result element
             const resultDiv = document.createElement('div');
             resultDiv.className = `simple-result-item neumorphic-container ${isRecommended ? 'recommended' : ''}`;
+            resultDiv.dataset.articleId = safeArticle.id;
             resultDiv.innerHTML = `
                 <div class="simple-result-header">
                     <div class="header-left">
                         <h3 class="article-number">${this.formatArticleNumber(safeArticle)}</h3>
+                        ${this.createLawBadge(safeArticle)}
+                        ${citationLink}
+                        ${this.createFuzzyBadge(searchResult)}
+                        ${safeArticle.heading ? `<div class="article-heading">${escape(safeArticle.heading)}</div>` : ''}
+                        ${safeArticle.asOf ? `<div class="article-version">${this.formatVersionPeriod(safeArticle)}</div>` : ''}
                         <div class="article-section">${this.getSectionName(safeArticle.section, safeArticle)}</div>
                         ${recommendedBadge}
                     </div>
@@ -1278,7 +1605,10 @@ class CroatianLawSearchEngine {
                         </div>
                         <div class="content-text">${highlightedTranslation}</div>
                     </div>
+                    ${this.createDiffColumn(safeArticle)}
                 </div>
+                ${this.createPenaltyPanel(safeArticle)}
+                ${this.createCitedByPanel(safeArticle)}
             `;
             
             // Bind feedback button event
@@ -1385,8 +1715,13 @@ class CroatianLawSearchEngine {
         // Determine primary content based on user's language preference
         let primaryText, primaryLabel, primaryFlag;
         let secondaryText, secondaryLabel, secondaryFlag;
+        const croatianPrimary = currentLang === 'hr' || currentLang === 'croatian';
         
-        if (currentLang === 'hr' || currentLang === 'croatian') {
+        // Defined terms are marked in the Croatian text, the definitions are printed in Croatian
+        const highlight = text => this.highlightSearchTerms(text, searchTerm);
+        const format = (text, croatian) => croatian ? this.markGlossaryTerms(text, article, highlight) : highlight(text);
+
+        if (croatianPrimary) {
             // Croatian as primary
             primaryText = article.content || article.title || '';
             primaryLabel = 'Hrvatski (Originalni tekst)';
@@ -1424,7 +1759,7 @@ class CroatianLawSearchEngine {
         
         if (primaryContent) {
             // Highlight search terms in the complete text
-            const highlightedText = this.highlightSearchTerms(primaryText, searchTerm);
+            const highlightedText = format(primaryText, croatianPrimary);
             
             // Use secure HTML insertion with highlighting
             if (window.SecurityUtils) {
@@ -1452,7 +1787,7 @@ class CroatianLawSearchEngine {
         
         if (secondaryContent) {
             // Highlight search terms in secondary text too
-            const highlightedSecondaryText = this.highlightSearchTerms(secondaryText, searchTerm);
+            const highlightedSecondaryText = format(secondaryText, !croatianPrimary);
             
             // Use secure HTML insertion with highlighting
             if (window.SecurityUtils) {
@@ -1507,37 +1842,164 @@ class CroatianLawSearchEngine {
         return result;
     }
 
-    formatArticleText(text) {
-        if (!text) return '';
+    /**
+     * Render article text from its parsed stavci and točke
+     * Stavci and točke that contain a search term are marked, so a hit points below the article level
+     * @param {Object} article - Article with paragraphs
+     * @param {string[]} [terms] - Search terms to highlight
+     * @returns {string} Article HTML
+     */
+    formatArticleText(article, terms = []) {
+        const paragraphs = Array.isArray(article?.paragraphs) ? article.paragraphs : [];
+        const references = Array.isArray(article?.references) ? article.references : [];
+        const searchTerms = terms.filter(Boolean).map(term => this.foldText(term));
+        const highlight = text => this.highlightSearchTerms(text, terms.filter(Boolean).join(' '));
+        const isMatch = text => searchTerms.some(term => this.foldText(text).includes(term));
+        const marked = new Set();
+        const glossary = text => this.markGlossaryTerms(text, article, highlight, marked);
+        const link = (text, nodeId) => this.linkReferences(text, references.filter(reference => reference.sourceId === nodeId), glossary);
         
-        // Split text by paragraph indicators and format each section
-        const paragraphs = text.split(/(?=\(\d+\)|\n\n|\d+\.\s)/);
+        if (paragraphs.length === 0) {
+            return article?.content ? `<div class="article-paragraph">${glossary(article.content)}</div>` : '';
+        }
         
         return paragraphs.map(paragraph => {
-            if (!paragraph.trim()) return '';
-            
-            // Check if it's a numbered point (1., 2., etc.)
-            if (/^\d+\.\s/.test(paragraph.trim())) {
-                return `<div class="article-paragraph numbered-point">${paragraph.trim()}</div>`;
-            }
+            const points = paragraph.points || [];
+            const label = paragraph.numbered ? `(${paragraph.number}) ` : '';
+            const matched = isMatch(paragraph.text) || points.some(point => isMatch(point.text));
             
-            // Check if it's a subpoint with parentheses (1), (2), etc.
-            if (/^\(\d+\)/.test(paragraph.trim())) {
-                return `<div class="article-paragraph article-subpoint">${paragraph.trim()}</div>`;
-            }
+            const pointsHtml = points.map(point =>
+                `<div class="article-point${isMatch(point.text) ? ' matched-point' : ''}" data-point-id="${point.id}">${highlight(`${point.label} `)}${link(point.text, point.id)}</div>`
+            ).join('');
             
-            // Check if it's a lettered subpoint (a), b), etc.
-            if (/^[a-z]\)/.test(paragraph.trim())) {
-                return `<div class="article-paragraph article-subpoint letter-point">${paragraph.trim()}</div>`;
+            return `<div class="article-paragraph${matched ? ' matched-paragraph' : ''}" data-paragraph-id="${paragraph.id}">${highlight(label)}${link(paragraph.text, paragraph.id)}${pointsHtml}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Turn the resolved cross-references of a stavak or točka into links
+     * @param {string} text - Text of the stavak or točka
+     * @param {Object[]} references - References printed in this text
+     * @param {Function} highlight - Highlighter for the text between the links
+     * @returns {string} Text HTML
+     */
+    linkReferences(text, references, highlight) {
+        const placed = references
+            .filter(reference => reference.start !== null && reference.start !== undefined)
+            .sort((a, b) => a.start - b.start);
+        const escape = value => window.SecurityUtils ? window.SecurityUtils.escapeHTML(value) : value;
+        let html = '';
+        let cursor = 0;
+
+        placed.forEach(reference => {
+            if (reference.start < cursor) {
+                return;
             }
-            
-            // Regular paragraph
-            if (paragraph.trim().length > 0) {
-                return `<div class="article-paragraph">${paragraph.trim()}</div>`;
+
+            const target = reference.pointId || reference.paragraphId || reference.articleId;
+            html += highlight(text.slice(cursor, reference.start));
+            html += `<a class="cross-reference" href="${this.getPermalink(target)}" title="${escape(reference.citation)}">${text.slice(reference.start, reference.end)}</a>`;
+            cursor = reference.end;
+        });
+
+        return html + highlight(text.slice(cursor));
+    }
+
+    /**
+     * Mark the terms the law defines, with the definition and its source in a tooltip
+     * Each term is marked once per article, and not in the article that defines it
+     * @param {string} text - Croatian text
+     * @param {Object} article - Article the text belongs to
+     * @param {Function} highlight - Highlighter for the text around the terms
+     * @param {Set<string>} [marked] - Terms already marked in the article
+     * @returns {string} Text HTML
+     */
+    markGlossaryTerms(text, article, highlight, marked = new Set()) {
+        const database = window.legalDatabase;
+        if (typeof database?.findGlossaryTerms !== 'function') {
+            return highlight(text);
+        }
+
+        const escape = value => window.SecurityUtils ? window.SecurityUtils.escapeHTML(value) : value;
+        let html = '';
+        let cursor = 0;
+
+        database.findGlossaryTerms(text, article?.law).forEach(occurrence => {
+            const entry = marked.has(occurrence.term) ? null : database.lookupTerm(occurrence.term, article?.law);
+            if (!entry || entry.articleId === article?.id) {
+                return;
             }
-            
-            return '';
-        }).filter(p => p).join('');
+
+            const tooltipId = `glossary-tooltip-${++this.glossaryTooltipCount}`;
+            marked.add(occurrence.term);
+            html += highlight(text.slice(cursor, occurrence.start));
+            html += `<span class="glossary-entry"><a class="glossary-term" href="${this.getPermalink(entry.sourceId)}" aria-describedby="${tooltipId}">${highlight(occurrence.text)}</a>` +
+                `<span class="glossary-tooltip" role="tooltip" id="${tooltipId}"><strong>${escape(entry.term)}</strong> – ${escape(entry.definition)} <span class="glossary-source">${escape(entry.citation)}</span></span></span>`;
+            cursor = occurrence.end;
+        });
+
+        return html + highlight(text.slice(cursor));
+    }
+
+    /**
+     * Build a permalink to an article, stavak or točka
+     * @param {string} nodeId - Article, paragraph or point ID
+     * @returns {string} Permalink URL
+     */
+    getPermalink(nodeId) {
+        return `${window.location.origin}${window.location.pathname}#article-${nodeId}`;
+    }
+
+    /**
+     * Show a single article, e.g. when it is opened from a permalink
+     * @param {string} nodeId - Article, paragraph or point ID
+     * @returns {Promise<boolean>} True if the article was found
+     */
+    async showArticle(nodeId) {
+        const articleId = nodeId.replace(/_st\d+(?:_t\d+)?$/, '');
+        const { asOf } = this.getSearchFilters();
+        const database = window.legalDatabase;
+        let article = null;
+
+        if (asOf && database?.getArticleAsOf) {
+            article = await database.getArticleAsOf(articleId, asOf);
+        } else if (database?.getArticle) {
+            article = await database.getArticle(articleId);
+        }
+
+        if (!article) {
+            return false;
+        }
+
+        this.displaySearchResults([article], this.formatArticleNumber(article));
+        return true;
+    }
+
+    /**
+     * Show the articles cited by a query such as "čl. 77 st. 2" or "čl. 74–79" and jump to the cited stavak or točka
+     * @param {string} query - Query as typed
+     * @returns {boolean} True if the query is a citation
+     */
+    showCitation(query) {
+        const { asOf, law } = this.getSearchFilters();
+        const match = window.legalDatabase?.findCitation?.(query, law);
+        if (!match) {
+            return false;
+        }
+
+        const articles = match.articles
+            .map(article => asOf ? Article.atDate(article, asOf) : article)
+            .filter(Boolean);
+
+        this.displaySearchResults(articles, match.citation, { keepOrder: true });
+
+        const target = match.nodeId && this.resultsContainer?.querySelector(`[data-point-id="${match.nodeId}"], [data-paragraph-id="${match.nodeId}"]`);
+        if (target) {
+            document.querySelectorAll('.permalink-target').forEach(element => element.classList.remove('permalink-target'));
+            target.classList.add('permalink-target');
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        return true;
     }
 
     setupLanguageTabs(clone, article) {
@@ -1651,11 +2113,11 @@ class CroatianLawSearchEngine {
         }
     }
 
-    shareArticle(article) {
+    shareArticle(article, location = null) {
         const shareData = {
-            title: `${article.number}: Croatian Labor Law`,
+            title: `${location ? location.citation : article.number}: Croatian Labor Law`,
             text: this.getArticleTitle(article),
-            url: `${window.location.origin}${window.location.pathname}#article-${article.id}`
+            url: this.getPermalink(location ? location.pointId || location.paragraphId : article.id)
         };
         
         if (navigator.share) {
@@ -1697,6 +2159,11 @@ class CroatianLawSearchEngine {
         // Generate a meaningful title from the article content
         if (!article) return 'Untitled Article';
         
+        // The official heading is the title, the opening words of the text only stand in for articles without one
+        if (article.heading) {
+            return article.heading;
+        }
+
         const currentLang = window.i18n?.getLanguage() || 'en';
         
         let text;
@@ -1721,6 +2188,14 @@ class CroatianLawSearchEngine {
     }
 
     getSectionName(sectionKey, article = null) {
+        // Glava and subchapter from the official text take precedence over the category
+        if (article?.part) {
+            return [
+                this.getSectionLabel(article.part, 'part'),
+                article.chapter ? this.getSectionLabel(article.chapter, 'chapter') : ''
+            ].filter(Boolean).join(' › ');
+        }
+
         // If sectionKey is provided and valid, use it
         if (sectionKey && sectionKey.trim() !== '') {
             const sectionNames = {
@@ -1735,104 +2210,475 @@ class CroatianLawSearchEngine {
             return sectionNames[sectionKey] || sectionKey;
         }
         
-        // If no sectionKey provided but we have an article, infer from content
-        if (article) {
-            const inferredSection = this.inferSectionFromArticle(article);
-            if (inferredSection) {
-                return this.getSectionName(inferredSection);
-            }
-        }
-        
         // Return empty string if no section can be determined
         return '';
     }
 
     /**
-     * Infer section based on article number and content
-     * @param {Object} article - Article object
-     * @returns {string} - Inferred section key
+     * Format a glava or subchapter for display
+     * @param {Object} section - Glava or subchapter ({number, title})
+     * @param {string} type - Section level (part or chapter)
+     * @returns {string} Label such as "Glava II. Individualni radni odnosi" or "8. Radno vrijeme"
      */
-    inferSectionFromArticle(article) {
-        if (!article) return '';
-        
-        const articleNumber = this.extractArticleNumber(article.number || article.id || '');
-        const content = (article.content || '').toLowerCase();
-        const title = (article.title || '').toLowerCase();
-        const searchText = content + ' ' + title;
-        
-        // Section inference based on article number ranges and content
-        if (articleNumber >= 1 && articleNumber <= 20) {
-            return 'general'; // General provisions and definitions
+    getSectionLabel(section, type) {
+        // Titles are printed in capitals in the law
+        const title = section.title === section.title.toUpperCase() ?
+            section.title.charAt(0) + section.title.slice(1).toLowerCase() : section.title;
+
+        if (type === 'part') {
+            return `${window.i18n?.translate('toc-part') || 'Chapter'} ${section.number} ${title}`;
         }
-        
-        if (articleNumber >= 21 && articleNumber <= 60) {
-            // Check content for contract-related terms
-            if (searchText.includes('ugovor') || searchText.includes('sklapa') || 
-                searchText.includes('potpisx') || searchText.includes('uvjet')) {
-                return 'contracts';
-            }
-            return 'contracts'; // Employment contracts and conditions
+
+        return section.number ? `${section.number}. ${title}` : title;
+    }
+
+    /**
+     * Format the article range of a table of contents entry
+     * @param {Object} entry - Table of contents entry
+     * @returns {string} Range such as "čl. 60 – 72"
+     */
+    formatSectionRange(entry) {
+        const [first, last] = [entry.range.first, entry.range.last].map(number => String(number).replace(/^Članak\s+/, ''));
+        return first === last ? `čl. ${first}` : `čl. ${first} – ${last}`;
+    }
+
+    /**
+     * Render the table of contents so the law can be browsed by glava and subchapter
+     */
+    renderTableOfContents() {
+        const container = document.getElementById('toc-container');
+        const database = window.legalDatabase;
+        if (!container || typeof database?.getTableOfContents !== 'function') {
+            return;
         }
-        
-        if (articleNumber >= 61 && articleNumber <= 100) {
-            // Check for working time related content
-            if (searchText.includes('radno vrijeme') || searchText.includes('sati') ||
-                searchText.includes('prekovremeni') || searchText.includes('noćni')) {
-                return 'working-time';
-            }
-            return 'working-time'; // Working time regulations
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const sectionButton = (entry, label) => `
+            <li>
+                <button type="button" class="toc-section" data-section-id="${entry.id}">
+                    <span class="toc-section-title">${escape(label)}</span>
+                    <span class="toc-range">${escape(this.formatSectionRange(entry))}</span>
+                </button>
+            </li>
+        `;
+
+        const partDetails = part => `
+            <details class="toc-part">
+                <summary class="toc-part-summary">
+                    <span class="toc-part-title">${escape(this.getSectionLabel(part, 'part'))}</span>
+                    <span class="toc-range">${escape(this.formatSectionRange(part))}</span>
+                </summary>
+                <ul class="toc-chapters">
+                    ${sectionButton(part, window.i18n?.translate('toc-whole-part') || 'All articles of this chapter')}
+                    ${part.children.map(chapter => sectionButton(chapter, this.getSectionLabel(chapter, 'chapter'))).join('')}
+                </ul>
+            </details>
+        `;
+
+        // Every law keeps its own glave, so several laws are listed one after another
+        const laws = typeof database.getLaws === 'function' ? database.getLaws() : [];
+        const { law: selectedLaw } = this.getSearchFilters();
+        const groups = laws.length > 0 ?
+            laws.filter(law => !selectedLaw || law.id === selectedLaw).map(law => ({ law, parts: database.getTableOfContents(law.id) })) :
+            [{ law: null, parts: database.getTableOfContents() }];
+
+        container.innerHTML = groups.map(({ law, parts }) => `
+            ${law && laws.length > 1 ? `<h3 class="toc-law">${escape(law.title)}</h3>` : ''}
+            ${parts.map(partDetails).join('')}
+        `).join('');
+
+        container.querySelectorAll('.toc-section').forEach(button => {
+            button.addEventListener('click', () => this.showSection(button.dataset.sectionId));
+        });
+    }
+
+    /**
+     * Fill the law filter with the loaded laws, shown only when there is more than one
+     */
+    renderLawFilter() {
+        const select = document.getElementById('law-filter');
+        const database = window.legalDatabase;
+        if (!select || typeof database?.getLaws !== 'function') {
+            return;
         }
-        
-        if (articleNumber >= 101 && articleNumber <= 140) {
-            // Check for termination related content
-            if (searchText.includes('otkaz') || searchText.includes('prestanak') ||
-                searchText.includes('otpremnina') || searchText.includes('otkazni')) {
-                return 'termination';
-            }
-            return 'termination'; // Termination procedures
+
+        const laws = database.getLaws();
+        const selected = select.value;
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+
+        select.innerHTML = [
+            `<option value="">${escape(window.i18n?.translate('all-laws') || 'All laws')}</option>`,
+            ...laws.map(law => `<option value="${escape(law.id)}">${escape(`${law.title} (${law.abbreviation})`)}</option>`)
+        ].join('');
+        select.value = laws.some(law => law.id === selected) ? selected : '';
+
+        const container = select.closest('.law-filter-container');
+        if (container) {
+            container.hidden = laws.length < 2;
         }
-        
-        if (articleNumber >= 141 && articleNumber <= 180) {
-            // Check for leave and vacation content
-            if (searchText.includes('odmor') || searchText.includes('godišnji') ||
-                searchText.includes('bolovanje') || searchText.includes('dopust')) {
-                return 'leave';
-            }
-            return 'leave'; // Leave and vacation
+    }
+
+    /**
+     * Create the badge of a result found through near spellings of mistyped words
+     * @param {Object} searchResult - Search result
+     * @returns {string} Badge HTML naming the words matched instead, empty for exact results
+     */
+    createFuzzyBadge(searchResult) {
+        if (!searchResult?.fuzzy) {
+            return '';
         }
-        
-        if (articleNumber >= 181 && articleNumber <= 250) {
-            // Check for safety related content
-            if (searchText.includes('sigurnost') || searchText.includes('zaštita') ||
-                searchText.includes('zdravlje') || searchText.includes('ozljeda')) {
-                return 'safety';
-            }
-            return 'safety'; // Workplace safety and health
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const label = window.i18n?.translate('fuzzy-match') || 'Approximate match';
+        const words = (searchResult.nearWords || []).map(escape).join(', ');
+        return `<span class="fuzzy-badge" title="${escape(label)}">≈ ${words || escape(label)}</span>`;
+    }
+
+    /**
+     * Create the badge naming the law of an article
+     * @param {Object} article - Displayed article
+     * @returns {string} Badge HTML, empty if the law is unknown
+     */
+    createLawBadge(article) {
+        const law = article.law && window.legalDatabase?.getLaw ? window.legalDatabase.getLaw(article.law) : null;
+        if (!law) {
+            return '';
         }
-        
-        // Content-based inference for articles outside typical ranges
-        if (searchText.includes('ugovor') || searchText.includes('zapošljavanje')) {
-            return 'contracts';
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        return `<span class="law-badge" title="${escape(law.title)}">${escape(law.abbreviation)}</span>`;
+    }
+
+    /**
+     * Show every article of a glava or subchapter in the order of the law
+     * @param {string} sectionId - Section ID from the table of contents
+     * @returns {boolean} True if the section was found
+     */
+    showSection(sectionId) {
+        const database = window.legalDatabase;
+        const part = database.getTableOfContents().find(entry =>
+            entry.id === sectionId || entry.children.some(child => child.id === sectionId)
+        );
+
+        if (!part) {
+            return false;
         }
-        
-        if (searchText.includes('radno vrijeme') || searchText.includes('smjena')) {
-            return 'working-time';
+
+        const chapter = part.children.find(child => child.id === sectionId);
+        const label = chapter ? this.getSectionLabel(chapter, 'chapter') : this.getSectionLabel(part, 'part');
+        const { asOf } = this.getSearchFilters();
+        const articles = database.getSectionArticles(sectionId)
+            .map(article => asOf ? Article.atDate(article, asOf) : article)
+            .filter(Boolean);
+
+        this.displaySearchResults(articles, label, { keepOrder: true });
+        return true;
+    }
+
+    /**
+     * Render the EU directives with their mapped articles, so the law can be browsed from the EU side
+     */
+    renderDirectiveBrowser() {
+        const container = document.getElementById('directive-container');
+        const database = window.legalDatabase;
+        if (!container || typeof database?.getDirectives !== 'function') {
+            return;
         }
-        
-        if (searchText.includes('otkaz') || searchText.includes('prestanak')) {
-            return 'termination';
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const numbers = new Map(database.getArticles().map(article => [article.id, String(article.officialNumber || article.number).replace(/^Članak\s+/, '')]));
+        const articleLabel = mapped => (/^\d/).test(mapped.article) ?
+            `${window.i18n?.translate('directive-article') || 'Art.'} ${mapped.article} ${mapped.title}` :
+            `${mapped.article} ${mapped.title}`;
+        const button = (directive, label, range, article = '') => `
+            <li>
+                <button type="button" class="toc-section directive-article" data-celex="${directive.celex}" data-article="${escape(article)}">
+                    <span class="toc-section-title">${escape(label)}</span>
+                    <span class="toc-range">${escape(range)}</span>
+                </button>
+            </li>
+        `;
+
+        container.innerHTML = database.getDirectives().map(directive => `
+            <details class="toc-part">
+                <summary class="toc-part-summary">
+                    <span class="toc-part-title">${escape(directive.shortTitle || directive.title)}</span>
+                    <span class="toc-range">${escape(directive.number)}</span>
+                </summary>
+                <ul class="toc-chapters">
+                    ${directive.mentionedIn.length > 0 ? button(directive, window.i18n?.translate(directive.transposed ? 'directive-transposed' : 'directive-mentioned') || 'Named in the law', `čl. ${directive.mentionedIn.map(id => numbers.get(id)).join(', ')}`) : ''}
+                    ${directive.articles.map(mapped => button(directive, articleLabel(mapped), `čl. ${mapped.implementedBy.map(id => numbers.get(id) || id).join(', ')}`, mapped.article)).join('')}
+                    <li><a class="directive-link" href="${directive.url}" target="_blank" rel="noopener">EUR-Lex ${escape(directive.celex)}</a></li>
+                </ul>
+            </details>
+        `).join('');
+
+        container.querySelectorAll('.directive-article').forEach(element => {
+            element.addEventListener('click', () => this.showDirectiveArticle(element.dataset.celex, element.dataset.article));
+        });
+    }
+
+    /**
+     * Show the articles implementing an article of an EU directive
+     * @param {string} celex - CELEX number of the directive
+     * @param {string} [directiveArticle] - Article of the directive, the articles naming the directive if omitted
+     * @returns {boolean} True if the directive was found
+     */
+    showDirectiveArticle(celex, directiveArticle = '') {
+        const database = window.legalDatabase;
+        const directive = database.getDirective(celex);
+        if (!directive) {
+            return false;
         }
-        
-        if (searchText.includes('odmor') || searchText.includes('dopust')) {
-            return 'leave';
+
+        const mapped = directive.articles.find(entry => entry.article === directiveArticle);
+        const label = `${directive.shortTitle || directive.number}${mapped ? `, ${mapped.article} ${mapped.title}` : ''}`;
+        const { asOf } = this.getSearchFilters();
+        const articles = (mapped ?
+            database.findImplementation(celex, directiveArticle) :
+            database.getArticles().filter(article => directive.mentionedIn.includes(article.id)))
+            .map(article => asOf ? Article.atDate(article, asOf) : article)
+            .filter(Boolean);
+
+        this.displaySearchResults(articles, label, { keepOrder: true });
+        return true;
+    }
+
+    /**
+     * Render the time limits of the law, narrowed to the topic typed above the list
+     */
+    renderDeadlines() {
+        const list = document.getElementById('deadline-list');
+        const database = window.legalDatabase;
+        if (!list || typeof database?.getTimeframes !== 'function') {
+            return;
         }
-        
-        if (searchText.includes('sigurnost') || searchText.includes('zaštita')) {
-            return 'safety';
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const topic = document.getElementById('deadline-topic')?.value.trim() || '';
+        const { law } = this.getSearchFilters();
+        const deadlines = database.getTimeframes({ topic, law, kind: 'deadline' });
+
+        if (deadlines.length === 0) {
+            list.innerHTML = `<li class="deadline-empty">${window.i18n?.translate('deadline-none') || 'No deadlines for this topic'}</li>`;
+            return;
         }
-        
-        // Default to general if no specific section can be inferred
-        return 'general';
+
+        list.innerHTML = deadlines.map(deadline => `
+            <li class="deadline-item">
+                <a class="article-citation" href="${this.getPermalink(deadline.sourceId)}" title="${escape(deadline.title)}">${escape(deadline.citation)}</a>
+                <span class="deadline-text">${escape(deadline.text)}</span>
+                ${deadline.trigger ? `<span class="deadline-trigger">${escape(deadline.trigger)}</span>` : ''}
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Render the rights and obligations of the party chosen above the list
+     */
+    renderStatements() {
+        const list = document.getElementById('statement-list');
+        const database = window.legalDatabase;
+        if (!list || typeof database?.getStatements !== 'function') {
+            return;
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const party = document.getElementById('statement-party')?.value || 'employer';
+        const type = document.getElementById('statement-type')?.value || 'obligation';
+        const { law } = this.getSearchFilters();
+        const statements = database.getStatements({ party, type, law });
+
+        if (statements.length === 0) {
+            list.innerHTML = `<li class="statement-empty">${window.i18n?.translate('statement-none') || 'No statements for this party'}</li>`;
+            return;
+        }
+
+        list.innerHTML = statements.map(statement => `
+            <li class="statement-item">
+                <a class="article-citation" href="${this.getPermalink(statement.sourceId)}" title="${escape(statement.title)}">${escape(statement.citation)}</a>
+                <span class="statement-text">${escape(statement.text)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Compare the loaded law with a consolidated text chosen by the user
+     * @param {File} file - Dataset in the shape of croatian-labor-law.json
+     * @returns {Promise<void>}
+     */
+    async loadComparison(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const comparison = window.legalDatabase.compareWith(data);
+            this.renderComparisonSummary(comparison);
+        } catch (error) {
+            console.error('Comparison failed:', error);
+            this.showError(window.i18n?.translate('compare-error') || 'The file is not a valid law dataset');
+        }
+    }
+
+    /**
+     * Render the changed articles of the whole law
+     * @param {Object} comparison - Result of compareWith()
+     */
+    renderComparisonSummary(comparison) {
+        const container = document.getElementById('comparison-summary');
+        if (!container) {
+            return;
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const describe = version => [version.consolidatedVersion, version.effectiveDate && `(${version.effectiveDate.split('-').reverse().join('.')}.)`]
+            .filter(Boolean).join(' ');
+        const counts = ['changed', 'added', 'removed'].map(status =>
+            `${comparison.articles.filter(diff => diff.status === status).length} ${this.getDiffStatusLabel(status)}`
+        );
+        counts.push(`${comparison.unchanged} ${window.i18n?.translate('diff-unchanged') || 'unchanged'}`);
+
+        container.innerHTML = `
+            <p class="comparison-period">${escape(describe(comparison.from))} → ${escape(describe(comparison.to))}</p>
+            <p class="comparison-counts">${escape(counts.join(', '))}</p>
+            <ul class="comparison-list">
+                ${comparison.articles.map(diff => `
+                    <li>
+                        <button type="button" class="comparison-item" data-article-id="${escape(diff.articleId)}" ${diff.status === 'removed' ? 'disabled' : ''}>
+                            <span class="comparison-article">${escape(diff.officialNumber)} ${escape(diff.title)}</span>
+                            <span class="diff-status diff-status-${diff.status}">${escape(this.getDiffStatusLabel(diff.status))}</span>
+                            <span class="diff-counts">+${diff.inserted} −${diff.deleted}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        container.querySelectorAll('.comparison-item:not([disabled])').forEach(button => {
+            button.addEventListener('click', () => this.showArticle(button.dataset.articleId));
+        });
+    }
+
+    /**
+     * Render the word-level changes of an article as a column next to its text
+     * @param {Object} article - Displayed article
+     * @returns {string} HTML of the column, empty if the article did not change
+     */
+    createDiffColumn(article) {
+        const diff = window.legalDatabase?.getArticleDiff ? window.legalDatabase.getArticleDiff(article.id) : null;
+        if (!diff) {
+            return '';
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const operations = diff.operations.map(operation => {
+            if (operation.type === 'insert') {
+                return `<ins class="diff-insert">${escape(operation.text)}</ins>`;
+            }
+            if (operation.type === 'delete') {
+                return `<del class="diff-delete">${escape(operation.text)}</del>`;
+            }
+            return escape(operation.text);
+        });
+
+        return `
+            <div class="diff-content">
+                <div class="content-header">
+                    <span class="language-name">${window.i18n?.translate('diff-changes') || 'Changes'} (${escape(this.getDiffStatusLabel(diff.status))})</span>
+                </div>
+                <div class="content-text article-diff">${operations.join(' ')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the "Violation penalty" panel with the fines for breaching the obligations of an article
+     * @param {Object} article - Article data
+     * @returns {string} Panel HTML, empty if no fine cites the article
+     */
+    createPenaltyPanel(article) {
+        const penalties = window.legalDatabase?.getPenaltiesFor ? window.legalDatabase.getPenaltiesFor(article.id) : [];
+        if (penalties.length === 0) {
+            return '';
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const amount = value => window.i18n?.formatNumber ? window.i18n.formatNumber(value) : String(value);
+        const range = fine => `${amount(fine.min)}–${amount(fine.max)} ${fine.currency}`;
+        const lowest = Math.min(...penalties.map(penalty => penalty.fine.min));
+        const highest = Math.max(...penalties.map(penalty => penalty.fine.max));
+        const items = penalties.map(penalty => `
+            <li>
+                <a class="cross-reference" href="${this.getPermalink(penalty.offenceId)}" title="${escape(penalty.description)}">${escape(penalty.offenceCitation)}</a>
+                <span class="penalty-fine">${range(penalty.fine)}</span>
+                <span class="penalty-liable">${escape(penalty.liable)}</span>
+            </li>
+        `);
+
+        return `
+            <details class="penalty-info">
+                <summary>${window.i18n?.translate('violation-penalty') || 'Violation penalty'}: ${range({ min: lowest, max: highest, currency: penalties[0].fine.currency })}</summary>
+                <ul class="penalty-list">${items.join('')}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Create the "Referenced by" panel with the provisions of other articles that refer to this one
+     * @param {Object} article - Article data
+     * @returns {string} Panel HTML, empty if no other article refers to this one
+     */
+    createCitedByPanel(article) {
+        const provisions = window.legalDatabase?.getCitedBy ? window.legalDatabase.getCitedBy(article.id) : [];
+        if (provisions.length === 0) {
+            return '';
+        }
+
+        const escape = text => window.SecurityUtils ? window.SecurityUtils.escapeHTML(text) : text;
+        const items = provisions.map(provision => `
+            <li>
+                <a class="cross-reference" href="${this.getPermalink(provision.sourceId)}">${escape(provision.citation)}</a>
+                <span class="cited-by-title">${escape(provision.title)}</span>
+            </li>
+        `);
+
+        return `
+            <details class="cited-by">
+                <summary>${window.i18n?.translate('cited-by') || 'Referenced by'} (${provisions.length})</summary>
+                <ul class="cited-by-list">${items.join('')}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Get the label of a change status
+     * @param {string} status - Change status (changed, added, removed)
+     * @returns {string} Translated label
+     */
+    getDiffStatusLabel(status) {
+        const fallback = { changed: 'changed', added: 'added', removed: 'removed' };
+        return window.i18n?.translate(`diff-status-${status}`) || fallback[status] || status;
+    }
+
+    /**
+     * Describe the period in which the shown text of an article was in force
+     * @param {Object} article - Article as of a date
+     * @returns {string} Period such as "In force from 01.01.2023. until 31.12.2023."
+     */
+    formatVersionPeriod(article) {
+        const formatDate = date => date.split('-').reverse().join('.') + '.';
+        const parts = [];
+
+        if (article.validFrom) {
+            parts.push(`${window.i18n?.translate('version-in-force-from') || 'In force from'} ${formatDate(article.validFrom)}`);
+        }
+
+        if (article.validTo) {
+            // validTo is the first day of the next version
+            const lastDay = new Date(`${article.validTo}T00:00:00Z`);
+            lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+            parts.push(`${window.i18n?.translate('version-in-force-until') || 'until'} ${formatDate(lastDay.toISOString().slice(0, 10))}`);
+        }
+
+        return parts.length > 0 ? parts.join(' ') : `${window.i18n?.translate('version-as-of') || 'Text as of'} ${formatDate(article.asOf)}`;
     }
 
     /**
@@ -1912,22 +2758,63 @@ class CroatianLawSearchEngine {
      * @param {string} searchTerm - Search term to highlight
      * @returns {string} Text with highlighted terms
      */
+    /**
+     * Mark the search terms in a text
+     * Diacritics are ignored, so "placa" marks the printed "plaća", and other case forms of a term ("plaće") are marked as whole words
+     * @param {string} text - Text to highlight
+     * @param {string} searchTerm - Query or space-separated terms
+     * @returns {string} Text with the terms wrapped in <mark>
+     */
     highlightSearchTerms(text, searchTerm) {
         if (!text || !searchTerm) return text;
         
-        // Clean and split search terms
-        const terms = searchTerm.toLowerCase()
+        // Clean and split search terms, leaving out operators and field filters
+        const terms = searchTerm
             .split(/\s+/)
-            .filter(term => term.length > 2) // Only highlight terms longer than 2 characters
-            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')); // Escape regex chars
+            .filter(term => !(/^(AND|OR|NOT)$|^[+-]?(?:[Cc]ategory|[Tt]ype|[Cc]lanak):[^\s)]/u).test(term))
+            .map(term => this.foldText(term.replace(/^[+\-("]+|[)"*?:]+$/gu, '')))
+            .filter(term => term.length > 2); // Only highlight terms longer than 2 characters
         
         if (terms.length === 0) return text;
         
-        // Create regex pattern for all terms
-        const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+        // Folding keeps every letter in its place, so a match in the folded text marks the same letters of the original
+        const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+        const stems = new Set(terms.map(term => this.textProcessor.stemWord(term)));
+        const ranges = [
+            ...Array.from(this.foldText(text).matchAll(pattern), match => [match.index, match.index + match[0].length]),
+            ...Array.from(text.matchAll(this.textProcessor.wordPattern))
+                .filter(match => stems.has(this.textProcessor.stemWord(match[0])))
+                .map(match => [match.index, match.index + match[0].length])
+        ].sort((a, b) => a[0] - b[0]);
+
+        // "odmor" matches both inside "odmora" and as its stem, overlapping ranges are marked once
+        const merged = ranges.reduce((list, [start, end]) => {
+            const last = list[list.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                list.push([start, end]);
+            }
+            return list;
+        }, []);
+
+        let html = '';
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            html += `${text.slice(cursor, start)}<mark class="search-highlight">${text.slice(start, end)}</mark>`;
+            cursor = end;
+        });
         
-        // Highlight terms with yellow background
-        return text.replace(pattern, '<mark class="search-highlight">$1</mark>');
+        return html + text.slice(cursor);
+    }
+
+    /**
+     * Fold a text for matching search terms
+     * @param {string} text - Text to fold
+     * @returns {string} Lower-case text without diacritics
+     */
+    foldText(text) {
+        return this.textProcessor.normalizeWord(String(text).toLowerCase());
     }
 
     showLoadingState() {
@@ -1946,14 +2833,73 @@ class CroatianLawSearchEngine {
         }
     }
 
-    showNoResults() {
+    /**
+     * Show the no-results message, offering a corrected query when the spelling corrector has one
+     * @param {string} [query] - Query that found nothing
+     */
+    showNoResults(query) {
         if (this.noResults) {
             this.noResults.classList.add('visible');
             this.noResults.setAttribute('aria-hidden', 'false');
+            this.renderMissingVersion();
+            this.renderSpellingSuggestion(query);
         }
         this.hideResults();
     }
 
+    /**
+     * Say that no loaded text of the law was in force on the chosen "Law as of" date, which is why nothing was found
+     */
+    renderMissingVersion() {
+        this.noResults.querySelector('.no-version')?.remove();
+        const { asOf, law } = this.getSearchFilters();
+        const earliest = asOf ? window.legalDatabase?.getEarliestVersionDate?.(law) : null;
+        if (!earliest || asOf >= earliest) {
+            return;
+        }
+
+        const formatDate = date => date.split('-').reverse().join('.') + '.';
+        const paragraph = document.createElement('p');
+        paragraph.className = 'no-version';
+        paragraph.textContent = `${window.i18n?.translate('no-version-as-of') || 'No loaded version of the law was in force on'} ${formatDate(asOf)} ` +
+            `${window.i18n?.translate('earliest-version') || 'The earliest is in force from'} ${formatDate(earliest)}`;
+
+        const content = this.noResults.querySelector('.no-results-content') || this.noResults;
+        content.insertBefore(paragraph, content.firstChild);
+    }
+
+    /**
+     * Show "Did you mean" with the corrected query, searched with one click
+     * Corrections come from the words of the indexed articles and the terms of the translation dictionary
+     * @param {string} [query] - Query that found nothing
+     */
+    renderSpellingSuggestion(query) {
+        this.noResults.querySelector('.did-you-mean')?.remove();
+        const suggestion = query && this.searchEngine?.suggestCorrection ?
+            this.searchEngine.suggestCorrection(query, { dictionary: DICTIONARY_TERMS }) : null;
+        if (!suggestion) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'did-you-mean-link';
+        button.textContent = suggestion;
+        button.addEventListener('click', () => {
+            if (this.searchInput) {
+                this.searchInput.value = suggestion;
+            }
+            this.performSearch();
+        });
+
+        const paragraph = document.createElement('p');
+        paragraph.className = 'did-you-mean';
+        paragraph.append(`${window.i18n?.translate('did-you-mean') || 'Did you mean:'} `, button, '?');
+
+        const content = this.noResults.querySelector('.no-results-content') || this.noResults;
+        content.insertBefore(paragraph, content.querySelector('.no-results-suggestions'));
+    }
+
     hideNoResults() {
         if (this.noResults) {
             this.noResults.classList.remove('visible');
@@ -2303,10 +3249,14 @@ class CroatianLawSearchEngine {
         helpContainer.innerHTML = `
             <small class="search-operators-help">
                 <strong>Advanced Search:</strong> 
-                Use <code>AND</code>, <code>OR</code>, <code>NOT</code> or <code>"exact phrase"</code>
+                Use <code>AND</code>, <code>OR</code>, <code>NOT</code>, <code>( )</code>, <code>"exact phrase"</code>, <code>rad*</code>
+                or <code>category:</code>, <code>type:</code>, <code>clanak:</code>
+                <br>
+                <strong>Citations:</strong>
+                <code>čl. 77 st. 2</code>, <code>art. 77</code>, <code>čl. 74–79</code> open the cited articles
                 <br>
                 <strong>Examples:</strong> 
-                <code>work AND time</code>, <code>"employment contract"</code>, <code>salary NOT minimum</code>
+                <code>work AND time</code>, <code>"employment contract"</code>, <code>salary NOT minimum</code>, <code>(odmor OR dopust) category:leave</code>
             </small>
         `;
         
@@ -2316,7 +3266,7 @@ class CroatianLawSearchEngine {
             // Show help when user starts typing complex queries
             this.searchInput.addEventListener('input', (e) => {
                 const query = e.target.value;
-                const hasOperators = /\b(AND|OR|NOT)\b|".*"/.test(query);
+                const hasOperators = (/\b(AND|OR|NOT)\b|".*"|\p{L}+:/u).test(query);
                 helpContainer.style.display = hasOperators || query.length > 20 ? 'block' : 'none';
             });
         }
@@ -2393,6 +3343,25 @@ CroatianLawSearchEngine.prototype.createFAQElement = function(faq) {
     return div;
 };
 
+/**
+ * Create legal source element linking to the cited stavak or točka
+ * @param {Object} source - Source article reference
+ * @returns {HTMLElement} Source element
+ */
+CroatianLawSearchEngine.prototype.createSourceElement = function(source) {
+    const link = document.createElement('a');
+    link.className = 'source-article-item';
+    link.href = this.getPermalink(source.nodeId || source.id);
+    link.setAttribute('data-article-id', source.id);
+
+    link.innerHTML = `
+        <span class="source-article-number">${source.citation || source.number}</span>
+        <span class="source-article-title">${source.title}</span>
+    `;
+
+    return link;
+};
+
 /**
  * Create related topic element
  * @param {Object} topic - Related topic object
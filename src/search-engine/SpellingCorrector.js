@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Spelling correction for Croatian Labor Law database
+ * Proposes a corrected query ("godišnij odmr" -> "godišnji odmor") from the words of the indexed articles and a dictionary of search terms
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from '../utils/TextProcessor.js';
+
+/**
+ * Count the edits turning one word into another, a swap of two neighbouring letters being one edit ("godišnij" -> "godišnji")
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Optimal string alignment distance
+ */
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (row, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+};
+
+/**
+ * SpellingCorrector class for "Did you mean" suggestions
+ * Candidates for an unknown word are the known words sharing enough trigrams with it. The one fewest edits away wins,
+ * and among those the one used in more articles. Operators, field filters and words the index or the dictionary knows are kept as typed.
+ */
+export class SpellingCorrector {
+    /**
+     * Create a new SpellingCorrector instance
+     * @param {Object} [options] - Corrector options
+     * @param {number} [options.threshold=0.2] - Lowest trigram similarity of a candidate, from 0 to 1
+     * @param {number} [options.maxDistance=2] - Most edits of a correction, words of four letters or less take one
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     */
+    constructor(options = {}) {
+        this.options = {
+            threshold: 0.2,
+            maxDistance: 2,
+            ...options
+        };
+
+        this.textProcessor = options.textProcessor || new TextProcessor();
+        this.patterns = {
+            kept: /^(?:AND|OR|NOT)$|^[+-]?\p{L}+:/u,
+            letters: /^\p{L}+$/u,
+            // Modifiers, parentheses, quotes and wildcards around a word stay where they are
+            word: /^(?<before>[+\-("]*)(?<word>.*?)(?<after>[)"*?]*)$/u
+        };
+    }
+
+    /**
+     * Propose a corrected query
+     * @param {string} query - Query as typed
+     * @param {import('./InvertedIndex.js').InvertedIndex} index - Index whose words are known
+     * @param {string[]} [dictionary] - Further known terms, such as the search terms of other languages ("annual leave", "despido")
+     * @returns {string|null} Corrected query, null if no word needs or has a correction
+     */
+    suggest(query, index, dictionary = []) {
+        const vocabulary = this.createDictionary(dictionary);
+        let corrected = false;
+
+        const tokens = String(query || '').trim().split(/\s+/).map(token => {
+            const parts = token.match(this.patterns.word).groups;
+            if (this.patterns.kept.test(token) || !this.isCorrectable(parts.word)) {
+                return token;
+            }
+
+            const word = this.textProcessor.normalizeWord(parts.word.toLowerCase());
+            if (this.isKnown(word, index, vocabulary)) {
+                return token;
+            }
+
+            const correction = this.findCorrection(word, index, vocabulary);
+            if (!correction) {
+                return token;
+            }
+
+            corrected = true;
+            return `${parts.before}${correction}${parts.after}`;
+        });
+
+        return corrected ? tokens.join(' ') : null;
+    }
+
+    /**
+     * Collect the words of the dictionary terms
+     * @param {string[]} terms - Dictionary terms, one or more words each
+     * @returns {Map<string, string>} Folded word -> spelling
+     * @private
+     */
+    createDictionary(terms) {
+        const vocabulary = new Map();
+        terms.forEach(term => (String(term).match(this.textProcessor.wordPattern) || []).forEach(spelling => {
+            const lower = spelling.toLowerCase();
+            vocabulary.set(this.textProcessor.normalizeWord(lower), lower);
+        }));
+        return vocabulary;
+    }
+
+    /**
+     * Check whether a word is worth correcting
+     * @param {string} word - Word as typed
+     * @returns {boolean} True for words of three or more letters
+     * @private
+     */
+    isCorrectable(word) {
+        return word.length > 2 && this.patterns.letters.test(word);
+    }
+
+    /**
+     * Check whether a word needs no correction
+     * @param {string} word - Folded lower-case word
+     * @param {import('./InvertedIndex.js').InvertedIndex} index - Index searched
+     * @param {Map<string, string>} vocabulary - Dictionary words
+     * @returns {boolean} True for stop words, dictionary words and words whose stem is indexed
+     * @private
+     */
+    isKnown(word, index, vocabulary) {
+        return this.textProcessor.tokenize(word).length === 0 || vocabulary.has(word) ||
+            index.getPostings(index.normalize(word)).size > 0;
+    }
+
+    /**
+     * Find the best replacement of an unknown word
+     * @param {string} word - Folded lower-case word
+     * @param {import('./InvertedIndex.js').InvertedIndex} index - Index searched
+     * @param {Map<string, string>} vocabulary - Dictionary words
+     * @returns {string|null} Replacement as spelled in the articles or the dictionary
+     * @private
+     */
+    findCorrection(word, index, vocabulary) {
+        const { threshold } = this.options;
+        const maxDistance = word.length <= 4 ? 1 : this.options.maxDistance;
+        const candidates = index.findSimilar(word, threshold);
+        vocabulary.forEach((spelling, known) => {
+            const similarity = this.textProcessor.calculateSimilarity(word, known);
+            if (similarity >= threshold) {
+                candidates.push({ word: known, spelling, similarity, count: 1 });
+            }
+        });
+
+        const [best] = candidates
+            .map(candidate => ({ ...candidate, distance: editDistance(word, candidate.word) }))
+            .filter(candidate => candidate.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || b.count - a.count || b.similarity - a.similarity);
+        return best ? best.spelling : null;
+    }
+}
+
+export default SpellingCorrector;
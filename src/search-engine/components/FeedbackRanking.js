@@ -78,6 +78,58 @@ export class FeedbackRanking {
         }
     }
 
+    /**
+     * Move rankings stored under old article IDs to the IDs the database uses now
+     * Rankings of IDs that resolve to the same article are added together
+     * @param {Function} resolveId - Maps a stored ID to the current one
+     * @returns {number} Number of moved IDs
+     */
+    migrateArticleIds(resolveId) {
+        const moved = new Set();
+
+        Object.values(this.rankings.keywords).forEach(articles => {
+            Object.keys(articles).forEach(articleId => {
+                const targetId = resolveId(articleId);
+                if (!targetId || targetId === articleId) {
+                    return;
+                }
+
+                const ranking = articles[articleId];
+                const target = articles[targetId] || { score: 0, count: 0, lastUpdated: 0 };
+                articles[targetId] = {
+                    score: Math.min(this.maxRankingScore, target.score + ranking.score),
+                    count: target.count + ranking.count,
+                    lastUpdated: Math.max(target.lastUpdated, ranking.lastUpdated)
+                };
+                delete articles[articleId];
+                moved.add(articleId);
+            });
+        });
+
+        Object.keys(this.rankings.articles).forEach(articleId => {
+            const targetId = resolveId(articleId);
+            if (!targetId || targetId === articleId) {
+                return;
+            }
+
+            const ranking = this.rankings.articles[articleId];
+            const target = this.rankings.articles[targetId] || { totalScore: 0, keywordHits: {} };
+            Object.entries(ranking.keywordHits).forEach(([keyword, hits]) => {
+                target.keywordHits[keyword] = (target.keywordHits[keyword] || 0) + hits;
+            });
+            target.totalScore = Math.min(this.maxRankingScore, target.totalScore + ranking.totalScore);
+            this.rankings.articles[targetId] = target;
+            delete this.rankings.articles[articleId];
+            moved.add(articleId);
+        });
+
+        if (moved.size > 0) {
+            this.saveRankings();
+        }
+
+        return moved.size;
+    }
+
     /**
      * Record positive feedback for an article and keyword
      * @param {string} keyword - Search keyword
@@ -6,11 +6,16 @@
 import { LegalDatabase } from '../core/LegalDatabase.js';
 import { Article } from '../models/Article.js';
 import { SearchResult } from '../models/SearchResult.js';
-import { SearchEngine } from '../core/SearchEngine.js';
+import { SearchEngine } from '../search-engine/SearchEngine.js';
 import { TextProcessor } from '../utils/TextProcessor.js';
+import { TextRepair } from '../utils/TextRepair.js';
+import { TextDiff } from '../utils/TextDiff.js';
+import { LawParser } from '../utils/LawParser.js';
 import { Validator } from '../utils/Validator.js';
 import { CacheManager } from '../utils/CacheManager.js';
 import { ExportManager } from '../utils/ExportManager.js';
+import { EnhancedFactChecker } from '../integration.js';
+import { FeedbackRanking } from '../search-engine/components/FeedbackRanking.js';
 
 /**
  * Test data for Croatian Labor Law articles
@@ -247,6 +252,35 @@ runner.test('Article - JSON serialization', async () => {
     Assert.assertNotNull(json.translations);
 });
 
+runner.test('Article - Stavak and točka citations', async() => {
+    const parser = new LawParser();
+    const article = new Article({
+        id: 'art_077',
+        title: 'Stanka',
+        content: '(1) Radnik ima pravo na stanku. (2) Stanka se ne uračunava u radno vrijeme: 1. ako je radnik slobodan, 2. ako je plaćena.',
+        category: 'working-time',
+        officialNumber: 'Članak 77',
+        paragraphs: parser.parseContent('art_077', '(1) Radnik ima pravo na stanku. (2) Stanka se ne uračunava u radno vrijeme: 1. ako je radnik slobodan, 2. ako je plaćena.')
+    });
+
+    Assert.assertEqual(article.getCitation('art_077_st2'), 'čl. 77. st. 2.');
+    Assert.assertEqual(article.getCitation('art_077_st2_t1'), 'čl. 77. st. 2. t. 1.');
+    Assert.assertEqual(article.getCitation(), 'čl. 77.');
+    Assert.assertEqual(article.locate('plaćena')[0].pointId, 'art_077_st2_t2');
+    Assert.assertEqual(Article.formatCitation({ officialNumber: 'Članak 6. (NN 127/17)' }, { number: 1, numbered: true }), 'čl. 6. st. 1. (NN 127/17)');
+});
+
+runner.test('Article - Heading titles carry the title weight', async() => {
+    const content = 'Radnik ima pravo na godišnji odmor od najmanje četiri tjedna.';
+    const withHeading = new Article({ id: 'art_077', title: 'Godišnji odmor', heading: 'Godišnji odmor', content, category: 'leave' });
+    const withExcerpt = new Article({ id: 'art_078', title: content.substring(0, 30), content, category: 'leave' });
+
+    Assert.assertFalse(Article.isExcerptTitle(withHeading));
+    Assert.assertTrue(Article.isExcerptTitle(withExcerpt));
+    Assert.assertTrue(withHeading.calculateRelevanceScore('odmor') > withExcerpt.calculateRelevanceScore('odmor'));
+    Assert.assertEqual(withHeading.toJSON().heading, 'Godišnji odmor');
+});
+
 // Text Processor Tests
 runner.test('TextProcessor - Croatian text normalization', async () => {
     const processor = new TextProcessor();
@@ -276,6 +310,165 @@ runner.test('TextProcessor - Similarity calculation', async () => {
     Assert.assertTrue(similarity > 0.5);
 });
 
+runner.test('TextProcessor - Croatian stemming of inflected legal terms', async() => {
+    const processor = new TextProcessor();
+
+    // Every form of a lemma shares one stem
+    const inflected = [
+        ['odmor', 'odmora', 'odmoru', 'odmorom', 'odmori', 'odmorima'],
+        ['otkaz', 'otkaza', 'otkazu', 'otkazom', 'otkazi'],
+        ['otkazni', 'otkaznog', 'otkaznom', 'otkazna'],
+        ['plaća', 'plaće', 'plaći', 'plaću', 'plaćom', 'plaćama', 'placa'],
+        ['radnik', 'radnika', 'radniku', 'radnikom', 'radnici', 'radnicima'],
+        ['poslodavac', 'poslodavca', 'poslodavcu', 'poslodavcem', 'poslodavci', 'poslodavaca'],
+        ['stavak', 'stavka', 'stavku', 'stavci', 'stavaka'],
+        ['godišnji', 'godišnjeg', 'godišnjem', 'godišnjoj', 'godišnju', 'godišnjih'],
+        ['radno', 'radnog', 'radnom', 'radni', 'radnim'],
+        ['naknada', 'naknade', 'naknadi', 'naknadu', 'naknadom'],
+        ['ugovor', 'ugovora', 'ugovoru', 'ugovorom', 'ugovori', 'ugovorima'],
+        ['odgovornost', 'odgovornosti', 'odgovornošću'],
+        ['trudnoća', 'trudnoće', 'trudnoći'],
+        ['vrijeme', 'vremena', 'vremenu', 'vremenom'],
+        ['dijete', 'djeteta', 'djetetu', 'djeca', 'djece'],
+        ['tjedan', 'tjedna', 'tjednu', 'tjedno'],
+        ['rok', 'roka', 'roku', 'rokovi', 'rokova'],
+        ['posao', 'posla', 'poslu', 'poslovi', 'poslova'],
+        ['trošak', 'troška', 'troškovi', 'troškova'],
+        ['razlog', 'razloga', 'razlozi']
+    ];
+    inflected.forEach(forms => forms.forEach(form => Assert.assertEqual(processor.stemWord(form), processor.stemWord(forms[0]), form)));
+
+    // Different words keep different stems
+    const distinct = [['rad', 'radnik'], ['otkaz', 'otkazni'], ['rok', 'roditelj'], ['dan', 'danak'], ['osnovno', 'osnovna'], ['posebno', 'posebna']];
+    distinct.forEach(([a, b]) => Assert.assertTrue(processor.stemWord(a) !== processor.stemWord(b), `${a} / ${b}`));
+});
+
+// Text Repair Tests
+runner.test('TextRepair - Rejoin words split by PDF extraction', async() => {
+    const repair = new TextRepair({ lexicon: ['koji', 'je', 'sklopljen', 'drukčije', 'vijeća', 'nije'] });
+    const result = repair.repairText('koji je skloplje n, nije drukč ije određeno. Vije ća');
+    Assert.assertEqual(result.text, 'koji je sklopljen, nije drukčije određeno. Vijeća');
+    Assert.assertEqual(result.changes.length, 3);
+    Assert.assertEqual(result.changes[0].original, 'skloplje n');
+});
+
+runner.test('TextRepair - Keep valid word pairs and fix punctuation spacing', async() => {
+    const repair = new TextRepair({ lexicon: ['na', 'snazi', 'od', 'radu', 'organizacije'] });
+    const result = repair.repairText('na snazi od 14.06.2023 . organiza- cije');
+    Assert.assertEqual(result.text, 'na snazi od 14.06.2023. organizacije');
+    Assert.assertEqual(TextRepair.summarize([{ articleId: 'art_001', changes: result.changes }]).totalChanges, 2);
+});
+
+// Law Parser Tests
+runner.test('LawParser - Parse članci, stavci and točke with stable IDs', async() => {
+    const parser = new LawParser();
+    const articles = parser.parseBlocks([
+        { text: 'GLAVA I. OPĆE ODREDBE', centered: true },
+        { text: 'Godišnji odmor', centered: true },
+        { text: 'Članak 17.a (NN 93/14, 151/22)', centered: true },
+        { text: '(1) Ugovor o radu sadrži:', centered: false },
+        { text: '1. mjesto rada', centered: false },
+        { text: '2. trajanje rada', centered: false },
+        { text: '(2) Ugovor se sklapa u pisanom obliku.', centered: false },
+        { text: 'Članak 18.', centered: true },
+        { text: 'Radnik ima pravo na odmor.', centered: false }
+    ]);
+
+    Assert.assertEqual(articles.length, 2);
+    Assert.assertEqual(articles[0].id, 'art_017a');
+    Assert.assertEqual(articles[0].officialNumber, 'Članak 17.a');
+    Assert.assertEqual(articles[0].heading, 'Godišnji odmor');
+    Assert.assertEqual(articles[0].amendments.length, 2);
+    Assert.assertEqual(articles[0].paragraphs[0].points[1].id, 'art_017a_st1_t2');
+    Assert.assertEqual(articles[0].content, '(1) Ugovor o radu sadrži: 1. mjesto rada 2. trajanje rada (2) Ugovor se sklapa u pisanom obliku.');
+    Assert.assertEqual(articles[1].id, 'art_018');
+    Assert.assertFalse(articles[1].paragraphs[0].numbered);
+    Assert.assertEqual(LawParser.createArticleId(6, '', 'NN 127/17'), 'art_nn127_17_006');
+});
+
+runner.test('LawParser - Join wrapped lines and skip page furniture', async() => {
+    const parser = new LawParser();
+    const { metadata, articles } = parser.parse([
+        { text: 'Članak 1.', centered: true, newBlock: true },
+        { text: '(1) Gospodarsko-', centered: false, newBlock: true },
+        { text: 'socijalno vijeće osniva se', centered: false, newBlock: false },
+        { text: 'Ispisano: 25. kolovoza 2025.', centered: false, newBlock: null },
+        { text: 'NN 93/14, 127/17 - na snazi od 14.06.2023.', centered: true, newBlock: true },
+        { text: 'ovim Zakonom.', centered: false, newBlock: null },
+        { text: '(2) Vijeće ima predsjednika.', centered: false, newBlock: true }
+    ]);
+
+    Assert.assertEqual(metadata.printedDate, '2025-08-25');
+    Assert.assertEqual(metadata.effectiveDate, '2023-06-14');
+    Assert.assertEqual(articles[0].paragraphs.length, 2);
+    Assert.assertEqual(articles[0].paragraphs[0].text, 'Gospodarsko-socijalno vijeće osniva se ovim Zakonom.');
+});
+
+runner.test('LawParser - Read headings printed at the left margin', async() => {
+    const parser = new LawParser();
+    const articles = parser.parseBlocks([
+        { text: 'Članak 168.', centered: true },
+        { text: 'Udruge se mogu udruživati.', centered: false },
+        { text: 'Ovlaštenja udruge', centered: false },
+        { text: 'Članak 169.', centered: true },
+        { text: '(1) Udruga može biti stranka kolektivnog ugovora.', centered: false }
+    ]);
+
+    Assert.assertEqual(articles[0].content, 'Udruge se mogu udruživati.');
+    Assert.assertEqual(articles[1].heading, 'Ovlaštenja udruge');
+});
+
+runner.test('LawParser - Join glava and subchapter titles printed on two lines', async() => {
+    const parser = new LawParser();
+    const [article] = parser.parseBlocks([
+        { text: 'GLAVA II. INDIVIDUALNI RADNI ODNOSI', centered: true },
+        { text: '10. MOGUĆNOST DRUKČIJEG UREĐENJA RADNOG VREMENA, NOĆNOG RADA I', centered: true },
+        { text: 'ODMORA', centered: true },
+        { text: 'Članak 88.', centered: true },
+        { text: 'Drukčije uređenje moguće je kolektivnim ugovorom.', centered: false }
+    ]);
+
+    Assert.assertEqual(article.part.number, 'II.');
+    Assert.assertEqual(article.chapter.title, 'MOGUĆNOST DRUKČIJEG UREĐENJA RADNOG VREMENA, NOĆNOG RADA I ODMORA');
+});
+
+runner.test('LawParser - Read entry into force printed inside the amendments', async() => {
+    const parser = new LawParser();
+    const [later, inside] = parser.parseBlocks([
+        { text: 'Članak 201. (NN 93/14, 98/19, 151/22) – na snazi od 01.07.2023.', centered: true },
+        { text: 'Kolektivni ugovor sklapa se u pisanom obliku.', centered: false },
+        { text: 'Članak 221.a (NN 93/14, 151/22 – na snazi od 01.01.2024.)', centered: true },
+        { text: 'Digitalna radna platforma je fizička ili pravna osoba.', centered: false }
+    ]);
+
+    Assert.assertEqual(later.effectiveDate, '2023-07-01');
+    Assert.assertEqual(inside.amendments.join(','), '93/14,151/22');
+    Assert.assertEqual(inside.effectiveDate, '2024-01-01');
+});
+
+runner.test('LawParser - Split flat content into stavci', async() => {
+    const parser = new LawParser();
+    const paragraphs = parser.parseContent('art_077', 'Uvod. (1) Radnik ima pravo na odmor iz stavka (3) ovoga članka. (2) Odmor traje 30 minuta.');
+
+    Assert.assertEqual(paragraphs.length, 3);
+    Assert.assertEqual(paragraphs[0].id, 'art_077_st0');
+    Assert.assertFalse(paragraphs[0].numbered);
+    Assert.assertEqual(paragraphs[1].text, 'Radnik ima pravo na odmor iz stavka (3) ovoga članka.');
+    Assert.assertEqual(paragraphs[2].id, 'art_077_st2');
+    Assert.assertEqual(parser.parseContent('art_078', 'Bez oznake.')[0].id, 'art_078_st1');
+});
+
+runner.test('LawParser - Split inline točke without mistaking references', async() => {
+    const parser = new LawParser();
+    const [paragraph] = parser.parseContent('art_015', '(1) Ugovor sadrži podatke o: 1. strankama 2. mjestu rada iz stavka 3. ovoga članka 3. nazivu radnog mjesta');
+
+    Assert.assertEqual(paragraph.text, 'Ugovor sadrži podatke o:');
+    Assert.assertEqual(paragraph.points.length, 3);
+    Assert.assertEqual(paragraph.points[1].text, 'mjestu rada iz stavka 3. ovoga članka');
+    Assert.assertEqual(paragraph.points[2].id, 'art_015_st1_t3');
+    Assert.assertEqual(parser.parseContent('art_016', 'Prema stavku 1. ovoga članka.')[0].points.length, 0);
+});
+
 // Validator Tests
 runner.test('Validator - Valid article validation', async () => {
     const validator = new Validator();
@@ -384,8 +577,230 @@ runner.test('SearchEngine - Category filtering', async () => {
     });
     
     results.forEach(result => {
-        Assert.assertEqual(result.category, 'radno-vrijeme');
+        Assert.assertEqual(result.article.category, 'radno-vrijeme');
+    });
+});
+
+runner.test('SearchEngine - BM25 ranking over the whole corpus', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: true,
+        enableValidation: false
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_010', title: 'Članak 10', officialNumber: 'Članak 10', heading: 'Ugovor o radu', category: 'contracts', content: '(1) Ugovor o radu sklapa se na neodređeno vrijeme. (2) U slučaju otkaza ugovora poslodavac je dužan isplatiti plaću.' },
+            { id: 'art_115', title: 'Članak 115', officialNumber: 'Članak 115', heading: 'Redoviti otkaz', category: 'termination', content: '(1) Poslodavac može otkazati ugovor o radu uz propisani otkazni rok. (2) Otkaz mora biti obrazložen.' },
+            { id: 'art_121', title: 'Članak 121', officialNumber: 'Članak 121', heading: 'Otkazni rok', category: 'termination', content: '(1) Otkazni rok počinje teći danom dostave otkaza. (2) Otkazni rok ne teče za vrijeme bolovanja.' }
+        ]
+    });
+
+    // The best article is found although the first one matches too
+    const results = await db.search('otkazni rok', { maxResults: 1 });
+    Assert.assertEqual(results.length, 1);
+    Assert.assertEqual(results[0].id, 'zor:art_121');
+    Assert.assertEqual(results[0].relevanceScore, 1);
+
+    // The last word may be unfinished
+    Assert.assertEqual((await db.search('otkaz')).length, 3);
+
+    // Edits are indexed one article at a time
+    await db.updateArticle('zor:art_010', { content: '(1) Ugovor o radu sklapa se na neodređeno vrijeme.' });
+    Assert.assertEqual((await db.search('otkaz')).length, 2);
+    await db.removeArticle('zor:art_121');
+    Assert.assertEqual((await db.search('otkazni rok')).map(result => result.id).join(), 'zor:art_115');
+    Assert.assertEqual(db.searchEngine.getStats().indexStats.totalDocuments, 2);
+});
+
+runner.test('SearchEngine - Multi-word queries matched per term', async() => {
+    const searchEngine = new SearchEngine();
+    const articles = testArticles.map(data => new Article(data));
+    await searchEngine.buildIndex(articles);
+
+    // Stop words are left out and the words need not follow each other
+    const results = await searchEngine.search('vrijeme i prekovremeni rad', { defaultOperator: 'OR' });
+    Assert.assertEqual(results.length, 3);
+    Assert.assertEqual(results[0].id, 'rd-02');
+    Assert.assertTrue(results[0].relevanceScore > results[2].relevanceScore);
+
+    // With AND every word must occur
+    const all = await searchEngine.search('osnovna plaća radnika', { defaultOperator: 'AND' });
+    Assert.assertEqual(all.map(result => result.id).join(), 'pl-01');
+    Assert.assertEqual((await searchEngine.search('plaća prekovremeni', { defaultOperator: 'AND' })).length, 0);
+
+    // Words close together rank higher than the same words far apart
+    await searchEngine.buildIndex([
+        new Article({ id: 'near', title: 'Članak 1', category: 'odmori', content: 'Radnik ima pravo na godišnji odmor. Ostalo uređuje ugovor.' }),
+        new Article({ id: 'far', title: 'Članak 2', category: 'odmori', content: 'Godišnji raspored utvrđuje poslodavac. Radnik ima pravo na odmor.' })
+    ]);
+    Assert.assertEqual((await searchEngine.search('godišnji odmor'))[0].id, 'near');
+});
+
+runner.test('SearchEngine - Boolean query language', async() => {
+    const searchEngine = new SearchEngine();
+    await searchEngine.buildIndex([
+        ...testArticles.map(data => new Article(data)),
+        new Article({ id: 'art_017a', title: 'Članak 17.a', officialNumber: 'Članak 17.a', articleType: 'rights', category: 'radni-odnosi', content: 'Radnik ima pravo na rad na daljinu uz naknadu troškova.' })
+    ]);
+    const ids = async(query, options) => (await searchEngine.search(query, options)).map(result => result.id).sort().join();
+
+    // NOT binds tighter than AND, AND tighter than OR
+    Assert.assertEqual(await ids('plaća OR radno AND NOT prekovremeni'), 'pl-01,rd-01');
+    Assert.assertEqual(await ids('(plaća OR prekovremeni) AND radno'), 'pl-01,rd-02');
+    Assert.assertEqual(await ids('radno -prekovremeni', { defaultOperator: 'AND' }), 'pl-01,rd-01');
+    Assert.assertEqual(await ids('+osnovno +radnom tjedan'), 'rd-01');
+
+    // Phrases, wildcards and field filters
+    Assert.assertEqual(await ids('"radno vrijeme je"'), 'rd-01');
+    Assert.assertEqual(await ids('prekovremen*'), 'rd-02');
+    Assert.assertEqual(await ids('rad* category:radno-vrijeme', { defaultOperator: 'AND' }), 'rd-01,rd-02');
+    Assert.assertEqual(await ids('rad* category:radno-vrijeme'), 'rd-01,rd-02');
+    Assert.assertEqual(await ids('plaća -prekovremeni category:radno-vrijeme'), '');
+    Assert.assertEqual(await ids('clanak:17a'), 'art_017a');
+    Assert.assertEqual(await ids('type:rights OR plaća'), 'art_017a,pl-01');
+
+    // Malformed queries are reported by the validator
+    const validator = new Validator();
+    Assert.assertEqual(validator.validateSearchQuery('(radno OR plaća').errors[0].message, 'Missing closing parenthesis');
+    Assert.assertEqual(validator.validateSearchQuery('radno AND').errors[0].code, 'SYNTAX_ERROR');
+    Assert.assertEqual(validator.validateSearchQuery('category:""').errors[0].message, 'Missing value for category:');
+    Assert.assertFalse(validator.validateSearchQuery('clanak:otkaz').isValid);
+
+    // A colon after any other word, or after a field with no value, is plain text
+    ['help: how many days', 'napomena: otkaz', 'otkaz:', 'zakon:rad', 'category: radno'].forEach(query => {
+        Assert.assertTrue(validator.validateSearchQuery(query).isValid, query);
+    });
+    Assert.assertEqual(await ids('napomena: prekovremeni'), 'rd-02');
+    Assert.assertEqual(await ids('prekovremeni:'), 'rd-02');
+    let error = null;
+    try {
+        await searchEngine.search('"radno vrijeme');
+    } catch (caught) {
+        error = caught;
+    }
+    Assert.assertEqual(error && error.message, 'Invalid search query: Missing closing quote');
+});
+
+runner.test('SearchEngine - Diacritic-insensitive matching', async() => {
+    const searchEngine = new SearchEngine();
+    await searchEngine.buildIndex([
+        new Article({ id: 'ascii', title: 'Članak 1', category: 'place-i-naknade', content: 'Placa se isplacuje jednom mjesecno, a radnik dobiva obracun.' }),
+        new Article({ id: 'accented', title: 'Članak 2', category: 'place-i-naknade', content: 'Plaća se isplaćuje jednom mjesečno, a radnik dobiva obračun.' })
+    ]);
+
+    // Both spellings are found, the one spelled as typed ranks first
+    const typedWithout = await searchEngine.search('placa');
+    Assert.assertEqual(typedWithout.map(result => result.id).join(), 'ascii,accented');
+    const typedWith = await searchEngine.search('plaća');
+    Assert.assertEqual(typedWith.map(result => result.id).join(), 'accented,ascii');
+    Assert.assertEqual((await searchEngine.search('mjesecno obracun', { defaultOperator: 'AND' })).length, 2);
+
+    // Locations ignore diacritics too
+    const article = { id: 'art_090', number: '90', paragraphs: [{ id: 'art_090_st1', number: 1, text: 'Poslodavac je dužan isplatiti plaću.', points: [] }] };
+    Assert.assertEqual(Article.findLocations(article, 'placu').length, 1);
+});
+
+runner.test('SearchEngine - Inflected forms', async() => {
+    const searchEngine = new SearchEngine();
+    await searchEngine.buildIndex([
+        new Article({ id: 'art_077', title: 'Trajanje godišnjeg odmora', category: 'leave', content: 'Radnik ima za svaku kalendarsku godinu pravo na plaćeni godišnji odmor od najmanje četiri tjedna.' }),
+        new Article({ id: 'art_121', title: 'Otkazni rok', category: 'termination', content: 'U slučaju redovitog otkaza otkazni rok počinje teći danom dostave odluke o otkazu ugovora o radu.' })
+    ]);
+    const ids = async query => (await searchEngine.search(query, { defaultOperator: 'AND' })).map(result => result.id).join();
+
+    // Query words find the other case forms, in the index and in the phrase positions
+    Assert.assertEqual(await ids('trajanje godišnjih odmora'), 'art_077');
+    Assert.assertEqual(await ids('"otkaznog roka"'), 'art_121');
+    Assert.assertEqual(await ids('otkazom ugovor'), 'art_121');
+    Assert.assertEqual(Article.findLocations({ id: 'art_121', number: '121', paragraphs: [{ id: 'art_121_st1', number: 1, text: 'Otkazni rok počinje teći danom dostave odluke o otkazu.', points: [] }] }, 'otkazom').length, 1);
+});
+
+runner.test('SearchEngine - Typo-tolerant fallback', async() => {
+    const searchEngine = new SearchEngine();
+    await searchEngine.buildIndex(testArticles.map(data => new Article(data)));
+
+    // A mistyped word is matched to its near spellings and the results say so
+    const results = await searchEngine.search('prekovremni');
+    Assert.assertEqual(results.map(result => result.id).join(), 'rd-02');
+    Assert.assertTrue(results[0].fuzzy);
+    Assert.assertContains(results[0].nearWords, 'prekovremeni');
+
+    // Exact hits are not marked, and the fallback can be turned off
+    Assert.assertFalse((await searchEngine.search('prekovremeni'))[0].fuzzy);
+    Assert.assertEqual((await searchEngine.search('prekovremni', { fuzzySearch: false })).length, 0);
+    Assert.assertEqual((await searchEngine.search('prekovremni -rad', { defaultOperator: 'AND' })).length, 0);
+
+    // Words found somewhere are not padded with near spellings, however few articles hold them
+    Assert.assertFalse((await searchEngine.search('radno')).some(result => result.fuzzy));
+
+    // Results found through near spellings come after the exact matches and score no higher
+    const mixed = await searchEngine.search('prekovremno radno');
+    Assert.assertEqual(mixed.map(result => result.id).join(), 'rd-01,pl-01,rd-02');
+    Assert.assertTrue(mixed[2].fuzzy);
+    Assert.assertTrue(mixed[2].relevanceScore <= mixed[1].relevanceScore);
+
+    // The presets lend only their similarity threshold, not their result limits
+    const many = new SearchEngine();
+    await many.buildIndex(Array.from({ length: 40 }, (_, i) => new Article({ id: `art_${i + 1}`, title: `Članak ${i + 1}`, category: 'working-time', content: 'Prekovremeni rad se posebno plaća.' })));
+    Assert.assertEqual((await many.search('prekovremni')).length, 40);
+});
+
+runner.test('SearchEngine - Did you mean suggestions', async() => {
+    const searchEngine = new SearchEngine();
+    await searchEngine.buildIndex(testArticles.map(data => new Article(data)));
+
+    // Unknown words are replaced by the nearest indexed word, operators and known words are kept
+    Assert.assertEqual(searchEngine.suggestCorrection('prekovremni'), 'prekovremeni');
+    Assert.assertEqual(searchEngine.suggestCorrection('+prekovremni rad'), '+prekovremeni rad');
+    Assert.assertEqual(searchEngine.suggestCorrection('prekovremeni rad'), null);
+
+    // Dictionary terms of other languages count as known words
+    Assert.assertEqual(searchEngine.suggestCorrection('overtme', { dictionary: ['overtime'] }), 'overtime');
+    Assert.assertEqual(searchEngine.suggestCorrection('overtime', { dictionary: ['overtime'] }), null);
+});
+
+runner.test('SearchEngine - Facet counts', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: true,
+        enableValidation: false
     });
+
+    const part = { number: 'II.', title: 'INDIVIDUALNI RADNI ODNOSI' };
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_010', title: 'Članak 10', officialNumber: 'Članak 10', category: 'contracts', articleType: 'obligations', part, chapter: { number: '1', title: 'ZASNIVANJE RADNOG ODNOSA' }, content: '(1) Poslodavac je dužan sklopiti ugovor o radu u pisanom obliku.' },
+            { id: 'art_115', title: 'Članak 115', officialNumber: 'Članak 115', category: 'termination', articleType: 'procedures', part, chapter: { number: '15', title: 'PRESTANAK UGOVORA O RADU' }, content: '(1) Poslodavac je dužan otkaz ugovora o radu obrazložiti.' },
+            { id: 'art_116', title: 'Članak 116', officialNumber: 'Članak 116', category: 'termination', articleType: 'rights', part, chapter: { number: '15', title: 'PRESTANAK UGOVORA O RADU' }, content: '(1) Radnik ima pravo otkazati ugovor o radu.' },
+            { id: 'art_192', title: 'Članak 192', officialNumber: 'Članak 192', category: 'collective', articleType: 'procedures', part: { number: 'IV.', title: 'KOLEKTIVNI RADNI ODNOSI' }, content: '(1) Kolektivni ugovor sklapa se u pisanom obliku.' }
+        ]
+    });
+
+    const count = (facets, facet) => facets[facet].map(entry => `${entry.value}:${entry.count}`).join();
+    const all = await db.search('ugovor');
+    Assert.assertEqual(all.length, 4);
+    Assert.assertEqual(count(all.facets, 'category'), 'termination:2,collective:1,contracts:1');
+    Assert.assertEqual(count(all.facets, 'chapter'), 'PRESTANAK UGOVORA O RADU:2,KOLEKTIVNI RADNI ODNOSI:1,ZASNIVANJE RADNOG ODNOSA:1');
+    Assert.assertEqual(count(all.facets, 'tag'), 'employer-obligation:2,worker-right:1');
+    Assert.assertEqual(count(all.facets, 'law'), 'zor:4');
+
+    // Ticked facets narrow the results, values of one facet being alternatives
+    const ticked = await db.search('ugovor', { facets: { category: ['termination', 'collective'], articleType: ['procedures'] } });
+    Assert.assertEqual(ticked.map(result => result.id).sort().join(), 'zor:art_115,zor:art_192');
+
+    // The counts of a facet leave its own ticks out, so its other values still show what they would add
+    Assert.assertEqual(count(ticked.facets, 'articleType'), 'procedures:2,rights:1');
+    Assert.assertEqual(count(ticked.facets, 'category'), 'collective:1,termination:1');
+    Assert.assertTrue(ticked.facets.articleType[0].selected);
+
+    // Ticked facets narrow the results before they are cut to maxResults, the counts covering every match
+    const first = await db.search('ugovor', { maxResults: 1, facets: { category: ['collective'] } });
+    Assert.assertEqual(first.map(result => result.id).join(), 'zor:art_192');
+    Assert.assertEqual(first.matching.length, 4);
+    Assert.assertEqual(count(first.facets, 'category'), 'termination:2,collective:1,contracts:1');
 });
 
 // Export Manager Tests
@@ -579,6 +994,515 @@ runner.test('LegalDatabase - Event system', async () => {
     Assert.assertTrue(eventFired);
 });
 
+runner.test('LegalDatabase - Consolidate fragmented records', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false,
+        consolidate: true
+    });
+
+    const fragment = { title: 'Članak 221', category: 'collective', officialNumber: 'Članak 221', keywords: ['vijeće'] };
+    await db.loadFromData({
+        articles: [
+            { ...fragment, id: 'art_221_10', content: '(1) Vijeće ima predsjednika.', keywords: ['predsjednik'] },
+            { ...fragment, id: 'art_221', content: '(1) Gospodarsko-socijalno vijeće osniva se sporazumom. (2) Vijeće donosi poslovnik.' },
+            { ...fragment, id: 'art_221_2', content: 'Članovi se imenuju na četiri godine.' },
+            { ...testArticles[0] }
+        ]
+    });
+
+    Assert.assertEqual(db.articles.size, 2);
+
+    const article = await db.getArticle('art_221_10');
+    Assert.assertEqual(article.id, 'art_221');
+    Assert.assertEqual(article.paragraphs.map(paragraph => paragraph.id).join(','), 'art_221_st1,art_221_st2,art_221_2_st1,art_221_10_st1');
+    Assert.assertEqual(article.paragraphs[3].sourceId, 'art_221_10');
+    Assert.assertTrue(article.keywords.includes('predsjednik'));
+    Assert.assertTrue(article.content.startsWith('(1) Gospodarsko-socijalno'));
+});
+
+runner.test('LegalDatabase - IDs of records dropped by a regenerated dataset', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    // The earlier dataset cut the penalty clauses citing other articles out of Članak 226 and 228 as art_006_01 and art_012_02
+    await db.loadFromData({
+        metadata: { law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_226', title: 'Prekršaji', officialNumber: 'Članak 226', category: 'violations', content: '(1) Inspektor će poslodavcu narediti da radniku omogući upoznavanje s propisima (članak 8. stavak 2.).' },
+            { id: 'art_228', title: 'Prekršaji', officialNumber: 'Članak 228', category: 'violations', content: '(1) Novčanom kaznom kaznit će se poslodavac ako s radnikom sklopi ugovor o radu na određeno vrijeme za sezonske poslove (članak 12. stavci 4. i 7.).' }
+        ],
+        aliases: Object.fromEntries([['art_006_01', 'art_226'], ['art_012_02', 'art_228']])
+    });
+
+    Assert.assertEqual((await db.getArticle('art_012_02')).id, 'zor:art_228');
+    Assert.assertEqual((await db.getArticle('zor:art_006_01')).id, 'zor:art_226');
+    Assert.assertEqual(db.resolveArticleId('art_006_01'), 'zor:art_226');
+
+    // Feedback given to the dropped records counts for the articles now holding their text
+    const ranking = new FeedbackRanking();
+    ranking.storageKey = 'croatian_law_feedback_rankings_test';
+    ranking.clearRankings();
+    ranking.recordPositiveFeedback('inspektor', 'art_006_01');
+    ranking.migrateArticleIds(id => db.resolveArticleId(id));
+    Assert.assertEqual(Object.keys(ranking.rankings.keywords.inspektor).join(), 'zor:art_226');
+    Assert.assertTrue(ranking.getRankingScore('zor:art_226', 'inspektor') > 0);
+    localStorage.removeItem(ranking.storageKey);
+});
+
+runner.test('LegalDatabase - Table of contents from the official structure', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    const general = { number: 'I.', title: 'OPĆE ODREDBE' };
+    const individual = { number: 'II.', title: 'INDIVIDUALNI RADNI ODNOSI' };
+    const workingTime = { number: '8', title: 'RADNO VRIJEME' };
+    const article = (id, officialNumber, part, chapter = null) =>
+        ({ id, title: officialNumber, content: 'Tekst članka.', category: 'general', officialNumber, part, chapter });
+
+    await db.loadFromData([
+        article('art_001', 'Članak 1', general),
+        article('art_060', 'Članak 60', individual, workingTime),
+        article('art_060a', 'Članak 60.a', individual, workingTime),
+        article('art_072', 'Članak 72', individual, workingTime),
+        { ...testArticles[0] }
+    ]);
+
+    const toc = db.getTableOfContents();
+    Assert.assertEqual(toc.map(part => part.id).join(','), 'glava_i,glava_ii');
+    Assert.assertEqual(toc[1].articleCount, 3);
+    Assert.assertEqual(toc[1].children[0].id, 'glava_ii_8');
+    Assert.assertEqual(toc[1].children[0].range.last, 'Članak 72');
+    Assert.assertEqual(db.getSectionArticles('glava_ii').map(entry => entry.id).join(','), 'art_060,art_060a,art_072');
+});
+
+runner.test('LegalDatabase - Point-in-time versions', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    const record = (content, extra = {}) => ({ id: 'art_077', title: 'Članak 77', content, category: 'leave', officialNumber: 'Članak 77', ...extra });
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-01-01', consolidatedVersion: 'NN 93/14, 151/22' },
+        articles: [record('(1) Radnik ima pravo na stanku od 30 minuta.'), { ...testArticles[0] }]
+    });
+
+    // Before an earlier consolidation is loaded, dates before the loaded one have no version
+    Assert.assertEqual(db.getEarliestVersionDate(), '2023-01-01');
+    Assert.assertEqual(await db.getArticleAsOf('art_077', '2021-03-01'), null);
+
+    const summary = await db.loadVersions({
+        metadata: { effectiveDate: '2014-08-07', consolidatedVersion: 'NN 93/14' },
+        articles: [record('(1) Radnik ima pravo na stanku od 20 minuta.'), record('Stari tekst.', { id: 'art_078' })]
+    });
+
+    Assert.assertEqual(summary.versions, 1);
+    Assert.assertEqual(summary.missing.join(','), 'art_078');
+    Assert.assertEqual(db.getEarliestVersionDate(), '2014-08-07');
+
+    const past = await db.getArticleAsOf('art_077', '2021-03-01');
+    Assert.assertTrue(past.content.includes('20 minuta'));
+    Assert.assertEqual(past.validTo, '2023-01-01');
+    Assert.assertTrue((await db.getArticleAsOf('art_077', '2023-01-01')).content.includes('30 minuta'));
+    Assert.assertEqual(await db.getArticleAsOf('art_077', '2010-01-01'), null);
+    Assert.assertTrue((await db.getArticle('art_077')).content.includes('30 minuta'));
+});
+
+runner.test('TextDiff - Word-level insertions and deletions', async() => {
+    const diff = new TextDiff();
+    const operations = diff.diffWords(
+        'Radnik ima pravo na stanku od 20 minuta.',
+        'Radnik ima pravo na plaćenu stanku od 30 minuta.'
+    );
+
+    Assert.assertEqual(operations.map(operation => operation.type).join(','), 'equal,insert,equal,delete,insert,equal');
+    Assert.assertEqual(operations[1].text, 'plaćenu');
+    Assert.assertEqual(operations[3].text, '20');
+
+    const summary = TextDiff.summarize(operations);
+    Assert.assertEqual(summary.inserted, 2);
+    Assert.assertEqual(summary.deleted, 1);
+});
+
+runner.test('LegalDatabase - Compare with another consolidation', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    const record = (id, number, content) => ({ id, title: number, content, category: 'leave', officialNumber: number });
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-01-01', consolidatedVersion: 'NN 93/14, 151/22' },
+        articles: [record('art_073', 'Članak 73', 'Dnevni odmor.'), record('art_077', 'Članak 77', 'Radnik ima pravo na stanku od 30 minuta.')]
+    });
+
+    const comparison = db.compareWith({
+        metadata: { effectiveDate: '2014-08-07', consolidatedVersion: 'NN 93/14' },
+        articles: [
+            record('old_1', 'Članak 73', 'Dnevni odmor.'),
+            record('old_2', 'Članak 77', 'Radnik ima pravo na stanku od 20 minuta.'),
+            record('old_3', 'Članak 78', 'Ukinuta odredba.')
+        ]
+    });
+
+    Assert.assertEqual(comparison.from.consolidatedVersion, 'NN 93/14');
+    Assert.assertEqual(comparison.unchanged, 1);
+    Assert.assertEqual(comparison.articles.map(diff => `${diff.officialNumber}:${diff.status}`).join(','), 'Članak 77:changed,Članak 78:removed');
+    Assert.assertEqual(db.getArticleDiff('art_077').inserted, 1);
+    Assert.assertEqual(db.getArticleDiff('art_073'), null);
+});
+
+runner.test('LegalDatabase - Multiple laws with law-scoped IDs', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    const dataset = (law, effectiveDate, content) => ({
+        metadata: { effectiveDate, law },
+        articles: [{ id: 'art_001', title: 'Članak 1', content, category: 'general', officialNumber: 'Članak 1', part: { number: 'I.', title: 'OPĆE ODREDBE' } }]
+    });
+
+    await db.loadFromData(dataset({ id: 'zor', title: 'Zakon o radu' }, '2023-06-14', 'Ovim se Zakonom uređuju radni odnosi.'));
+    const law = await db.loadLaw(dataset({ id: 'zznr', title: 'Zakon o zaštiti na radu', abbreviation: 'ZZNR' }, '2018-01-01', 'Ovim se Zakonom uređuje zaštita na radu.'));
+
+    Assert.assertEqual(law.articleCount, 1);
+    Assert.assertEqual(db.getLaws().map(entry => `${entry.id}:${entry.abbreviation}`).join(','), 'zor:ZOR,zznr:ZZNR');
+    Assert.assertEqual((await db.getArticle('art_001')).id, 'zor:art_001');
+    Assert.assertEqual((await db.getArticle('zznr:art_001')).law, 'zznr');
+    Assert.assertEqual(db.getArticles({ law: 'zznr' }).length, 1);
+    Assert.assertEqual(db.getTableOfContents('zznr').map(part => part.id).join(','), 'zznr:glava_i');
+    Assert.assertEqual(db.metadata.effectiveDate, '2023-06-14');
+
+    // Unscoped IDs of the first law are accepted for edits too
+    await db.updateArticle('art_001', { title: 'Predmet Zakona' });
+    Assert.assertEqual((await db.getArticle('zor:art_001')).title, 'Predmet Zakona');
+    Assert.assertTrue(await db.removeArticle('art_001'));
+    Assert.assertEqual(await db.getArticle('zor:art_001'), null);
+    Assert.assertEqual(db.getArticles({ law: 'zznr' }).length, 1);
+});
+
+runner.test('FeedbackRanking - Rankings saved under unscoped article IDs', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+    await db.loadFromData({
+        metadata: { law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_077', title: 'Trajanje godišnjeg odmora', officialNumber: 'Članak 77', category: 'vacation', content: 'Radnik ima pravo na godišnji odmor.' },
+            { id: 'art_121', title: 'Otkazni rok', officialNumber: 'Članak 121', category: 'termination', content: 'Otkazni rok počinje teći danom dostave odluke.' }
+        ]
+    });
+
+    // Rankings recorded before the IDs were scoped by law
+    const ranking = new FeedbackRanking();
+    ranking.storageKey = 'croatian_law_feedback_rankings_test';
+    ranking.clearRankings();
+    ranking.recordPositiveFeedback('odmor', 'art_077');
+    ranking.recordPositiveFeedback('odmor', 'zor:art_077');
+
+    Assert.assertEqual(ranking.migrateArticleIds(id => db.resolveArticleId(id)), 1);
+    Assert.assertEqual(Object.keys(ranking.rankings.articles).join(), 'zor:art_077');
+    Assert.assertEqual(ranking.rankings.keywords.odmor['zor:art_077'].count, 2);
+
+    const ranked = ranking.rankResults([{ id: 'zor:art_121', relevanceScore: 1 }, { id: 'zor:art_077', relevanceScore: 0.5 }], 'odmor');
+    Assert.assertEqual(ranked[0].id, 'zor:art_077');
+    Assert.assertTrue(ranked[0].rankingScore > 0);
+    localStorage.removeItem(ranking.storageKey);
+});
+
+runner.test('LegalDatabase - Resolve internal cross-references', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_017', title: 'Članak 17', officialNumber: 'Članak 17', category: 'contracts', content: '(1) Prvi stavak.\n(2) Drugi stavak.\n(3) Treći stavak.' },
+            { id: 'art_018', title: 'Članak 18', officialNumber: 'Članak 18', category: 'contracts', content: '(1) Prema članku 17. stavku 3. ovoga Zakona.\n(2) Iznimno od stavka 1. ovoga članka.' }
+        ]
+    });
+
+    const article = await db.getArticle('art_018');
+    Assert.assertEqual(article.references.map(reference => reference.pointId || reference.paragraphId || reference.articleId).join(','),
+        'zor:art_017,zor:art_017_st3,zor:art_018_st1');
+
+    const relative = article.references[2];
+    Assert.assertEqual(relative.sourceId, 'zor:art_018_st2');
+    Assert.assertEqual(article.paragraphs[1].text.slice(relative.start, relative.end), '1.');
+    Assert.assertEqual(article.references[1].citation, 'čl. 17. st. 3.');
+});
+
+runner.test('LegalDatabase - Cited by index', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_017', title: 'Članak 17', officialNumber: 'Članak 17', category: 'contracts', content: '(1) Prvi stavak.\n(2) Drugi stavak.' },
+            { id: 'art_018', title: 'Članak 18', officialNumber: 'Članak 18', category: 'contracts', content: '(1) Prema članku 17. stavku 2. ovoga Zakona.\n(2) Iznimno od stavka 1. ovoga članka.' }
+        ]
+    });
+
+    const citedBy = db.getCitedBy('art_017');
+    Assert.assertEqual(citedBy.length, 1);
+    Assert.assertEqual(citedBy[0].citation, 'čl. 18. st. 1.');
+    Assert.assertEqual(citedBy[0].targetIds.join(','), 'zor:art_017,zor:art_017_st2');
+    Assert.assertEqual(db.getCitedBy('art_018').length, 0);
+
+    await db.addArticle({ id: 'zor:art_019', title: 'Članak 19', officialNumber: 'Članak 19', law: 'zor', category: 'contracts', content: 'Iz članka 17. ovoga Zakona.' });
+    Assert.assertEqual(db.getCitedBy('art_017').map(provision => provision.articleId).join(','), 'zor:art_018,zor:art_019');
+
+    // References to a removed article resolve again when it is added back
+    const cited = (await db.getArticle('art_017')).toJSON();
+    await db.removeArticle('art_017');
+    Assert.assertEqual((await db.getArticle('zor:art_019')).references.length, 0);
+    Assert.assertEqual(db.getCitedBy('art_017').length, 0);
+    await db.addArticle(cited);
+    Assert.assertEqual((await db.getArticle('zor:art_019')).references[0].articleId, 'zor:art_017');
+    Assert.assertEqual(db.getCitedBy('art_017').map(provision => provision.articleId).join(','), 'zor:art_018,zor:art_019');
+
+    await db.updateArticle('zor:art_018', { content: 'Bez upućivanja.' });
+    await db.removeArticle('zor:art_019');
+    Assert.assertEqual(db.getCitedBy('art_017').length, 0);
+});
+
+runner.test('LegalDatabase - EU directive references and mapping', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: true
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_002', title: 'Članak 2', officialNumber: 'Članak 2', category: 'general', content: '(1) Ovim Zakonom u hrvatsko zakonodavstvo preuzimaju se sljedeći akti Europske unije: – Direktiva 2003/88/EZ Europskog parlamenta i Vijeća od 4. studenoga 2003. o određenim vidovima organizacije radnog vremena (SL L 299, 18. 11. 2003.) – Direktiva (EU) 2019/1152 Europskog parlamenta i Vijeća od 20. lipnja 2019. o transparentnim i predvidivim radnim uvjetima u Europskoj uniji (SL L 186, 11. 7. 2019.).' },
+            { id: 'art_077', title: 'Članak 77', officialNumber: 'Članak 77', category: 'leave', content: 'Radnik ima za svaku kalendarsku godinu pravo na plaćeni godišnji odmor.' }
+        ]
+    });
+
+    const references = (await db.getArticle('art_002')).legalReferences;
+    Assert.assertEqual(references.map(reference => `${reference.celex}:${reference.relation}`).join(','), '32003L0088:transposes,32019L1152:transposes');
+    Assert.assertEqual(references[1].law, 'Direktiva (EU) 2019/1152');
+
+    db.loadDirectiveMapping({
+        metadata: { law: 'zor' },
+        directives: [{ number: '2003/88/EZ', shortTitle: 'Working Time Directive', articles: [{ article: '7', title: 'Godišnji odmor', implementedBy: ['art_077'] }] }]
+    });
+
+    Assert.assertEqual(db.findImplementation('2003/88/EC', 'Article 7').map(article => article.id).join(','), 'zor:art_077');
+    Assert.assertEqual(db.getDirectivesFor('art_077')[0].celex, '32003L0088');
+    Assert.assertEqual(db.getDirective('32003L0088').mentionedIn.join(','), 'zor:art_002');
+    Assert.assertEqual(db.getDirectives().length, 2);
+});
+
+runner.test('LegalDatabase - Deadlines and time limits', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: true
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_077', title: 'Članak 77', officialNumber: 'Članak 77', category: 'leave', content: '(1) Radnik ima za svaku kalendarsku godinu pravo na plaćeni godišnji odmor u trajanju od najmanje četiri tjedna. (2) Radnik koji radi na poslovima na kojima ga ni uz primjenu mjera zaštite na radu nije moguće zaštititi od štetnih utjecaja ima pravo na godišnji odmor u trajanju od najmanje pet tjedana.' },
+            { id: 'art_116', title: 'Članak 116', officialNumber: 'Članak 116', category: 'termination', content: '(1) Ugovor o radu može se izvanredno otkazati samo u roku od petnaest dana od dana saznanja za činjenicu na kojoj se izvanredni otkaz temelji. (2) Radnik smije raditi dvadeset četiri radna dana.' }
+        ]
+    });
+
+    const [leave] = (await db.getArticle('art_077')).timeframes;
+    Assert.assertEqual(`${leave.amount} ${leave.unit} ${leave.bound} ${leave.kind}`, '4 week minimum period');
+    Assert.assertEqual(leave.sourceId, 'zor:art_077_st1');
+
+    const [deadline] = db.getTimeframes({ topic: 'termination', kind: 'deadline' });
+    Assert.assertEqual(deadline.text, 'u roku od petnaest dana');
+    Assert.assertEqual(deadline.citation, 'čl. 116. st. 1.');
+    Assert.assertEqual(deadline.trigger, 'od dana saznanja za činjenicu na kojoj se izvanredni otkaz temelji');
+    Assert.assertEqual(db.getTimeframes({ unit: 'working-day' })[0].amount, 24);
+    Assert.assertEqual(db.getTimeframes({ topic: 'otkaz' }).length, 1);
+});
+
+runner.test('LegalDatabase - Glossary of defined terms', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: true
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_004', title: 'Članak 4', officialNumber: 'Članak 4', heading: 'Pojam radnika i poslodavca', category: 'general', content: '(1) Radnik (zaposlenik, uposlenik, djelatnik, namještenik, službenik i slično – u daljnjem tekstu: radnik) je, u smislu ovoga Zakona, fizička osoba koja u radnom odnosu obavlja određene poslove za poslodavca. (2) Poslodavac je, u smislu ovoga Zakona, fizička ili pravna osoba koja zapošljava radnika.' },
+            { id: 'art_005', title: 'Članak 5', officialNumber: 'Članak 5', heading: 'Evidencija o radnicima', category: 'general', content: '(1) Poslodavac je dužan voditi evidenciju o radnicima koji su kod njega zaposleni.' },
+            { id: 'art_061', title: 'Članak 61', officialNumber: 'Članak 61', heading: 'Puno radno vrijeme', category: 'working-time', content: '(1) Puno radno vrijeme radnika ne može biti duže od četrdeset sati tjedno.' }
+        ]
+    });
+
+    Assert.assertEqual(db.getGlossary().map(entry => entry.term).join(','), 'poslodavac,puno radno vrijeme,radnik');
+
+    const radnik = db.lookupTerm('zaposlenika');
+    Assert.assertEqual(radnik.term, 'radnik');
+    Assert.assertEqual(radnik.citation, 'čl. 4. st. 1.');
+    Assert.assertEqual(radnik.definition, 'fizička osoba koja u radnom odnosu obavlja određene poslove za poslodavca.');
+    Assert.assertEqual(db.lookupTerm('evidencija'), null);
+
+    const occurrences = db.findGlossaryTerms('Poslodavca obvezuje puno radno vrijeme radnika.');
+    Assert.assertEqual(occurrences.map(occurrence => `${occurrence.text}>${occurrence.term}`).join(','), 'Poslodavca>poslodavac,puno radno vrijeme>puno radno vrijeme,radnika>radnik');
+
+    // Edits update the glossary, a later definition of a term takes over when the first one is removed
+    await db.addArticle({ id: 'zor:art_062', title: 'Članak 62', officialNumber: 'Članak 62', law: 'zor', category: 'working-time', content: '(1) Nepuno radno vrijeme je, u smislu ovoga Zakona, svako radno vrijeme kraće od punoga. (2) Radnik je, u smislu ovoga Zakona, osoba koja radi.' });
+    Assert.assertEqual(db.lookupTerm('nepuno radno vrijeme').citation, 'čl. 62. st. 1.');
+    Assert.assertEqual(db.lookupTerm('radnik').citation, 'čl. 4. st. 1.');
+    await db.removeArticle('art_004');
+    Assert.assertEqual(db.lookupTerm('radnik').citation, 'čl. 62. st. 2.');
+    Assert.assertEqual(db.lookupTerm('poslodavac'), null);
+});
+
+runner.test('LegalDatabase - Penalties linked to obligations', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: true
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_012', title: 'Članak 12', officialNumber: 'Članak 12', heading: 'Ugovor o radu na određeno vrijeme', category: 'contracts', content: '(1) Ugovor o radu može se iznimno sklopiti na određeno vrijeme. (2) Poslodavac ne smije sklopiti ugovor o radu na određeno vrijeme duže od tri godine.' },
+            { id: 'art_228', title: 'Članak 228', officialNumber: 'Članak 228', heading: 'Prekršaji poslodavca', category: 'violations', content: '(1) Novčanom kaznom od 4110,00 do 7960,00 eura kaznit će se za prekršaj poslodavac pravna osoba: 1. ako s radnikom sklopi ugovor o radu na određeno vrijeme za koji ne postoji objektivni razlog (članak 12. stavak 1.), 2. ako ugovor o radu na određeno vrijeme sklopi duže od tri godine (članak 12. stavak 2.). (2) Novčanom kaznom od 530,00 do 790,00 eura za prekršaj iz stavka 1. ovoga članka kaznit će se poslodavac fizička osoba i odgovorna osoba pravne osobe.' }
+        ]
+    });
+
+    const penalties = db.getPenaltiesFor('zor:art_012');
+    Assert.assertEqual(penalties.length, 4);
+    Assert.assertEqual(penalties[0].offenceCitation, 'čl. 228. st. 1. t. 1.');
+    Assert.assertEqual(penalties[0].fine.min, 4110);
+    Assert.assertEqual(penalties[0].fine.max, 7960);
+    Assert.assertEqual(penalties[0].fine.currency, 'EUR');
+    Assert.assertEqual(penalties[0].liable, 'poslodavac pravna osoba');
+    Assert.assertEqual(penalties[0].obligations.map(obligation => obligation.citation).join(','), 'čl. 12. st. 1.');
+    Assert.assertEqual(penalties[3].citation, 'čl. 228. st. 2.');
+    Assert.assertEqual(penalties[3].offenceId, 'zor:art_228_st1_t2');
+    Assert.assertEqual(penalties[3].liable, 'poslodavac fizička osoba i odgovorna osoba pravne osobe');
+    Assert.assertEqual(db.getPenaltiesFor('zor:art_228').length, 0);
+});
+
+runner.test('LegalDatabase - Rights and obligations by party', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: true
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_007', title: 'Članak 7', officialNumber: 'Članak 7', heading: 'Obveze i prava iz radnog odnosa', category: 'general', content: '(1) Poslodavac je dužan osigurati radniku uvjete za rad na siguran način. (2) Radnik je dužan prema uputama poslodavca osobno obaviti preuzeti posao. (3) Poslodavac i radnik dužni su pridržavati se odredbi ovoga Zakona.' },
+            { id: 'art_015', title: 'Članak 15', officialNumber: 'Članak 15', heading: 'Obvezni sadržaj ugovora', category: 'contracts', content: '(1) Ugovor o radu mora sadržavati podatke o: 1. trajanju godišnjeg odmora na koji radnik ima pravo, 2. mjestu rada.' },
+            { id: 'art_076', title: 'Članak 76', officialNumber: 'Članak 76', heading: 'Godišnji odmor', category: 'leave', content: '(1) Radnik ima pravo na plaćeni godišnji odmor. (2) Poslodavac ne smije uskratiti radniku godišnji odmor.' },
+            { id: 'art_093', title: 'Članak 93', officialNumber: 'Članak 93', heading: 'Obračun plaće', category: 'salary', content: '(1) Poslodavac je dužan radniku dostaviti: 1. obračun plaće, 2. obračun naknade plaće.' }
+        ]
+    });
+
+    const employer = db.getStatements({ party: 'employer', type: 'obligation' });
+    Assert.assertEqual(employer.map(statement => statement.citation).join(','), 'čl. 7. st. 1.,čl. 7. st. 3.,čl. 93. st. 1. t. 1.,čl. 93. st. 1. t. 2.');
+    Assert.assertEqual(employer[0].phrase, 'je dužan');
+    Assert.assertEqual(employer[2].text, 'obračun plaće,');
+
+    Assert.assertEqual(db.getStatements({ party: 'worker', type: 'obligation' }).map(statement => statement.citation).join(','), 'čl. 7. st. 2.,čl. 7. st. 3.');
+    Assert.assertEqual(db.getStatements({ party: 'worker', type: 'right' }).map(statement => statement.citation).join(','), 'čl. 76. st. 1.');
+    Assert.assertEqual(db.getStatements({ type: 'prohibition' })[0].party, 'employer');
+    Assert.assertEqual((await db.getArticle('art_015')).statements.length, 0);
+});
+
+runner.test('LegalDatabase - Citation lookup', async() => {
+    const db = new LegalDatabase({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    await db.loadFromData({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_017', title: 'Članak 17', officialNumber: 'Članak 17', category: 'contracts', content: '(1) Prvi stavak.\n(2) Drugi stavak:\n1. prva točka,\n2. druga točka.' },
+            { id: 'art_017a', title: 'Članak 17.a', officialNumber: 'Članak 17.a', category: 'contracts', content: 'Umetnuti članak.' },
+            { id: 'art_018', title: 'Članak 18', officialNumber: 'Članak 18', category: 'contracts', content: 'Sljedeći članak.' },
+            { id: 'art_177', title: 'Članak 177', officialNumber: 'Članak 177', category: 'contracts', content: 'Daleki članak.' },
+            { id: 'art_nn127_17_017', title: 'Članak 17 (NN 127/17)', officialNumber: 'Članak 17 (NN 127/17)', source: 'NN 127/17', category: 'transitional', content: 'Prijelazna odredba.' }
+        ]
+    });
+
+    // Croatian, English and Spanish forms cite the article of the law, not its transitional namesake or "Članak 177"
+    ['čl. 17', 'članak 17', 'art. 17', 'artículo 17.'].forEach(query => {
+        Assert.assertEqual(db.findCitation(query).articles.map(article => article.id).join(), 'zor:art_017', query);
+    });
+
+    const paragraph = db.findCitation('čl. 17 st. 2 t. 1');
+    Assert.assertEqual(paragraph.citation, 'čl. 17. st. 2. t. 1.');
+    Assert.assertEqual(paragraph.nodeId, 'zor:art_017_st2_t1');
+
+    // Ranges take the inserted articles between their ends
+    const range = db.findCitation('čl. 17–18');
+    Assert.assertEqual(range.articles.map(article => article.officialNumber).join(), 'Članak 17,Članak 17.a,Članak 18');
+    Assert.assertEqual(range.citation, 'čl. 17.–18.');
+
+    Assert.assertEqual(db.findCitation('čl. 99').articles.length, 0);
+    Assert.assertEqual(db.findCitation('članak o radu'), null);
+});
+
+runner.test('LegalDatabase - Citation lookup through the page wrapper', async() => {
+    // The search page reaches the database through window.legalDatabase, which is the EnhancedFactChecker
+    const checker = new EnhancedFactChecker({
+        enableCache: false,
+        enableSearch: false,
+        enableValidation: false
+    });
+
+    await checker.initialize({
+        metadata: { effectiveDate: '2023-06-14', law: { id: 'zor', title: 'Zakon o radu' } },
+        articles: [
+            { id: 'art_077', title: 'Članak 77', officialNumber: 'Članak 77', category: 'leave', content: '(1) Prvi stavak.\n(2) Drugi stavak.' },
+            { id: 'art_177', title: 'Članak 177', officialNumber: 'Članak 177', category: 'collective', content: 'Daleki članak.' }
+        ]
+    });
+    await checker.loadLaw({
+        metadata: { effectiveDate: '2023-01-01', law: { id: 'zzr', title: 'Zakon o zaštiti na radu' } },
+        articles: [{ id: 'art_077', title: 'Članak 77', officialNumber: 'Članak 77', category: 'safety', content: 'Zaštita na radu.' }]
+    });
+
+    const match = checker.findCitation('čl. 77 st. 2');
+    Assert.assertEqual(match.articles.map(article => article.id).join(), 'zor:art_077');
+    Assert.assertEqual(match.nodeId, 'zor:art_077_st2');
+    Assert.assertEqual(match.articles[0].paragraphs.length, 2);
+
+    // The law chosen in the law filter is passed on
+    Assert.assertEqual(checker.findCitation('članak 77', 'zzr').articles.map(article => article.id).join(), 'zzr:art_077');
+    Assert.assertEqual(checker.findCitation('godišnji odmor'), null);
+});
+
 // Performance Tests
 runner.test('Performance - Large dataset search', async () => {
     const db = new LegalDatabase({
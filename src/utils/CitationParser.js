@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Citation parsing for Croatian Labor Law database
+ * Recognises a query that cites the law ("čl. 77 st. 2", "članak 77", "art. 77", "čl. 74–79") so it can be opened instead of searched for
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} ArticleNumber
+ * @property {number} number - Article number
+ * @property {string} letter - Letter of an inserted article ("17.a"), empty for others
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {ArticleNumber} from - First cited article
+ * @property {ArticleNumber} to - Last cited article, the same as from unless a range was cited
+ * @property {number|null} paragraph - Cited stavak
+ * @property {number|null} point - Cited točka
+ */
+
+// Article, stavak and točka numbers, with or without the trailing dot ("77", "77.", "17.a", "17a")
+const ARTICLE_NUMBER = '(\\d{1,4})\\.?([a-z](?!\\p{L}))?';
+const NUMBER = '(\\d{1,3})\\.?';
+
+// Croatian, English and Spanish words for each level, abbreviated or written out
+const ARTICLE_WORDS = 'čl|cl|član(?:ak|ka|ku|ci|aka)|clan(?:ak|ka|ku|ci|aka)|arts?|articles?|art[ií]culos?';
+const PARAGRAPH_WORDS = 'st|stav(?:ak|ka|ku)|para|paragraph|p[aá]rrafo|apartado';
+const POINT_WORDS = 't|toč(?:ka|ke|ki)|toc(?:ka|ke|ki)|point|punto';
+
+// Words and dashes joining the first and last article of a range
+const RANGE = '\\s*(?:–|—|-|do|to|a|al)\\s*';
+
+/**
+ * CitationParser class for citations typed into the search box
+ * A query is a citation only if it holds nothing else, so "članak o radu" or "rok od 77 dana" are still searched for.
+ * A stavak or točka can only be cited with a single article.
+ */
+export class CitationParser {
+    constructor() {
+        this.patterns = {
+            citation: new RegExp(
+                `^(?:${ARTICLE_WORDS})\\.?\\s*${ARTICLE_NUMBER}(?:${RANGE}${ARTICLE_NUMBER})?` +
+                `(?:\\s*,?\\s*(?:${PARAGRAPH_WORDS})\\.?\\s*${NUMBER})?` +
+                `(?:\\s*,?\\s*(?:${POINT_WORDS})\\.?\\s*${NUMBER})?$`,
+                'iu'
+            ),
+            officialNumber: /^Članak\s+(\d+)\.?([a-z])?/
+        };
+    }
+
+    /**
+     * Parse a citation
+     * @param {string} query - Query as typed
+     * @returns {Citation|null} Citation, null if the query is not one
+     */
+    parse(query) {
+        const match = String(query || '').trim().match(this.patterns.citation);
+        if (!match) {
+            return null;
+        }
+
+        const [, firstNumber, firstLetter, lastNumber, lastLetter, paragraph, point] = match;
+        const first = this.createNumber(firstNumber, firstLetter);
+        const last = lastNumber ? this.createNumber(lastNumber, lastLetter) : first;
+        if (lastNumber && (paragraph || point)) {
+            return null;
+        }
+
+        // "čl. 79–74" cites the same articles as "čl. 74–79"
+        const [from, to] = CitationParser.compare(first, last) <= 0 ? [first, last] : [last, first];
+        return {
+            from,
+            to,
+            paragraph: paragraph ? parseInt(paragraph, 10) : null,
+            point: point ? parseInt(point, 10) : null
+        };
+    }
+
+    /**
+     * Read an article number from an official number ("Članak 17.a", "Članak 6 (NN 127/17)")
+     * @param {string} officialNumber - Official number of an article
+     * @returns {ArticleNumber|null} Article number, null if none is printed
+     */
+    parseOfficialNumber(officialNumber) {
+        const match = String(officialNumber || '').match(this.patterns.officialNumber);
+        return match ? this.createNumber(match[1], match[2]) : null;
+    }
+
+    /**
+     * Check whether an article number lies within a citation
+     * @param {ArticleNumber} number - Article number
+     * @param {Citation} citation - Parsed citation
+     * @returns {boolean} True if the article is cited, inserted articles within a range included ("čl. 17–18" covers "17.a")
+     */
+    covers(number, citation) {
+        return CitationParser.compare(number, citation.from) >= 0 && CitationParser.compare(number, citation.to) <= 0;
+    }
+
+    /**
+     * Format a citation in the form used by Croatian legal texts
+     * @param {Citation} citation - Parsed citation
+     * @returns {string} Citation (e.g. "čl. 77. st. 2.", "čl. 74.–79.")
+     */
+    format(citation) {
+        const article = ({ number, letter }) => `${number}.${letter}`;
+        const parts = [`čl. ${article(citation.from)}${CitationParser.compare(citation.from, citation.to) !== 0 ? `–${article(citation.to)}` : ''}`];
+
+        if (citation.paragraph) {
+            parts.push(`st. ${citation.paragraph}.`);
+        }
+
+        if (citation.point) {
+            parts.push(`t. ${citation.point}.`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Create an article number
+     * @param {string} number - Digits as typed
+     * @param {string} [letter] - Letter as typed
+     * @returns {ArticleNumber} Article number
+     * @private
+     */
+    createNumber(number, letter) {
+        return { number: parseInt(number, 10), letter: (letter || '').toLowerCase() };
+    }
+
+    /**
+     * Compare two article numbers in the order of the law
+     * @param {ArticleNumber} a - First article number
+     * @param {ArticleNumber} b - Second article number
+     * @returns {number} Negative if a comes first, positive if b does, 0 if they are the same
+     */
+    static compare(a, b) {
+        return a.number - b.number || (a.letter > b.letter) - (a.letter < b.letter);
+    }
+}
+
+export default CitationParser;
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Croatian stemming for Croatian Labor Law database
+ * Reduces the case forms of nouns and adjectives ("odmor", "odmora", "odmoru", "odmorom") to one stem for indexing and querying
+ * @version 2.2.0
+ */
+
+// Case endings of nouns and adjectives, longest first
+const ENDINGS = ['ama', 'ima', 'ega', 'emu', 'oga', 'ome', 'omu', 'eg', 'em', 'og', 'om', 'ih', 'im', 'oj', 'a', 'e', 'i', 'o', 'u'];
+
+// Whole-word endings rewritten before the case ending is stripped ("odgovornošću" -> "odgovornosti")
+const TRANSFORMATIONS = [
+    ['oscu', 'osti']
+];
+
+/**
+ * Lexicon of words whose stem changes between forms, which no suffix rule can join
+ * Each lemma lists the forms with another stem: alternating ije/je ("vrijeme", "vremena"), the fleeting a of -an and -am ("tjedan", "tjedna"),
+ * the plural -ov-/-ev- of short nouns ("rok", "rokovi"), suppletive plurals ("dijete", "djeca") and nouns whose nominative looks like
+ * an adjective ending ("razlog", "razloga"). One form per stem is enough, the suffix rules take care of the other cases.
+ * Words are written folded, as TextProcessor.normalizeWord leaves them.
+ */
+const LEXICON = {
+    vrijeme: ['vremena'],
+    dijete: ['djeteta', 'djeca'],
+    dio: ['dijela', 'dijelovi'],
+    ime: ['imena'],
+    posao: ['posla', 'poslovi'],
+    tjedan: ['tjedna'],
+    pojam: ['pojma'],
+    najam: ['najma'],
+    obujam: ['obujma'],
+    zajam: ['zajma'],
+    otac: ['oca', 'ocevi'],
+    covjek: ['ljudi'],
+    rok: ['rokovi'],
+    sud: ['sudovi'],
+    spor: ['sporovi'],
+    rad: ['radovi'],
+    dug: ['dugovi'],
+    trosak: ['troskovi'],
+    broj: ['brojevi'],
+    cilj: ['ciljevi'],
+    slucaj: ['slucajevi'],
+    razlog: ['razloga', 'razlozi'],
+    prilog: ['priloga', 'prilozi'],
+    problem: ['problema'],
+    prijem: ['prijema'],
+    odgoj: ['odgoja'],
+    razvoj: ['razvoja'],
+    zastoj: ['zastoja']
+};
+
+/**
+ * Adverbs and nouns made from the neuter of an adjective, kept whole so they stay apart from the adjective
+ * ("osnovno" the basics, "osnovna plaća" basic pay; "odnosno" respectively). Written folded like the lexicon.
+ */
+const UNSTEMMED = new Set(['osnovno', 'odnosno', 'posebno', 'ukupno']);
+
+/**
+ * CroatianStemmer class for the inflected forms of Croatian words
+ * Strips the case ending, drops the fleeting a of -ac and -ak ("poslodavac", "poslodavca"), undoes the k/c alternation
+ * ("radnik", "radnici") and then looks the stem up in the lexicon. Verbs and the adverbs of UNSTEMMED are left alone.
+ */
+export class CroatianStemmer {
+    /**
+     * Create a new CroatianStemmer instance
+     * @param {Object} [options] - Stemmer options
+     * @param {number} [options.minStemLength=3] - Shortest stem left after stripping an ending
+     */
+    constructor(options = {}) {
+        this.options = {
+            minStemLength: 3,
+            ...options
+        };
+
+        this.patterns = {
+            vowel: /[aeiour]/u,
+            fleetingA: /[^aeiou]a[ck]$/u
+        };
+
+        // Stem of a form -> stem of its lemma
+        this.alternations = new Map();
+        Object.entries(LEXICON).forEach(([lemma, forms]) => {
+            const stem = this.applyRules(lemma);
+            forms.forEach(form => this.alternations.set(this.applyRules(form), stem));
+        });
+    }
+
+    /**
+     * Stem a word
+     * @param {string} word - Folded lower-case word
+     * @returns {string} Stem shared by the case forms of the word
+     */
+    stem(word) {
+        if (!word || typeof word !== 'string') {
+            return '';
+        }
+
+        if (UNSTEMMED.has(word)) {
+            return word;
+        }
+
+        const stem = this.applyRules(word);
+        return this.alternations.get(stem) || stem;
+    }
+
+    /**
+     * Apply the suffix rules to a word
+     * @param {string} word - Folded lower-case word
+     * @returns {string} Stem before the lexicon lookup
+     * @private
+     */
+    applyRules(word) {
+        const { minStemLength } = this.options;
+        let stem = word;
+
+        const transformation = TRANSFORMATIONS.find(([ending]) => stem.endsWith(ending));
+        if (transformation) {
+            stem = stem.slice(0, -transformation[0].length) + transformation[1];
+        }
+
+        const ending = ENDINGS.find(suffix => stem.endsWith(suffix) &&
+            stem.length - suffix.length >= minStemLength && this.patterns.vowel.test(stem.slice(0, -suffix.length)));
+        if (ending) {
+            stem = stem.slice(0, -ending.length);
+        }
+
+        // "stavak", "stavka", "stavaka"
+        if (stem.length >= 6 && this.patterns.fleetingA.test(stem)) {
+            stem = stem.slice(0, -2) + stem.slice(-1);
+        }
+
+        // "radnik", "radnici", and "plaća", "plaću" folded to "placa", "placu"
+        return stem.endsWith('c') ? `${stem.slice(0, -1)}k` : stem;
+    }
+}
+
+export default CroatianStemmer;
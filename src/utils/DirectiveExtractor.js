@@ -0,0 +1,170 @@
+/**
+ * @fileoverview EU act extraction for Croatian Labor Law database
+ * Reads directive and regulation identifiers ("2003/88/EZ", "(EU) 2019/1152") and turns them into CELEX numbers
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} ActMention
+ * @property {string} type - Act type (directive, regulation)
+ * @property {string} number - Identifier as printed without the act name ("2003/88/EZ", "(EU) 2019/1152")
+ * @property {string} celex - CELEX number ("32003L0088")
+ * @property {number} start - Position of the identifier in the text
+ * @property {number} end - End of the identifier in the text
+ */
+
+// CELEX sector 3 (secondary legislation) with the document type letter
+const CELEX_TYPES = {
+    directive: 'L',
+    regulation: 'R'
+};
+
+const ACT_NAMES = {
+    directive: 'Direktiva',
+    regulation: 'Uredba'
+};
+
+/**
+ * DirectiveExtractor class for the EU acts cited in the law text
+ * Acts listed as transposed ("preuzimaju se sljedeći akti") are told apart from acts mentioned in passing
+ */
+export class DirectiveExtractor {
+    constructor() {
+        this.patterns = {
+            // "(EZ) br. 1272/2008" (number first), "(EU) 2019/1152" and "2003/88/EZ" (year first)
+            act: /(?:\((?<prefix>EU|EZ|EEZ)\)\s*(?:(?<numbered>br\.)\s*)?(?<first>\d{1,4})\/(?<second>\d{1,4})|\b(?<year>\d{2}|\d{4})\/(?<serial>\d{1,4})\/(?<suffix>EZ|EEZ|EU|EC|EEC)\b)/gu,
+            regulation: /\b[Uu]redb\p{L}*\s*$/u,
+            listItem: /\s+–\s+/u,
+            transposition: /preuzima/u,
+            officialJournal: /\s*\(SL\s+L[^)]*\)\s*[.;,]?\s*$/u,
+            celex: /^3(\d{4})([LR])(\d{4})$/
+        };
+    }
+
+    /**
+     * Find every EU act identifier in a text
+     * @param {string} text - Text to scan
+     * @returns {ActMention[]} Mentions in reading order
+     */
+    extract(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        return Array.from(text.matchAll(this.patterns.act), match => {
+            const { prefix, numbered, first, second, year, serial, suffix } = match.groups;
+            const type = this.patterns.regulation.test(text.slice(Math.max(0, match.index - 20), match.index)) ? 'regulation' : 'directive';
+
+            // Older regulations are numbered "br. 1272/2008", everything else starts with the year
+            const [actYear, actNumber] = prefix ? (numbered ? [second, first] : [first, second]) : [year, serial];
+
+            return {
+                type,
+                number: prefix ? match[0].replace(/\s+/g, ' ') : `${year}/${serial}/${suffix}`,
+                celex: DirectiveExtractor.toCelex(type, actYear, actNumber),
+                start: match.index,
+                end: match.index + match[0].length
+            };
+        });
+    }
+
+    /**
+     * Read a single identifier typed by a user
+     * @param {string} identifier - CELEX number or identifier such as "2003/88/EZ", "2003/88/EC", "2003/88" or "(EU) 2019/1152"
+     * @returns {string|null} CELEX number or null if the identifier is not recognised
+     */
+    parseIdentifier(identifier) {
+        const text = String(identifier || '').trim();
+        if (this.patterns.celex.test(text)) {
+            return text;
+        }
+
+        const [mention] = this.extract((/^\d{2,4}\/\d{1,4}$/).test(text) ? `${text}/EU` : text);
+        return mention ? mention.celex : null;
+    }
+
+    /**
+     * Build the legal references of an article from the EU acts in its stavci
+     * In a list of transposed acts only the act that opens each item counts; the acts named in its title are amendments of that act
+     * @param {Object} article - Article with paragraphs
+     * @returns {Object[]} Legal references, one per act
+     */
+    extractReferences(article) {
+        const references = new Map();
+        const paragraphs = article.paragraphs && article.paragraphs.length > 0 ? article.paragraphs : [{ text: article.content }];
+
+        paragraphs.forEach(paragraph => {
+            const [intro, ...items] = String(paragraph.text || '').split(this.patterns.listItem);
+            const relation = this.patterns.transposition.test(intro) ? 'transposes' : 'mentions';
+
+            if (items.length > 0) {
+                items.forEach(item => {
+                    const [mention] = this.extract(item);
+                    if (mention && mention.start < 40) {
+                        this.addReference(references, mention, relation, item.replace(this.patterns.officialJournal, ''));
+                    }
+                });
+                return;
+            }
+
+            this.extract(paragraph.text).forEach(mention => this.addReference(references, mention, 'mentions', ''));
+        });
+
+        return Array.from(references.values());
+    }
+
+    /**
+     * Add an act to the references of an article, keeping the first reference of each act
+     * @param {Map<string, Object>} references - References by CELEX number
+     * @param {ActMention} mention - Act mention
+     * @param {string} relation - How the article relates to the act (transposes, mentions)
+     * @param {string} description - Title of the act as printed
+     * @private
+     */
+    addReference(references, mention, relation, description) {
+        if (references.has(mention.celex)) {
+            return;
+        }
+
+        references.set(mention.celex, {
+            law: DirectiveExtractor.formatName(mention),
+            description,
+            url: DirectiveExtractor.getEurLexUrl(mention.celex),
+            celex: mention.celex,
+            type: mention.type,
+            relation
+        });
+    }
+
+    /**
+     * Build a CELEX number
+     * @param {string} type - Act type (directive, regulation)
+     * @param {number|string} year - Year of the act, two-digit years are read as 19xx
+     * @param {number|string} number - Number of the act
+     * @returns {string} CELEX number (e.g. "32003L0088")
+     */
+    static toCelex(type, year, number) {
+        const fullYear = String(year).length === 2 ? `19${year}` : String(year);
+        return `3${fullYear}${CELEX_TYPES[type]}${String(parseInt(number, 10)).padStart(4, '0')}`;
+    }
+
+    /**
+     * Format the name of an act
+     * @param {{type: string, number: string}} act - Act with its printed identifier
+     * @returns {string} Name such as "Direktiva 2003/88/EZ"
+     */
+    static formatName(act) {
+        return `${ACT_NAMES[act.type]} ${act.number}`;
+    }
+
+    /**
+     * Get the EUR-Lex address of an act
+     * @param {string} celex - CELEX number
+     * @returns {string} URL of the Croatian text on EUR-Lex
+     */
+    static getEurLexUrl(celex) {
+        return `https://eur-lex.europa.eu/legal-content/HR/TXT/?uri=CELEX:${celex}`;
+    }
+}
+
+export default DirectiveExtractor;
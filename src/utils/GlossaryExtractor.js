@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Legal definition extraction for Croatian Labor Law database
+ * Reads definitions such as "Radnik je, u smislu ovoga Zakona, fizička osoba koja..." and finds the defined terms in other texts
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from './TextProcessor.js';
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} term - Defined term in lower case ("radnik", "noćni rad")
+ * @property {string[]} aliases - Other names given in the definition ("zaposlenik", "agencija")
+ * @property {string} definition - Definition as printed, without the term
+ * @property {string} articleId - Article the definition is printed in
+ * @property {string} sourceId - Stavak or točka the definition is printed in
+ */
+
+/**
+ * @typedef {Object} TermOccurrence
+ * @property {string} term - Defined term
+ * @property {string} text - Occurrence as printed ("radnika", "radnog vremena")
+ * @property {number} start - Position of the occurrence in the text
+ * @property {number} end - End of the occurrence in the text
+ */
+
+// Words that start a rule rather than a defined term ("Ako je...", "Zabranjen je...")
+const NON_TERMS = new Set(['ako', 'zabranjen', 'zabranjena', 'zabranjeno', 'nistetan', 'nistetna', 'prije', 'o', 'u', 'kod', 'ili', 'koji', 'koja', 'koje', 'kojeg', 'kojem', 'duzan', 'duzna']);
+
+// Case endings a defined word may carry in the text ("radnika", "radnog vremena", "djeteta")
+const CASE_ENDINGS = '(?:a|e|i|o|u|om|em|im|oj|og|oga|ome|omu|ih|ima|ama|ena|enu|enom|eta|etu|etom)?';
+
+/**
+ * GlossaryExtractor class for the terms the law defines
+ * A definition counts when it says "u smislu ovoga Zakona", names an abbreviation, or defines the subject of its article heading
+ */
+export class GlossaryExtractor {
+    /**
+     * Create a new GlossaryExtractor instance
+     * @param {Object} [options] - Extractor options
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     */
+    constructor(options = {}) {
+        this.textProcessor = options.textProcessor || new TextProcessor();
+
+        this.patterns = {
+            definition: /^(?<term>\p{Lu}\p{L}*(?:[ -]\p{L}+){0,5}?)(?:\s*\((?<note>[^)]*)\))?(?<scopeBefore>,\s*u smislu ovoga Zakona,)?\s+(?:je|jest|su)(?<scopeAfter>,?\s*u smislu ovoga Zakona,)?\s+(?<definition>.+)$/u,
+            // Rules about the subject ("Poslodavac je ... dužan") are not definitions
+            duty: /^\s(?:obvez|ovlašten|najmanje|najviše|zabranjen|ništet|moguć)|\sduž(?:an|na|no|ni)(?!\p{L})/u,
+            // After the heading printed at the start of the first stavak ("Puno radno vrijeme radnika ne može biti duže od...")
+            headingDefinition: /^(?:\s+radnika)?(?:,\s*u smislu ovoga Zakona,)?\s+(?:(?:je|jest|su)(?:,?\s*u smislu ovoga Zakona,)?\s+(?<definition>.+)|(?<limit>ne može biti (?:duže|kraće) .+))$/u,
+            abbreviation: /u daljnjem tekstu:\s*(.+)$/u,
+            sentence: /^.*?[.;](?=\s+\p{Lu}|\s*$)/u
+        };
+    }
+
+    /**
+     * Find the definitions printed in an article
+     * @param {Object} article - Article with paragraphs
+     * @returns {GlossaryEntry[]} Definitions in reading order
+     */
+    extract(article) {
+        const entries = [];
+        const heading = this.getWords(article.heading || '');
+
+        (article.paragraphs || []).forEach((paragraph, index) => {
+            [paragraph, ...(paragraph.points || [])].forEach(node => {
+                const entry = (index === 0 && node === paragraph && this.readHeadingDefinition(node.text, article.heading)) ||
+                    this.readDefinition(node.text, heading);
+                if (entry) {
+                    entries.push({ ...entry, articleId: article.id, sourceId: node.id });
+                }
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Read the definition of the term an article is headed with, when its first stavak opens with the heading
+     * @param {string} text - Text of the first stavak
+     * @param {string} [heading] - Article heading
+     * @returns {{term: string, aliases: string[], definition: string}|null} Definition or null if the stavak does not define the heading
+     * @private
+     */
+    readHeadingDefinition(text, heading) {
+        if (!heading || !String(text || '').toLowerCase().startsWith(heading.toLowerCase())) {
+            return null;
+        }
+
+        const match = text.slice(heading.length).match(this.patterns.headingDefinition);
+        const definition = match && (match.groups.definition || match.groups.limit);
+        if (!definition || this.patterns.duty.test(` ${definition}`)) {
+            return null;
+        }
+
+        const sentence = definition.match(this.patterns.sentence);
+        return {
+            term: heading.toLowerCase(),
+            aliases: [],
+            definition: (sentence ? sentence[0] : definition).trim()
+        };
+    }
+
+    /**
+     * Read the definition a stavak or točka opens with
+     * @param {string} text - Text of the stavak or točka
+     * @param {string[]} heading - Normalized words of the article heading
+     * @returns {{term: string, aliases: string[], definition: string}|null} Definition or null if the text is not one
+     * @private
+     */
+    readDefinition(text, heading) {
+        const match = String(text || '').match(this.patterns.definition);
+        if (!match) {
+            return null;
+        }
+
+        const { term, note, scopeBefore, scopeAfter, definition } = match.groups;
+        const words = this.getWords(term);
+        if (words.some(word => NON_TERMS.has(word)) || this.patterns.duty.test(` ${definition}`)) {
+            return null;
+        }
+
+        const abbreviation = note ? note.match(this.patterns.abbreviation) : null;
+        const scoped = Boolean(scopeBefore || scopeAfter || abbreviation);
+
+        // Headings name the subject ("Pojam radnog vremena" for "Radno vrijeme"), so the first word is compared by its stem
+        if (!scoped && !heading.some(word => word.slice(0, 5) === words[0].slice(0, 5))) {
+            return null;
+        }
+
+        const sentence = definition.match(this.patterns.sentence);
+        return {
+            term: term.toLowerCase(),
+            aliases: this.readAliases(note).filter(alias => alias !== term.toLowerCase()),
+            definition: (sentence ? sentence[0] : definition).trim()
+        };
+    }
+
+    /**
+     * Read the other names given in brackets after a term
+     * @param {string} [note] - Text in brackets ("zaposlenik, uposlenik ... i slično – u daljnjem tekstu: radnik")
+     * @returns {string[]} Other names in lower case
+     * @private
+     */
+    readAliases(note) {
+        if (!note) {
+            return [];
+        }
+
+        const abbreviation = note.match(this.patterns.abbreviation);
+        const names = note.replace(this.patterns.abbreviation, '').replace(/\s*–\s*$/u, '')
+            .split(/,\s*|\s+i\s+/u)
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name && name !== 'slično');
+
+        if (abbreviation) {
+            names.push(abbreviation[1].trim().toLowerCase());
+        }
+
+        return Array.from(new Set(names));
+    }
+
+    /**
+     * Build a finder for the terms of a glossary
+     * Each word of a term may carry a case ending ("radnika", "radnog vremena"), longer terms win over the words they contain
+     * @param {GlossaryEntry[]} entries - Glossary entries
+     * @returns {function(string): TermOccurrence[]} Finder returning the occurrences in a text
+     */
+    createMatcher(entries) {
+        const names = new Map();
+        entries.forEach(entry => {
+            [entry.term, ...entry.aliases].forEach(name => {
+                if (!names.has(name)) {
+                    names.set(name, entry.term);
+                }
+            });
+        });
+
+        const sorted = Array.from(names.keys()).sort((a, b) => b.length - a.length);
+        if (sorted.length === 0) {
+            return () => [];
+        }
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${sorted.map(name => this.toPattern(name)).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+        const lookup = sorted.map(name => ({ name, pattern: new RegExp(`^${this.toPattern(name)}$`, 'iu') }));
+
+        return text => Array.from(String(text || '').matchAll(pattern), match => ({
+            term: names.get(lookup.find(candidate => candidate.pattern.test(match[0])).name),
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Build the pattern of a term with room for case endings
+     * @param {string} name - Term in lower case
+     * @returns {string} Regular expression source
+     * @private
+     */
+    toPattern(name) {
+        return name.split(/\s+/).map(word => {
+            // Short words ("na", "u") are printed as they are
+            if (word.length <= 3) {
+                return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+
+            // Drop the ending of the dictionary form, let "ije" shorten as in "vrijeme" – "vremena" and "a" drop as in "poslodavac" – "poslodavca"
+            const stem = word.replace(/[aeiou]$/u, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/ije/u, '(?:ije|je|e)')
+                .replace(/ac$/u, '(?:ac|c)');
+            return `${stem}${CASE_ENDINGS}`;
+        }).join('\\s+');
+    }
+
+    /**
+     * Split a text into normalized words
+     * @param {string} text - Text to split
+     * @returns {string[]} Lower-case words without diacritics
+     * @private
+     */
+    getWords(text) {
+        return (text.match(new RegExp(this.textProcessor.wordPattern.source, 'gu')) || [])
+            .map(word => this.textProcessor.normalizeWord(word.toLowerCase()));
+    }
+}
+
+export default GlossaryExtractor;
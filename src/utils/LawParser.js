@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Law text parser for Croatian Labor Law database
+ * Turns the text layer of the official consolidated PDF into članci, stavci and točke
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} LayoutLine
+ * @property {string} text - Text of a single printed line
+ * @property {boolean} centered - Whether the line is centered (headings, article numbers)
+ * @property {boolean|null} newBlock - Whether the line starts a new block (null when the layout cannot tell, e.g. first line on a page)
+ */
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {string} text - Joined block text
+ * @property {boolean} centered - Whether the block is centered
+ */
+
+/**
+ * @typedef {Object} ParsedPoint
+ * @property {string} id - Point ID (e.g. "art_015_st1_t3")
+ * @property {number} number - Point number
+ * @property {string} label - Printed label ("3." or "3)")
+ * @property {string} text - Point text without the label
+ */
+
+/**
+ * @typedef {Object} ParsedParagraph
+ * @property {string} id - Paragraph ID (e.g. "art_077_st2")
+ * @property {number} number - Paragraph number (0 for unlabelled text before "(1)")
+ * @property {boolean} numbered - False for text without a printed label
+ * @property {string} text - Paragraph text without the label
+ * @property {ParsedPoint[]} points - Points of the paragraph
+ */
+
+/**
+ * @typedef {Object} ParsedArticle
+ * @property {string} id - Deterministic article ID derived from the official number
+ * @property {number} number - Article number
+ * @property {string} letter - Article letter for inserted articles ("a" in "Članak 17.a")
+ * @property {string} officialNumber - Official article number (e.g. "Članak 17.a")
+ * @property {string|null} heading - Heading printed above the article
+ * @property {string[]} amendments - Official Gazette issues that amended the article (e.g. ["93/14", "151/22"])
+ * @property {string|null} source - Amending act for transitional provisions (e.g. "NN 127/17")
+ * @property {string|null} effectiveDate - ISO date for articles that came into force later than the rest of the text
+ * @property {Object|null} part - Enclosing glava ({number, title})
+ * @property {Object|null} chapter - Enclosing subchapter ({number, title})
+ * @property {ParsedParagraph[]} paragraphs - Stavci of the article
+ * @property {string} content - Flat article text
+ */
+
+const CROATIAN_MONTHS = [
+    'siječnja', 'veljače', 'ožujka', 'travnja', 'svibnja', 'lipnja',
+    'srpnja', 'kolovoza', 'rujna', 'listopada', 'studenoga', 'prosinca'
+];
+
+/**
+ * LawParser class for structured parsing of the consolidated law text
+ * Works on layout lines so it does not depend on a particular PDF library
+ */
+export class LawParser {
+    constructor() {
+        // Structural patterns
+        this.patterns = {
+            // The date of entry into force is printed after the amendments or inside their parentheses
+            article: /^Članak\s+(\d+)\.(?:([a-z]))?\s*(?:\(NN\s+([^)]+?)(?:\s*–\s*na snazi od\s+(\d{2})\.(\d{2})\.(\d{4})\.?)?\))?(?:\s*–\s*na snazi od\s+(\d{2})\.(\d{2})\.(\d{4})\.?)?$/,
+            part: /^GLAVA\s+([IVXLC]+\.(?:[a-z])?)\s+(.+)$/,
+            chapter: /^(\d+)\.\s+([^a-zčćšžđ]+)$/,
+            transitional: /^Prijelazne i završne odredbe iz (NN \d+\/\d+)$/,
+            paragraph: /^\((\d+)\)\s*(.*)$/,
+            point: /^(\d+)([.)])\s+(.*)$/,
+            reference: /(?<!(?:ovoga?|toga?|istoga?)\s)(?<!\p{L})(?:stav\p{L}*|član\p{L}*|točk\p{L}*|do|od|i|ili|NN)\s*$/iu,
+            tableOfContents: /_{5,}/,
+            blockStart: /^(\(\d+\)|\d+[.)]\s|–\s|Članak\s+\d)/
+        };
+
+        // Running page header and footer lines
+        this.pageFurniture = {
+            printed: /^Ispisano:\s*(.+)$/,
+            pageNumber: /^\d+$/,
+            lawTitle: /^Zakon o [\p{L} ]+$/u,
+            consolidation: /^NN\s+([\d/,\s]+?)\s+-\s+na snazi od\s+(\d{2})\.(\d{2})\.(\d{4})\.?$/
+        };
+    }
+
+    /**
+     * Parse layout lines into articles
+     * @param {LayoutLine[]} lines - Lines in reading order
+     * @returns {{metadata: Object, articles: ParsedArticle[]}} Parse result
+     */
+    parse(lines) {
+        const metadata = {};
+        const blocks = this.buildBlocks(lines, metadata);
+
+        return {
+            metadata,
+            articles: this.parseBlocks(blocks)
+        };
+    }
+
+    /**
+     * Join printed lines into blocks, dropping page headers and footers
+     * @param {LayoutLine[]} lines - Lines in reading order
+     * @param {Object} [metadata] - Receives data found in page headers
+     * @returns {TextBlock[]} Text blocks
+     */
+    buildBlocks(lines, metadata = {}) {
+        const blocks = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const text = (line.text || '').replace(/\s+/g, ' ').trim();
+            if (!text || this.readPageFurniture(text, metadata)) {
+                return;
+            }
+
+            const centered = Boolean(line.centered);
+            let startsBlock = line.newBlock;
+            if (startsBlock === null || startsBlock === undefined) {
+                // Page breaks hide the spacing, so decide from the text itself
+                startsBlock = !current || centered ||
+                    ((/[.:;)]$/).test(current.text) && this.patterns.blockStart.test(text));
+            }
+
+            if (!current || startsBlock || current.centered !== centered) {
+                current = { text, centered };
+                blocks.push(current);
+            } else {
+                current.text = this.joinLines(current.text, text);
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Join a wrapped line to the previous one
+     * @param {string} previous - Text so far
+     * @param {string} next - Next printed line
+     * @returns {string} Joined text
+     * @private
+     */
+    joinLines(previous, next) {
+        // A hyphen at the end of a line only occurs in compounds ("gospodarsko-socijalno")
+        if ((/\p{L}-$/u).test(previous)) {
+            return previous + next;
+        }
+
+        return `${previous} ${next}`;
+    }
+
+    /**
+     * Recognize page header and footer lines
+     * @param {string} text - Line text
+     * @param {Object} metadata - Receives law title, print date and consolidation data
+     * @returns {boolean} True if the line is page furniture
+     * @private
+     */
+    readPageFurniture(text, metadata) {
+        const printed = text.match(this.pageFurniture.printed);
+        if (printed) {
+            metadata.printedDate = this.parseCroatianDate(printed[1]);
+            return true;
+        }
+
+        const consolidation = text.match(this.pageFurniture.consolidation);
+        if (consolidation) {
+            const [, issues, day, month, year] = consolidation;
+            metadata.amendments = issues.split(',').map(issue => issue.trim());
+            metadata.effectiveDate = `${year}-${month}-${day}`;
+            return true;
+        }
+
+        if (this.pageFurniture.lawTitle.test(text)) {
+            metadata.title = text;
+            return true;
+        }
+
+        return this.pageFurniture.pageNumber.test(text);
+    }
+
+    /**
+     * Convert a date such as "25. kolovoza 2025." to ISO format
+     * @param {string} text - Croatian date
+     * @returns {string|null} ISO date or null if not recognized
+     */
+    parseCroatianDate(text) {
+        const match = text.match(/(\d{1,2})\.\s*(\p{L}+)\s+(\d{4})/u);
+        if (!match) {
+            return null;
+        }
+
+        const month = CROATIAN_MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        if (month === 0) {
+            return null;
+        }
+
+        return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse text blocks into articles
+     * @param {TextBlock[]} blocks - Text blocks
+     * @returns {ParsedArticle[]} Parsed articles
+     * @throws {Error} If two articles resolve to the same ID
+     */
+    parseBlocks(blocks) {
+        const articles = [];
+        const ids = new Set();
+        const state = { part: null, chapter: null, source: null, heading: null, pendingHeading: null, openTitle: null };
+        let article = null;
+
+        blocks.forEach((block, index) => {
+            if (this.patterns.tableOfContents.test(block.text)) {
+                return;
+            }
+
+            if (!block.centered && !this.isLeftAlignedHeading(block, blocks[index + 1])) {
+                state.openTitle = null;
+                if (article) {
+                    this.addBodyBlock(article, block.text);
+                }
+                return;
+            }
+
+            const articleMatch = block.text.match(this.patterns.article);
+            if (articleMatch) {
+                state.openTitle = null;
+                article = this.createArticle(articleMatch, state);
+                if (ids.has(article.id)) {
+                    throw new Error(`Duplicate article ID: ${article.id} (${article.officialNumber})`);
+                }
+                ids.add(article.id);
+                articles.push(article);
+                return;
+            }
+
+            article = null;
+            this.readStructure(block.text, state);
+        });
+
+        articles.forEach(parsed => {
+            // Točke printed without a line break of their own end up inside the previous one
+            parsed.paragraphs.forEach(paragraph => this.splitPoints(paragraph));
+            parsed.content = this.buildContent(parsed);
+        });
+
+        return articles;
+    }
+
+    /**
+     * Recognize a heading printed at the left margin instead of centered
+     * Such a heading sits right above an article number and reads as a title rather than a sentence
+     * @param {TextBlock} block - Body block
+     * @param {TextBlock} [next] - Following block
+     * @returns {boolean} True if the block is an article heading
+     * @private
+     */
+    isLeftAlignedHeading(block, next) {
+        return Boolean(next && next.centered && this.patterns.article.test(next.text)) &&
+            (/^\p{Lu}/u).test(block.text) &&
+            !(/[.:;,]$/).test(block.text) &&
+            !this.patterns.blockStart.test(block.text);
+    }
+
+    /**
+     * Update the parser state from a heading or structure block that is not an article number
+     * @param {string} text - Block text
+     * @param {Object} state - Parser state
+     * @private
+     */
+    readStructure(text, state) {
+        const part = text.match(this.patterns.part);
+        const chapter = text.match(this.patterns.chapter);
+        const transitional = text.match(this.patterns.transitional);
+
+        if (part) {
+            state.part = { number: part[1], title: part[2] };
+            state.chapter = null;
+            state.source = null;
+            state.openTitle = state.part;
+        } else if (chapter) {
+            state.chapter = { number: chapter[1], title: chapter[2] };
+            state.openTitle = state.chapter;
+        } else if (transitional) {
+            state.chapter = { number: null, title: text };
+            state.source = transitional[1];
+            state.openTitle = null;
+        } else if (text === text.toUpperCase()) {
+            // Second line of a long glava or subchapter title, otherwise the law title ("ZAKON O RADU")
+            if (state.openTitle) {
+                state.openTitle.title += ` ${text}`;
+            }
+            return;
+        } else {
+            state.pendingHeading = state.pendingHeading ? `${state.pendingHeading} ${text}` : text;
+            return;
+        }
+
+        // A heading never carries over into a new glava or subchapter
+        state.heading = null;
+        state.pendingHeading = null;
+    }
+
+    /**
+     * Start a new article from an article number line
+     * @param {Array} match - Match of the article pattern
+     * @param {Object} state - Parser state
+     * @returns {ParsedArticle} New article
+     * @private
+     */
+    createArticle(match, state) {
+        const [, number, letter = '', amendments, ...dates] = match;
+        const [day, month, year] = dates[0] ? dates.slice(0, 3) : dates.slice(3);
+
+        // A heading covers every following article until the next heading
+        if (state.pendingHeading) {
+            state.heading = state.pendingHeading;
+            state.pendingHeading = null;
+        }
+
+        const label = letter ? `${number}.${letter}` : number;
+
+        return {
+            id: LawParser.createArticleId(number, letter, state.source),
+            number: parseInt(number, 10),
+            letter,
+            officialNumber: `Članak ${label}${state.source ? ` (${state.source})` : ''}`,
+            heading: state.heading,
+            amendments: amendments ? amendments.split(',').map(issue => issue.trim()) : [],
+            source: state.source,
+            effectiveDate: year ? `${year}-${month}-${day}` : null,
+            part: state.part,
+            chapter: state.chapter,
+            paragraphs: [],
+            content: ''
+        };
+    }
+
+    /**
+     * Add a body block to the current article as a stavak, točka or continuation text
+     * @param {ParsedArticle} article - Current article
+     * @param {string} text - Block text
+     * @private
+     */
+    addBodyBlock(article, text) {
+        const paragraphs = article.paragraphs;
+        const paragraph = paragraphs[paragraphs.length - 1];
+
+        // Numbering may skip repealed stavci, so any higher number starts a new one
+        const paragraphMatch = text.match(this.patterns.paragraph);
+        const paragraphNumber = paragraphMatch ? parseInt(paragraphMatch[1], 10) : 0;
+        if (paragraphNumber > (paragraph ? paragraph.number : 0)) {
+            paragraphs.push(this.createParagraph(article.id, paragraphNumber, true, paragraphMatch[2]));
+            return;
+        }
+
+        if (!paragraph) {
+            paragraphs.push(this.createParagraph(article.id, 1, false, text));
+            return;
+        }
+
+        const pointMatch = text.match(this.patterns.point);
+        if (pointMatch && parseInt(pointMatch[1], 10) === paragraph.points.length + 1) {
+            const number = paragraph.points.length + 1;
+            paragraph.points.push({
+                id: `${paragraph.id}_t${number}`,
+                number,
+                label: pointMatch[1] + pointMatch[2],
+                text: pointMatch[3]
+            });
+            return;
+        }
+
+        const points = paragraph.points;
+        if (points.length > 0) {
+            points[points.length - 1].text += ` ${text}`;
+        } else {
+            paragraph.text += ` ${text}`;
+        }
+    }
+
+    /**
+     * Create a paragraph node
+     * @param {string} articleId - Parent article ID
+     * @param {number} number - Paragraph number
+     * @param {boolean} numbered - Whether the paragraph has a printed label
+     * @param {string} text - Paragraph text
+     * @returns {ParsedParagraph} Paragraph node
+     * @private
+     */
+    createParagraph(articleId, number, numbered, text) {
+        return {
+            id: `${articleId}_st${number}`,
+            number,
+            numbered,
+            text,
+            points: []
+        };
+    }
+
+    /**
+     * Split flat article text ("(1) ... (2) ...") into stavci and točke
+     * @param {string} articleId - Article ID used to build paragraph IDs
+     * @param {string} content - Flat article text
+     * @returns {ParsedParagraph[]} Paragraphs in reading order
+     */
+    parseContent(articleId, content) {
+        const text = (content || '').trim();
+        const starts = [];
+        let last = 0;
+
+        // The next label in sequence always opens a stavak, a jump over repealed stavci only after the end of a sentence
+        for (const match of text.matchAll(/\((\d+)\)\s+/g)) {
+            const number = parseInt(match[1], 10);
+            const before = text.slice(0, match.index);
+
+            const next = number === last + 1 || before.trim() === '' || (/[.:;]\s*$/).test(before);
+            if (number > last && next) {
+                starts.push({ index: match.index, number, length: match[0].length });
+                last = number;
+            }
+        }
+
+        if (starts.length === 0) {
+            return text ? [this.splitPoints(this.createParagraph(articleId, 1, false, text))] : [];
+        }
+
+        const paragraphs = [];
+        const leading = text.slice(0, starts[0].index).trim();
+        if (leading) {
+            // Unlabelled text in front of "(2)" is the first stavak, in front of "(1)" it is not a stavak at all
+            const number = starts[0].number > 1 ? 1 : 0;
+            paragraphs.push(this.splitPoints(this.createParagraph(articleId, number, false, leading)));
+        }
+
+        starts.forEach((start, index) => {
+            const end = index + 1 < starts.length ? starts[index + 1].index : text.length;
+            const paragraphText = text.slice(start.index + start.length, end).trim();
+            paragraphs.push(this.splitPoints(this.createParagraph(articleId, start.number, true, paragraphText)));
+        });
+
+        return paragraphs;
+    }
+
+    /**
+     * Move an inline list ("...: 1. mjesto rada 2. trajanje rada") into točke
+     * Lists that already have točke continue from the text of the last one
+     * @param {ParsedParagraph} paragraph - Paragraph
+     * @returns {ParsedParagraph} The same paragraph
+     * @private
+     */
+    splitPoints(paragraph) {
+        const points = paragraph.points;
+        const last = points[points.length - 1];
+        const text = last ? last.text : paragraph.text;
+        const starts = [];
+
+        // The list opens after a colon, later labels continue the numbering unless they are references ("stavka 2.")
+        for (const match of text.matchAll(/(?<![\d/.,])(\d+)([.)])\s+/g)) {
+            const number = parseInt(match[1], 10);
+            const before = text.slice(0, match.index);
+            const opens = number === 1 ? (/:\s*$/).test(before) : !this.patterns.reference.test(before);
+
+            if (number === points.length + starts.length + 1 && opens) {
+                starts.push({ index: match.index, number, label: match[1] + match[2], length: match[0].length });
+            }
+        }
+
+        // A lone "1." is a reference to another provision rather than a list
+        if (starts.length === 0 || (!last && starts.length < 2)) {
+            return paragraph;
+        }
+
+        const head = text.slice(0, starts[0].index).trim();
+        if (last) {
+            last.text = head;
+        } else {
+            paragraph.text = head;
+        }
+
+        starts.forEach((start, index) => {
+            const end = index + 1 < starts.length ? starts[index + 1].index : text.length;
+
+            points.push({
+                id: `${paragraph.id}_t${start.number}`,
+                number: start.number,
+                label: start.label,
+                text: text.slice(start.index + start.length, end).trim()
+            });
+        });
+
+        return paragraph;
+    }
+
+    /**
+     * Build the flat article text in the format used by the dataset
+     * @param {ParsedArticle} article - Parsed article
+     * @returns {string} Article content
+     */
+    buildContent(article) {
+        return article.paragraphs.map(paragraph => {
+            const parts = [paragraph.numbered ? `(${paragraph.number}) ${paragraph.text}` : paragraph.text];
+            paragraph.points.forEach(point => parts.push(`${point.label} ${point.text}`));
+            return parts.join(' ');
+        }).join(' ');
+    }
+
+    /**
+     * Create a deterministic article ID from the official article number
+     * @param {number|string} number - Article number
+     * @param {string} [letter] - Letter of an inserted article ("a" in "Članak 17.a")
+     * @param {string|null} [source] - Amending act for transitional provisions (e.g. "NN 127/17")
+     * @returns {string} Article ID (e.g. "art_077", "art_017a", "art_nn127_17_006")
+     */
+    static createArticleId(number, letter = '', source = null) {
+        const base = String(number).padStart(3, '0') + (letter || '');
+
+        if (source) {
+            return `art_${source.toLowerCase().replace(/\s+/g, '').replace('/', '_')}_${base}`;
+        }
+
+        return `art_${base}`;
+    }
+}
+
+export default LawParser;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Misdemeanour fine extraction for Croatian Labor Law database
+ * Reads the prekršajne odredbe ("Novčanom kaznom od 4110,00 do 7960,00 eura kaznit će se ...") and links each fine to the obligations it enforces
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} PenaltyObligation
+ * @property {string} articleId - Article laying down the obligation
+ * @property {string} targetId - Referenced article, stavak or točka
+ * @property {string} citation - Citation of the obligation (e.g. "čl. 12. st. 11.")
+ */
+
+/**
+ * @typedef {Object} Penalty
+ * @property {string} articleId - Article with the penal provision
+ * @property {string} sourceId - Stavak that sets the fine
+ * @property {string} citation - Citation of the stavak that sets the fine (e.g. "čl. 228. st. 2.")
+ * @property {string} offenceId - Stavak or točka that describes the offence
+ * @property {string} offenceCitation - Citation of the offence (e.g. "čl. 228. st. 1. t. 3.")
+ * @property {string} description - Offence as printed, without the reference in brackets
+ * @property {{min: number, max: number, currency: string}} fine - Fine range
+ * @property {string} liable - Who is fined ("poslodavac pravna osoba")
+ * @property {PenaltyObligation[]} obligations - Obligations the fine enforces
+ */
+
+/**
+ * PenaltyExtractor class for the fines of the law
+ * Works on articles with resolved references, since the obligation of each offence is the article cited in its brackets
+ */
+export class PenaltyExtractor {
+    constructor() {
+        this.patterns = {
+            fine: /Novčanom kaznom od (?<min>\d{1,3}(?:\.?\d{3})*,\d{2}) do (?<max>\d{1,3}(?:\.?\d{3})*,\d{2}) (?<currency>eura|kuna)/u,
+            liable: /kaznit će se(?:\s+za\s+prekršaj)?\s+(?<liable>.+?)(?=\s+(?:koj\p{L}*|kod\s+koj\p{L}*|ako)(?!\p{L})|\s*[:(]|\.?\s*$)/u,
+            offence: /kaznit će se(?:\s+za\s+prekršaj)?\s+(?<offence>.+)$/u,
+            citedObligation: /\s*\((?:članak|članci|članka)\s[^)]*\)\s*[,;.]?\s*(?:i|ili)?\s*$/u,
+            ending: /\s*[,;.]?\s*(?:i|ili)?\s*$/u
+        };
+    }
+
+    /**
+     * Find the fines of a penal article
+     * A stavak fining "za prekršaj iz stavka 1. ovoga članka" repeats the offences of that stavak for another liable person
+     * @param {Article} article - Article with paragraphs and resolved references
+     * @returns {Penalty[]} Fines in reading order, one per offence
+     */
+    extract(article) {
+        const references = article.references || [];
+        const offencesByParagraph = new Map();
+        const penalties = [];
+
+        (article.paragraphs || []).forEach(paragraph => {
+            const fine = paragraph.text.match(this.patterns.fine);
+            if (!fine) {
+                return;
+            }
+
+            const liable = paragraph.text.match(this.patterns.liable);
+            const offences = this.readOffences(article, paragraph, references, offencesByParagraph);
+            offencesByParagraph.set(paragraph.id, offences);
+
+            offences.forEach(offence => penalties.push({
+                articleId: article.id,
+                sourceId: paragraph.id,
+                citation: article.getCitation(paragraph.id),
+                offenceId: offence.sourceId,
+                offenceCitation: article.getCitation(offence.sourceId),
+                description: offence.description,
+                fine: {
+                    min: PenaltyExtractor.parseAmount(fine.groups.min),
+                    max: PenaltyExtractor.parseAmount(fine.groups.max),
+                    currency: fine.groups.currency === 'eura' ? 'EUR' : 'HRK'
+                },
+                liable: liable ? liable.groups.liable.trim() : '',
+                obligations: offence.obligations.map(obligation => ({ ...obligation }))
+            }));
+        });
+
+        return penalties;
+    }
+
+    /**
+     * Read the offences a fine applies to
+     * @param {Article} article - Penal article
+     * @param {Object} paragraph - Stavak that sets the fine
+     * @param {Object[]} references - Resolved references of the article
+     * @param {Map<string, Object[]>} offencesByParagraph - Offences of the stavci read before
+     * @returns {Array<{sourceId: string, description: string, obligations: PenaltyObligation[]}>} Offences
+     * @private
+     */
+    readOffences(article, paragraph, references, offencesByParagraph) {
+        const obligationsOf = sourceId => this.toObligations(references.filter(reference =>
+            reference.sourceId === sourceId && reference.articleId !== article.id
+        ));
+
+        if (paragraph.points && paragraph.points.length > 0) {
+            return paragraph.points.map(point => ({
+                sourceId: point.id,
+                description: this.cleanDescription(point.text),
+                obligations: obligationsOf(point.id)
+            }));
+        }
+
+        // "za prekršaj iz stavka 1. točke 1. ovoga članka" without an obligation of its own
+        const obligations = obligationsOf(paragraph.id);
+        const repeated = references.filter(reference => reference.sourceId === paragraph.id && reference.articleId === article.id && reference.paragraphId);
+        if (obligations.length === 0 && repeated.length > 0) {
+            return repeated.flatMap(reference => (offencesByParagraph.get(reference.paragraphId) || [])
+                .filter(offence => !reference.pointId || offence.sourceId === reference.pointId));
+        }
+
+        const offence = paragraph.text.match(this.patterns.offence);
+        return [{
+            sourceId: paragraph.id,
+            description: this.cleanDescription(offence ? offence.groups.offence : paragraph.text),
+            obligations
+        }];
+    }
+
+    /**
+     * Turn references into the obligations they point at, each target once
+     * @param {Object[]} references - Resolved references
+     * @returns {PenaltyObligation[]} Obligations
+     * @private
+     */
+    toObligations(references) {
+        const obligations = new Map();
+        references.forEach(reference => {
+            const targetId = reference.pointId || reference.paragraphId || reference.articleId;
+            if (!obligations.has(targetId)) {
+                obligations.set(targetId, { articleId: reference.articleId, targetId, citation: reference.citation });
+            }
+        });
+
+        // "članak 12. stavak 11." also resolves to the article, the stavak is the obligation
+        const targets = Array.from(obligations.values());
+        return targets.filter(obligation => obligation.targetId !== obligation.articleId ||
+            !targets.some(other => other.articleId === obligation.articleId && other.targetId !== other.articleId));
+    }
+
+    /**
+     * Strip the cited obligation and the list punctuation from an offence
+     * @param {string} text - Offence as printed
+     * @returns {string} Offence description
+     * @private
+     */
+    cleanDescription(text) {
+        return text.replace(this.patterns.citedObligation, '').replace(this.patterns.ending, '').trim();
+    }
+
+    /**
+     * Read an amount as printed in the law ("13.270,00")
+     * @param {string} amount - Amount with Croatian separators
+     * @returns {number} Amount
+     */
+    static parseAmount(amount) {
+        return parseFloat(amount.replace(/\./g, '').replace(',', '.'));
+    }
+}
+
+export default PenaltyExtractor;
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Search query parsing for Croatian Labor Law database
+ * Turns the query language ("godišnji AND (odmor OR dopust) -bolovanje category:leave") into a tree the search engine evaluates
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from './TextProcessor.js';
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {string} type - term, wildcard, phrase, field, filter, not, required, and or or
+ * @property {string} [value] - Normalized word of a term, pattern of a wildcard, or value of a field filter
+ * @property {string} [text] - Word, pattern or phrase as typed
+ * @property {boolean} [prefix] - Whether a term is the unfinished last word of the query
+ * @property {string[]} [words] - Normalized words of a phrase
+ * @property {string} [field] - Field of a filter (category, type, clanak)
+ * @property {QueryNode} [child] - Operand of not, required and filter
+ * @property {QueryNode[]} [children] - Operands of and and or
+ */
+
+// Fields that can be filtered on with field:value
+const FIELDS = ['category', 'type', 'clanak'];
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * QueryParser class for the boolean query language
+ * NOT binds tighter than AND, AND tighter than OR, and words written next to each other are joined by the default operator.
+ * A word prefixed with + is required and one prefixed with - is excluded. A field filter written next to words
+ * without an operator narrows what they find ("odmor category:leave"), only OR makes it an alternative.
+ */
+export class QueryParser {
+    /**
+     * Create a new QueryParser instance
+     * @param {Object} [options] - Parser options
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     */
+    constructor(options = {}) {
+        this.textProcessor = options.textProcessor || new TextProcessor();
+
+        this.patterns = {
+            // Only a known field directly followed by its value is a filter, "napomena: otkaz" or "otkaz:" is plain text
+            token: new RegExp(`\\s*(?:(?<open>\\()|(?<close>\\))|(?<modifier>[+-])?(?:(?<field>${FIELDS.join('|')}):(?=[^\\s)]))?` +
+                '(?:"(?<quoted>[^"]*)(?<closed>")?|(?<bare>[^\\s()"]+))?)', 'iuy'),
+            wildcard: /[*?]/u,
+            digit: /\d/u
+        };
+    }
+
+    /**
+     * Parse a query
+     * @param {string} query - Query as typed
+     * @param {Object} [options] - Parse options
+     * @param {string} [options.defaultOperator='OR'] - Operator joining words written next to each other
+     * @returns {QueryNode|null} Query tree, null if the query holds nothing but stop words
+     * @throws {Error} If the query is malformed
+     */
+    parse(query, options = {}) {
+        const state = {
+            tokens: this.tokenize(String(query || '')),
+            position: 0,
+            defaultOperator: String(options.defaultOperator || 'OR').toUpperCase()
+        };
+
+        const tree = this.parseOr(state);
+        const next = state.tokens[state.position];
+        if (next) {
+            throw new Error(next.type === 'close' ? 'Unmatched closing parenthesis' : `Unexpected ${next.text}`);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Split a query into parentheses, operators and operands
+     * @param {string} query - Query as typed
+     * @returns {Object[]} Tokens
+     * @throws {Error} If a quote is not closed or a filter is malformed
+     * @private
+     */
+    tokenize(query) {
+        const tokens = [];
+        const pattern = this.patterns.token;
+        pattern.lastIndex = 0;
+
+        while (pattern.lastIndex < query.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(query);
+            if (!match || match[0].length === 0) {
+                throw new Error(`Unexpected character "${query[start]}"`);
+            }
+
+            const { open, close, modifier, field, quoted, closed, bare } = match.groups;
+            if (open || close) {
+                tokens.push({ type: open ? 'open' : 'close', text: open || close });
+                continue;
+            }
+
+            if (quoted !== undefined && !closed) {
+                throw new Error('Missing closing quote');
+            }
+
+            // A + or - standing on its own is a dash, not a modifier
+            const value = quoted !== undefined ? quoted : bare;
+            if (value === undefined) {
+                if (field) {
+                    throw new Error(`Missing value for ${field}:`);
+                }
+                continue;
+            }
+
+            if (!field && !modifier && quoted === undefined && OPERATORS.has(value)) {
+                tokens.push({ type: 'operator', text: value });
+                continue;
+            }
+
+            tokens.push({
+                type: 'operand',
+                text: match[0].trim(),
+                modifier,
+                node: this.createOperand(field, value, quoted !== undefined, pattern.lastIndex === query.length)
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Turn an operand into a query node
+     * @param {string} [field] - Field of a filter
+     * @param {string} value - Value as typed
+     * @param {boolean} quoted - Whether the value was quoted
+     * @param {boolean} last - Whether the operand ends the query
+     * @returns {QueryNode|null} Node, null for a stop word
+     * @throws {Error} If a filter has no value, or clanak: no article number
+     * @private
+     */
+    createOperand(field, value, quoted, last) {
+        if (field) {
+            const name = field.toLowerCase();
+            if (!value.trim()) {
+                throw new Error(`Missing value for ${field}:`);
+            }
+            if (name === 'clanak' && !this.patterns.digit.test(value)) {
+                throw new Error(`"${value.trim()}" is not an article number, use ${field}:17a`);
+            }
+            return { type: 'field', field: name, value: value.trim() };
+        }
+
+        if (!quoted && this.patterns.wildcard.test(value)) {
+            return { type: 'wildcard', value: this.textProcessor.normalizeWord(value.toLowerCase()), text: value };
+        }
+
+        const typed = value.match(new RegExp(this.textProcessor.wordPattern.source, 'gu')) || [];
+        const words = typed.map(word => this.textProcessor.normalizeWord(word.toLowerCase()));
+
+        // "17.a" or "radno-pravni" are read as a phrase, like quoted words
+        if (quoted || words.length > 1) {
+            return words.length > 0 ? { type: 'phrase', words, text: value } : null;
+        }
+
+        const [word] = words;
+        if (!word || this.textProcessor.tokenize(word).length === 0) {
+            return null;
+        }
+
+        // The last word may still be being typed
+        return { type: 'term', value: word, text: typed[0].toLowerCase(), prefix: last };
+    }
+
+    /**
+     * Parse operands joined by OR
+     * @param {Object} state - Tokens and position
+     * @returns {QueryNode|null} Node
+     * @private
+     */
+    parseOr(state) {
+        const children = [this.parseAnd(state)];
+        const implicit = [];
+        while (this.joins(state, 'OR')) {
+            implicit.push(state.tokens[state.position - 1].type !== 'operator');
+            children.push(this.parseAnd(state));
+        }
+
+        // A field filter joined to its neighbours by the default operator filters them
+        return this.combine('or', children.map((child, i) => child && child.type === 'field' && (implicit[i - 1] || implicit[i]) ?
+            { type: 'filter', child } : child));
+    }
+
+    /**
+     * Parse operands joined by AND
+     * @param {Object} state - Tokens and position
+     * @returns {QueryNode|null} Node
+     * @private
+     */
+    parseAnd(state) {
+        const children = [this.parseUnary(state)];
+        while (this.joins(state, 'AND')) {
+            children.push(this.parseUnary(state));
+        }
+        return this.combine('and', children);
+    }
+
+    /**
+     * Parse an operand with its NOT, + or - and a group in parentheses
+     * @param {Object} state - Tokens and position
+     * @returns {QueryNode|null} Node
+     * @throws {Error} If the operand is missing
+     * @private
+     */
+    parseUnary(state) {
+        const token = state.tokens[state.position];
+        const previous = state.tokens[state.position - 1];
+        if (!token || token.type === 'close' || (token.type === 'operator' && token.text !== 'NOT')) {
+            const after = previous && previous.type === 'operator' ? ` after ${previous.text}` : '';
+            const before = token && token.type === 'operator' ? ` before ${token.text}` : '';
+            throw new Error(previous && previous.type === 'open' && token && token.type === 'close' ?
+                'Empty parentheses' : `Missing search term${after || before}`);
+        }
+
+        state.position++;
+        if (token.type === 'operator') {
+            const child = this.parseUnary(state);
+            return child && { type: 'not', child };
+        }
+
+        if (token.type === 'open') {
+            const group = this.parseOr(state);
+            if (!state.tokens[state.position] || state.tokens[state.position].type !== 'close') {
+                throw new Error('Missing closing parenthesis');
+            }
+            state.position++;
+            return group;
+        }
+
+        if (!token.node || !token.modifier) {
+            return token.node;
+        }
+        return { type: token.modifier === '-' ? 'not' : 'required', child: token.node };
+    }
+
+    /**
+     * Consume an operator, or accept operands written next to each other when the operator is the default one
+     * @param {Object} state - Tokens and position
+     * @param {string} operator - AND or OR
+     * @returns {boolean} True if another operand follows
+     * @private
+     */
+    joins(state, operator) {
+        const token = state.tokens[state.position];
+        if (!token) {
+            return false;
+        }
+
+        if (token.type === 'operator' && token.text === operator) {
+            state.position++;
+            return true;
+        }
+
+        return state.defaultOperator === operator && token.type !== 'close' && (token.type !== 'operator' || token.text === 'NOT');
+    }
+
+    /**
+     * Join operands, leaving out stop words
+     * @param {string} type - and or or
+     * @param {Array<QueryNode|null>} children - Operands
+     * @returns {QueryNode|null} Node
+     * @private
+     */
+    combine(type, children) {
+        const operands = children.filter(Boolean);
+        if (operands.length <= 1) {
+            return operands[0] || null;
+        }
+        return { type, children: operands };
+    }
+}
+
+export default QueryParser;
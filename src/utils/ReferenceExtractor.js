@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Cross-reference extraction for Croatian Labor Law database
+ * Resolves references such as "iz stavka 1. ovoga članka" or "članka 17. stavka 3." to articles, stavci and točke
+ * @version 2.2.0
+ */
+
+import { Article } from '../models/Article.js';
+
+/**
+ * @typedef {Object} ArticleReference
+ * @property {string} sourceId - Stavak or točka the reference is printed in
+ * @property {string} phrase - Whole reference as printed ("članka 17. stavka 3. ovoga Zakona")
+ * @property {string} text - Number the link is placed on ("3.")
+ * @property {number|null} start - Position of the number in the text of the stavak or točka, null for numbers implied by a range
+ * @property {number|null} end - End of the number in the text, null for numbers implied by a range
+ * @property {string} articleId - Referenced article
+ * @property {string|null} paragraphId - Referenced stavak
+ * @property {string|null} pointId - Referenced točka
+ * @property {string} citation - Citation of the target (e.g. "čl. 17. st. 3.")
+ */
+
+// Article, stavak and točka numbers as printed ("17.", "17.a")
+const NUMBER = '\\d+\\.(?:[a-z](?![\\p{L}]))?';
+const NUMBER_LIST = `${NUMBER}(?:\\s*(?:,|i|ili|te|do|–|-)\\s*${NUMBER})*`;
+
+/**
+ * ReferenceExtractor class for linking the internal references of the law text
+ * Relative references ("ovoga članka", "ovoga stavka") resolve against the stavak they are printed in
+ */
+export class ReferenceExtractor {
+    constructor() {
+        this.patterns = {
+            // One reference: article, stavak and točka levels in this order, each optional
+            reference: new RegExp(
+                '(?<![\\p{L}])(?=član|stav|toč)' +
+                `(?:(?<articleWord>član(?:ak|ka|ku|kom|ci|aka|cima))\\s+(?<articles>${NUMBER_LIST})\\s*,?\\s*)?` +
+                `(?:(?<paragraphWord>stav(?:ak|ka|ku|kom|ci|aka|cima))\\s+(?<paragraphs>${NUMBER_LIST})\\s*,?\\s*)?` +
+                `(?:(?<pointWord>toč(?:ka|ke|ki|ku|kom|aka|kama))\\s+(?<points>${NUMBER_LIST}))?` +
+                '(?:\\s*(?<scope>ovoga|ovog|toga|istoga)\\s+(?<scopeOf>članka|stavka|zakona))?',
+                'giud'
+            ),
+            number: new RegExp(NUMBER, 'gu'),
+            range: /^\s*(?:do|–|-)\s*$/,
+            // References to other acts are left to legalReferences
+            external: /^\s*(?:Direktiv|Uredb|Zakona\s+o|Pravilnik|Konvencij|Ugovora\s+o)/u,
+            officialNumber: /^Članak\s+(\d+)(?:\.([a-z]))?/
+        };
+    }
+
+    /**
+     * Index articles by law, amending act and official number
+     * @param {Iterable<Object>} articles - Articles of the database
+     * @returns {Map<string, Object>} Articles by reference key
+     */
+    createIndex(articles) {
+        const index = new Map();
+
+        for (const article of articles) {
+            const key = this.getIndexKey(article);
+            if (key) {
+                index.set(key, article);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Get the index key of an article
+     * @param {Object} article - Article
+     * @returns {string|null} Index key, null for articles without an official number
+     */
+    getIndexKey(article) {
+        const match = String(article.officialNumber || '').match(this.patterns.officialNumber);
+        return match ? this.createKey(article.law, article.source, match[1], match[2]) : null;
+    }
+
+    /**
+     * Create the index key of an article number
+     * @param {string} [law] - Law ID
+     * @param {string} [source] - Amending act of transitional provisions
+     * @param {number|string} number - Article number
+     * @param {string} [letter] - Letter of an inserted article
+     * @returns {string} Index key
+     * @private
+     */
+    createKey(law, source, number, letter) {
+        return `${law || ''}|${source || ''}|${parseInt(number, 10)}${letter || ''}`;
+    }
+
+    /**
+     * Resolve all references of a list of articles
+     * @param {Object[]} articles - Articles of the database
+     * @returns {Map<string, ArticleReference[]>} References by article ID
+     */
+    extractAll(articles) {
+        const index = this.createIndex(articles);
+        return new Map(articles.map(article => [article.id, this.extract(article, index)]));
+    }
+
+    /**
+     * Resolve the references printed in the stavci and točke of an article
+     * @param {Object} article - Article with paragraphs
+     * @param {Map<string, Object>} index - Index from createIndex()
+     * @param {Set<string>} [missing] - Collects the index keys of referenced articles that are not in the index
+     * @returns {ArticleReference[]} References in reading order, unresolvable ones left out
+     */
+    extract(article, index, missing = null) {
+        const references = [];
+
+        (article.paragraphs || []).forEach(paragraph => {
+            references.push(...this.extractFromText(paragraph.text, { article, paragraph, sourceId: paragraph.id, missing }, index));
+            (paragraph.points || []).forEach(point => {
+                references.push(...this.extractFromText(point.text, { article, paragraph, sourceId: point.id, missing }, index));
+            });
+        });
+
+        return references;
+    }
+
+    /**
+     * Resolve the references of one stavak or točka
+     * @param {string} text - Text of the stavak or točka
+     * @param {{article: Object, paragraph: Object, sourceId: string, missing: Set<string>|null}} context - Where the text is printed
+     * @param {Map<string, Object>} index - Index from createIndex()
+     * @returns {ArticleReference[]} References
+     * @private
+     */
+    extractFromText(text, context, index) {
+        const references = [];
+        if (!text) {
+            return references;
+        }
+
+        for (const match of text.matchAll(this.patterns.reference)) {
+            const { groups } = match;
+            if (!groups.articles && !groups.paragraphs && !groups.points) {
+                continue;
+            }
+
+            const rest = text.slice(match.index + match[0].length);
+            if (!groups.scope && this.patterns.external.test(rest)) {
+                continue;
+            }
+
+            const levels = this.readLevels(match);
+            const targets = this.resolveTargets(levels, groups, context, index);
+            const phrase = match[0].trim();
+
+            targets.forEach(target => {
+                references.push({
+                    sourceId: context.sourceId,
+                    phrase,
+                    text: target.number ? target.number.text : phrase,
+                    start: target.number ? target.number.start : null,
+                    end: target.number ? target.number.end : null,
+                    articleId: target.article.id,
+                    paragraphId: target.paragraph ? target.paragraph.id : null,
+                    pointId: target.point ? target.point.id : null,
+                    citation: Article.formatCitation(target.article, target.paragraph, target.point)
+                });
+            });
+        }
+
+        return references;
+    }
+
+    /**
+     * Read the numbers of each level of a reference with their positions
+     * @param {RegExpMatchArray} match - Reference match (with indices)
+     * @returns {{articles: Object[], paragraphs: Object[], points: Object[]}} Numbers per level
+     * @private
+     */
+    readLevels(match) {
+        const levels = {};
+
+        ['articles', 'paragraphs', 'points'].forEach(level => {
+            const list = match.groups[level];
+            levels[level] = list ? this.readNumbers(list, match.indices.groups[level][0]) : [];
+        });
+
+        return levels;
+    }
+
+    /**
+     * Read a list of numbers, expanding ranges ("1. do 3.")
+     * @param {string} list - Printed list
+     * @param {number} offset - Position of the list in the text
+     * @returns {Array<{value: number, letter: string, text: string|null, start: number|null, end: number|null}>} Numbers
+     * @private
+     */
+    readNumbers(list, offset) {
+        const numbers = [];
+        let previous = null;
+
+        for (const match of list.matchAll(this.patterns.number)) {
+            const [, digits, letter] = match[0].match(/^(\d+)\.([a-z])?$/);
+            const number = {
+                value: parseInt(digits, 10),
+                letter: letter || '',
+                text: match[0],
+                start: offset + match.index,
+                end: offset + match.index + match[0].length
+            };
+
+            const between = previous ? list.slice(previous.end - offset, match.index) : '';
+            if (previous && this.patterns.range.test(between) && !previous.letter && !number.letter) {
+                for (let value = previous.value + 1; value < number.value; value++) {
+                    numbers.push({ value, letter: '', text: null, start: null, end: null });
+                }
+            }
+
+            numbers.push(number);
+            previous = number;
+        }
+
+        return numbers;
+    }
+
+    /**
+     * Resolve the numbers of a reference to articles, stavci and točke
+     * Every printed number links to its own level; deeper levels belong to the last number above them
+     * @param {Object} levels - Numbers per level
+     * @param {Object} groups - Named groups of the match
+     * @param {Object} context - Where the reference is printed
+     * @param {Map<string, Object>} index - Index from createIndex()
+     * @returns {Array<{article: Object, paragraph: Object|null, point: Object|null, number: Object|null}>} Targets
+     * @private
+     */
+    resolveTargets(levels, groups, context, index) {
+        const scopeOf = (groups.scopeOf || '').toLowerCase();
+        const targets = [];
+
+        // Without an article number the reference stays inside the article ("iz stavka 1. ovoga članka")
+        let articles = [context.article];
+        if (levels.articles.length > 0) {
+            if (scopeOf === 'članka' || scopeOf === 'stavka') {
+                return targets;
+            }
+
+            articles = levels.articles.map(number => this.findArticle(number, context.article, index, context.missing));
+            levels.articles.forEach((number, position) => {
+                if (articles[position]) {
+                    targets.push({ article: articles[position], paragraph: null, point: null, number });
+                }
+            });
+        }
+
+        const article = articles[articles.length - 1];
+        if (!article) {
+            return targets;
+        }
+
+        let paragraphs = [];
+        if (levels.paragraphs.length > 0) {
+            paragraphs = levels.paragraphs.map(number => (article.paragraphs || []).find(paragraph => paragraph.number === number.value));
+            levels.paragraphs.forEach((number, position) => {
+                if (paragraphs[position]) {
+                    targets.push({ article, paragraph: paragraphs[position], point: null, number });
+                }
+            });
+        } else if (scopeOf === 'stavka' && levels.articles.length === 0) {
+            paragraphs = [context.paragraph];
+        }
+
+        const paragraph = paragraphs[paragraphs.length - 1];
+        levels.points.forEach(number => {
+            const owner = paragraph || (article.paragraphs || []).find(candidate =>
+                (candidate.points || []).some(point => point.number === number.value)
+            );
+            const point = owner && (owner.points || []).find(candidate => candidate.number === number.value);
+            if (point) {
+                targets.push({ article, paragraph: owner, point, number });
+            }
+        });
+
+        return targets.map(target => ({ ...target, number: target.number.text === null ? null : target.number }));
+    }
+
+    /**
+     * Find a referenced article of the same law
+     * Transitional provisions of an amending act refer to that act first
+     * @param {Object} number - Article number
+     * @param {Object} article - Article the reference is printed in
+     * @param {Map<string, Object>} index - Index from createIndex()
+     * @param {Set<string>} [missing] - Collects the keys looked up in vain, an article added under one of them changes the target
+     * @returns {Object|null} Referenced article
+     * @private
+     */
+    findArticle(number, article, index, missing = null) {
+        const keys = [
+            this.createKey(article.law, article.source, number.value, number.letter),
+            this.createKey(article.law, null, number.value, number.letter)
+        ];
+        const position = keys.findIndex(key => index.has(key));
+
+        if (missing) {
+            keys.slice(0, position === -1 ? keys.length : position).forEach(key => missing.add(key));
+        }
+
+        return position === -1 ? null : index.get(keys[position]);
+    }
+}
+
+export default ReferenceExtractor;
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Rights and obligations extraction for Croatian Labor Law database
+ * Reads modal phrases such as "radnik ima pravo", "poslodavac je dužan" or "ne smije" and tags them with the party they bind
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} Statement
+ * @property {string} sourceId - Stavak or točka the statement is printed in
+ * @property {string} party - Party the statement binds (worker, employer, union, works-council)
+ * @property {string} type - right, obligation or prohibition
+ * @property {string} subject - Party as printed ("Poslodavac", "ustupljeni radnik")
+ * @property {string} phrase - Modal phrase as printed ("je dužan", "ima pravo")
+ * @property {string} text - Sentence or točka the statement is made in
+ */
+
+// Parties in the nominative, so that "radniku" or "poslodavca" are not read as the subject
+const PARTIES = [
+    { party: 'works-council', pattern: /(?<!\p{L})radničk(?:o|a) vijeć(?:e|a)(?!\p{L})/giu },
+    { party: 'union', pattern: /(?<!\p{L})(?:sindikat|sindikati|sindikalni povjerenik|sindikalni povjerenici)(?!\p{L})/giu },
+    { party: 'employer', pattern: /(?<!\p{L})(?:poslodavac|poslodavci)(?!\p{L})/giu },
+    { party: 'worker', pattern: /(?<!\p{L})(?:(?:ustupljeni |noćni )?radnik|radnica|radnici|radnice|maloljetnik|maloljetnici)(?!\p{L})/giu }
+];
+
+const MODALS = [
+    { type: 'right', pattern: /(?<!\p{L})ima(?:ju)? pravo(?!\p{L})/gu },
+    { type: 'obligation', pattern: /(?<!\p{L})(?:(?:je|su) (?:dužan|dužna|dužno|dužni|dužne|obvezan|obvezna|obvezni)|(?:dužan|dužna|dužno|dužni|dužne|obvezan) (?:je|su)|mora(?:ju)?)(?!\p{L})/gu },
+    { type: 'prohibition', pattern: /(?<!\p{L})ne smij(?:e|u)(?!\p{L})/gu }
+];
+
+/**
+ * StatementExtractor class for the rights and obligations of the parties to a working relationship
+ * The party is the nearest one named in front of the modal phrase, leaving out parties named in relative clauses ("na koji radnik ima pravo")
+ */
+export class StatementExtractor {
+    constructor() {
+        this.patterns = {
+            sentence: /(?<=[.;:])\s+(?=\p{Lu})/u,
+            // "Radnik i poslodavac dužni su ..." binds both parties
+            joined: /^\s*(?:,|i|ili|odnosno)\s*$/u,
+            // A party named after a relative pronoun in the same clause ("u kojima sudjeluju djeca i maloljetnici") is not the subject
+            relativeBefore: /(?:^|\s)(?:koj|čij|čem)\p{L}*\s[^,]*$/u,
+            relativeSubject: /(?:^|\s)(?:koj|čij|čem)\p{L}*\s*(?:,[^,]*,\s*)?(?:(?:se|ga|ih|mu|im|joj)\s+)*$/u,
+            // "mora se navesti", "mora mu se omogućiti", "mora biti u pisanom obliku" and "ne mora" do not bind the party
+            impersonal: /^\s+(?:(?:mu|joj|im)\s+)?(?:se|biti)(?!\p{L})/u,
+            negated: /(?:^|\s)ne\s+$/u,
+            introduction: /:\s*$/u
+        };
+    }
+
+    /**
+     * Find the rights and obligations stated in an article
+     * A stavak ending in a colon ("Poslodavac je dužan:") states one obligation per točka
+     * @param {Object} article - Article with paragraphs
+     * @returns {Statement[]} Statements in reading order
+     */
+    extract(article) {
+        const statements = [];
+
+        (article.paragraphs || []).forEach(paragraph => {
+            const found = this.extractFromText(paragraph.text, paragraph.id);
+            const points = paragraph.points || [];
+            const introduced = points.length > 0 && this.patterns.introduction.test(paragraph.text) ?
+                found.filter(statement => this.patterns.introduction.test(statement.text)) : [];
+
+            statements.push(...found.filter(statement => !introduced.includes(statement)));
+            points.forEach(point => {
+                introduced.forEach(statement => statements.push({ ...statement, sourceId: point.id, text: point.text }));
+                statements.push(...this.extractFromText(point.text, point.id));
+            });
+        });
+
+        return statements;
+    }
+
+    /**
+     * Find the rights and obligations of one stavak or točka
+     * @param {string} text - Text of the stavak or točka
+     * @param {string} sourceId - Paragraph or point ID
+     * @returns {Statement[]} Statements, each party and type once per sentence
+     */
+    extractFromText(text, sourceId) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        const statements = [];
+        text.split(this.patterns.sentence).forEach(sentence => {
+            const seen = new Set();
+
+            MODALS.forEach(({ type, pattern }) => {
+                Array.from(sentence.matchAll(pattern)).forEach(match => {
+                    const before = sentence.slice(0, match.index);
+                    const after = sentence.slice(match.index + match[0].length);
+                    if (this.patterns.negated.test(before) || this.patterns.relativeSubject.test(before) ||
+                        (type !== 'right' && this.patterns.impersonal.test(after))) {
+                        return;
+                    }
+
+                    this.readParties(before).forEach(mention => {
+                        const key = `${mention.party}:${type}`;
+                        if (seen.has(key)) {
+                            return;
+                        }
+
+                        seen.add(key);
+                        statements.push({ sourceId, party: mention.party, type, subject: mention.text, phrase: match[0], text: sentence.trim() });
+                    });
+                });
+            });
+        });
+
+        return statements;
+    }
+
+    /**
+     * Read the parties a modal phrase applies to from the text in front of it
+     * @param {string} before - Sentence up to the modal phrase
+     * @returns {Array<{party: string, text: string, start: number, end: number}>} Parties, nearest last
+     * @private
+     */
+    readParties(before) {
+        const mentions = PARTIES.flatMap(({ party, pattern }) => Array.from(before.matchAll(pattern), match => ({
+            party,
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        })))
+            .filter(mention => !this.patterns.relativeBefore.test(before.slice(0, mention.start)))
+            .sort((a, b) => a.start - b.start);
+
+        if (mentions.length === 0) {
+            return [];
+        }
+
+        const parties = [mentions[mentions.length - 1]];
+        for (let i = mentions.length - 2; i >= 0; i--) {
+            if (!this.patterns.joined.test(before.slice(mentions[i].end, parties[0].start))) {
+                break;
+            }
+            parties.unshift(mentions[i]);
+        }
+
+        return parties.filter((mention, index) => parties.findIndex(other => other.party === mention.party) === index);
+    }
+}
+
+export default StatementExtractor;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Word-level diff for Croatian Labor Law database
+ * Compares two versions of an article text and reports inserted and deleted words
+ * @version 2.2.0
+ */
+
+/**
+ * @typedef {Object} DiffOperation
+ * @property {string} type - Operation type (equal, insert, delete)
+ * @property {string} text - Words covered by the operation
+ */
+
+/**
+ * @typedef {Object} DiffSummary
+ * @property {number} inserted - Number of inserted words
+ * @property {number} deleted - Number of deleted words
+ */
+
+/**
+ * TextDiff class for comparing article texts word by word
+ * Trims the common beginning and end first, so amendments of a few words stay cheap
+ */
+export class TextDiff {
+    /**
+     * Create a new TextDiff instance
+     * @param {Object} [options] - Diff options
+     * @param {number} [options.maxCells=4000000] - Largest comparison table; longer rewrites are reported as replaced as a whole
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxCells: 4000000,
+            ...options
+        };
+    }
+
+    /**
+     * Split text into words (punctuation stays attached, as in "članka.")
+     * @param {string} text - Text to split
+     * @returns {string[]} Words
+     */
+    tokenize(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        return text.match(/\S+/g) || [];
+    }
+
+    /**
+     * Compare two texts word by word
+     * @param {string} oldText - Earlier text
+     * @param {string} newText - Later text
+     * @returns {DiffOperation[]} Operations that turn the earlier text into the later one
+     */
+    diffWords(oldText, newText) {
+        const oldWords = this.tokenize(oldText);
+        const newWords = this.tokenize(newText);
+
+        let start = 0;
+        while (start < oldWords.length && start < newWords.length && oldWords[start] === newWords[start]) {
+            start++;
+        }
+
+        let oldEnd = oldWords.length;
+        let newEnd = newWords.length;
+        while (oldEnd > start && newEnd > start && oldWords[oldEnd - 1] === newWords[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const steps = [
+            ...oldWords.slice(0, start).map(word => ({ type: 'equal', word })),
+            ...this.diffMiddle(oldWords.slice(start, oldEnd), newWords.slice(start, newEnd)),
+            ...oldWords.slice(oldEnd).map(word => ({ type: 'equal', word }))
+        ];
+
+        return this.mergeSteps(steps);
+    }
+
+    /**
+     * Compare the differing middle parts using the longest common subsequence
+     * @param {string[]} oldWords - Earlier words
+     * @param {string[]} newWords - Later words
+     * @returns {Array<{type: string, word: string}>} Steps per word
+     * @private
+     */
+    diffMiddle(oldWords, newWords) {
+        const rows = oldWords.length;
+        const columns = newWords.length;
+
+        if (rows === 0 || columns === 0 || (rows + 1) * (columns + 1) > this.options.maxCells) {
+            return [
+                ...oldWords.map(word => ({ type: 'delete', word })),
+                ...newWords.map(word => ({ type: 'insert', word }))
+            ];
+        }
+
+        // lengths[i][j] holds the LCS length of oldWords[i..] and newWords[j..]
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldWords[i] === newWords[j] ?
+                    lengths[(i + 1) * width + j + 1] + 1 :
+                    Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const steps = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < columns) {
+            if (oldWords[i] === newWords[j]) {
+                steps.push({ type: 'equal', word: oldWords[i++] });
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                steps.push({ type: 'delete', word: oldWords[i++] });
+            } else {
+                steps.push({ type: 'insert', word: newWords[j++] });
+            }
+        }
+
+        oldWords.slice(i).forEach(word => steps.push({ type: 'delete', word }));
+        newWords.slice(j).forEach(word => steps.push({ type: 'insert', word }));
+
+        return steps;
+    }
+
+    /**
+     * Join consecutive steps of the same type into operations
+     * @param {Array<{type: string, word: string}>} steps - Steps per word
+     * @returns {DiffOperation[]} Operations
+     * @private
+     */
+    mergeSteps(steps) {
+        const operations = [];
+
+        steps.forEach(({ type, word }) => {
+            const last = operations[operations.length - 1];
+            if (last && last.type === type) {
+                last.text += ` ${word}`;
+            } else {
+                operations.push({ type, text: word });
+            }
+        });
+
+        return operations;
+    }
+
+    /**
+     * Count inserted and deleted words
+     * @param {DiffOperation[]} operations - Diff operations
+     * @returns {DiffSummary} Word counts
+     */
+    static summarize(operations) {
+        const count = type => operations
+            .filter(operation => operation.type === type)
+            .reduce((sum, operation) => sum + operation.text.split(' ').length, 0);
+
+        return {
+            inserted: count('insert'),
+            deleted: count('delete')
+        };
+    }
+}
+
+export default TextDiff;
@@ -4,6 +4,8 @@
  * @version 2.2.0
  */
 
+import { CroatianStemmer } from './CroatianStemmer.js';
+
 /**
  * @typedef {Object} TextAnalysis
  * @property {string[]} tokens - Tokenized words
@@ -14,15 +16,6 @@
  * @property {Object} metadata - Additional metadata
  */
 
-/**
- * @typedef {Object} SearchTokens
- * @property {string[]} terms - Individual search terms
- * @property {string[]} phrases - Quoted phrases
- * @property {string[]} operators - Boolean operators (AND, OR, NOT)
- * @property {string[]} wildcards - Wildcard patterns
- * @property {Object} filters - Parsed filters
- */
-
 /**
  * TextProcessor class for advanced text analysis and search processing
  * Handles Croatian language specifics and provides comprehensive text utilities
@@ -58,9 +51,11 @@ export class TextProcessor {
         // Sentence boundary patterns
         this.sentenceBoundaries = /[.!?]+\s+/g;
         
-        // Word tokenization pattern
-        this.wordPattern = /\b[\wčćđšžČĆĐŠŽ]+\b/g;
+        // Word tokenization pattern (Unicode-aware, \b does not treat č/ć/š/ž/đ as word characters)
+        this.wordPattern = /[\p{L}\p{N}_]+/gu;
         
+        this.stemmer = new CroatianStemmer();
+
         // Initialize caches
         this.stemCache = new Map();
         this.trigramCache = new Map();
@@ -169,7 +164,8 @@ export class TextProcessor {
     }
 
     /**
-     * Generate stem for Croatian word (simplified stemming)
+     * Generate stem for Croatian word
+     * The case forms of a word share its stem ("odmora", "odmoru" -> "odmor"), diacritics are folded first
      * @param {string} word - Word to stem
      * @returns {string} Stemmed word
      */
@@ -183,26 +179,7 @@ export class TextProcessor {
             return this.stemCache.get(word);
         }
         
-        let stem = word.toLowerCase();
-        
-        // Croatian suffixes to remove (simplified approach)
-        const suffixes = [
-            'anja', 'enje', 'inja', 'unja', 'ava', 'eva', 'iva', 'ova',
-            'an', 'en', 'in', 'un', 'ar', 'er', 'ir', 'or', 'ur',
-            'ak', 'ek', 'ik', 'ok', 'uk', 'al', 'el', 'il', 'ol', 'ul',
-            'am', 'em', 'im', 'om', 'um', 'at', 'et', 'it', 'ot', 'ut',
-            'av', 'ev', 'iv', 'ov', 'uv'
-        ];
-        
-        // Sort by length (longest first) to avoid partial matches
-        suffixes.sort((a, b) => b.length - a.length);
-        
-        for (const suffix of suffixes) {
-            if (stem.endsWith(suffix) && stem.length > suffix.length + 2) {
-                stem = stem.slice(0, -suffix.length);
-                break;
-            }
-        }
+        const stem = this.stemmer.stem(this.normalizeWord(word.toLowerCase()));
         
         // Cache the result
         this.stemCache.set(word, stem);
@@ -245,67 +222,6 @@ export class TextProcessor {
         return uniqueTrigrams;
     }
 
-    /**
-     * Parse search query into structured tokens
-     * @param {string} query - Search query to parse
-     * @returns {SearchTokens} Parsed search tokens
-     */
-    parseSearchQuery(query) {
-        if (!query || typeof query !== 'string') {
-            return {
-                terms: [],
-                phrases: [],
-                operators: [],
-                wildcards: [],
-                filters: {}
-            };
-        }
-        
-        const result = {
-            terms: [],
-            phrases: [],
-            operators: [],
-            wildcards: [],
-            filters: {}
-        };
-        
-        let processedQuery = query.trim();
-        
-        // Extract quoted phrases
-        const phraseMatches = processedQuery.match(/"([^"]+)"/g) || [];
-        phraseMatches.forEach(match => {
-            const phrase = match.slice(1, -1); // Remove quotes
-            result.phrases.push(phrase);
-            processedQuery = processedQuery.replace(match, '');
-        });
-        
-        // Extract operators
-        const operatorMatches = processedQuery.match(/\b(AND|OR|NOT)\b/gi) || [];
-        result.operators = operatorMatches.map(op => op.toUpperCase());
-        processedQuery = processedQuery.replace(/\b(AND|OR|NOT)\b/gi, '');
-        
-        // Extract filters (field:value format)
-        const filterMatches = processedQuery.match(/(\w+):(\w+)/g) || [];
-        filterMatches.forEach(match => {
-            const [field, value] = match.split(':');
-            result.filters[field] = value;
-            processedQuery = processedQuery.replace(match, '');
-        });
-        
-        // Extract wildcard terms
-        const wildcardMatches = processedQuery.match(/\w*[*?]\w*/g) || [];
-        result.wildcards = wildcardMatches;
-        processedQuery = processedQuery.replace(/\w*[*?]\w*/g, '');
-        
-        // Extract remaining terms
-        const remainingTerms = this.tokenize(processedQuery);
-        result.terms = remainingTerms.filter(term => 
-            !result.operators.includes(term.toUpperCase())
-        );
-        
-        return result;
-    }
-
     /**
      * Extract terms from text (alternative to analyzeText for simpler use cases)
      * @param {string} text - Text to process
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Text repair stage for Croatian Labor Law database
+ * Rejoins words broken by PDF extraction and removes line-break hyphenation
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from './TextProcessor.js';
+
+/**
+ * @typedef {Object} RepairChange
+ * @property {string} type - Change type (split-word, hyphenation, punctuation)
+ * @property {string} original - Original text fragment
+ * @property {string} replacement - Replacement text fragment
+ * @property {number} index - Position of the fragment in the original text
+ */
+
+/**
+ * @typedef {Object} RepairResult
+ * @property {string} text - Repaired text
+ * @property {RepairChange[]} changes - Every change applied to the text
+ */
+
+/**
+ * @typedef {Object} RepairReportEntry
+ * @property {string} articleId - ID of the repaired article
+ * @property {string} officialNumber - Official article number (e.g. "Članak 1")
+ * @property {string} field - Repaired field (title, content)
+ * @property {RepairChange[]} changes - Changes applied to the field
+ */
+
+/**
+ * TextRepair class for cleaning up text extracted from the official PDF
+ * Uses a Croatian word list together with the corpus' own word frequencies
+ */
+export class TextRepair {
+    /**
+     * Create a new TextRepair instance
+     * @param {Object} [options] - Repair options
+     * @param {string[]} [options.lexicon] - Known Croatian word forms
+     * @param {number} [options.minJoinedFrequency=2] - Minimum corpus frequency for a rejoined word outside the lexicon
+     * @param {number} [options.minJoinedLength=4] - Minimum length for a rejoined word outside the lexicon
+     * @param {number} [options.minWordFrequency=25] - Corpus frequency at which a fragment counts as a word when no lexicon is given
+     * @param {string[]} [options.fields] - Article fields to repair
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     */
+    constructor(options = {}) {
+        this.options = {
+            minJoinedFrequency: 2,
+            minJoinedLength: 4,
+            minWordFrequency: 25,
+            fields: ['title', 'content'],
+            ...options
+        };
+
+        this.textProcessor = options.textProcessor || new TextProcessor();
+        this.lexicon = new Set((options.lexicon || []).map(word => word.toLowerCase()));
+
+        // Single-letter Croatian words (prepositions and conjunctions)
+        this.singleLetterWords = new Set(['a', 'i', 'k', 'o', 's', 'u', 'v']);
+
+        // Corpus statistics, filled by buildFrequencies()
+        this.frequencies = new Map();
+    }
+
+    /**
+     * Count word frequencies over the corpus
+     * @param {string[]} texts - Corpus texts
+     * @returns {Map<string, number>} Word frequencies
+     */
+    buildFrequencies(texts) {
+        this.frequencies.clear();
+
+        texts.forEach(text => {
+            this.scanWords(text).forEach(({ word }) => {
+                const key = word.toLowerCase();
+                this.frequencies.set(key, (this.frequencies.get(key) || 0) + 1);
+            });
+        });
+
+        return this.frequencies;
+    }
+
+    /**
+     * Find all words in text together with their positions
+     * @param {string} text - Text to scan
+     * @returns {Array<{word: string, start: number, end: number}>} Words with positions
+     * @private
+     */
+    scanWords(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        const pattern = new RegExp(this.textProcessor.wordPattern.source, 'gu');
+        return Array.from(text.matchAll(pattern), match => ({
+            word: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Get corpus frequency of a word
+     * @param {string} word - Word to look up
+     * @returns {number} Frequency (0 if unknown)
+     */
+    getFrequency(word) {
+        return this.frequencies.get(word.toLowerCase()) || 0;
+    }
+
+    /**
+     * Check if a token is a real Croatian word
+     * @param {string} word - Token to check
+     * @returns {boolean} True if the token is a word on its own
+     */
+    isWord(word) {
+        const key = word.toLowerCase();
+
+        if (key.length === 1) {
+            return this.singleLetterWords.has(key);
+        }
+
+        if (this.lexicon.size > 0) {
+            return this.lexicon.has(key);
+        }
+
+        return this.getFrequency(key) >= this.options.minWordFrequency;
+    }
+
+    /**
+     * Check if a joined candidate is an acceptable word
+     * @param {string} candidate - Joined candidate
+     * @returns {boolean} True if the candidate can replace its fragments
+     */
+    isKnownJoin(candidate) {
+        const key = candidate.toLowerCase();
+
+        if (this.lexicon.has(key)) {
+            return true;
+        }
+
+        // Short fragments ("or", "odn") recur in damaged text, so corpus evidence alone is not enough
+        return key.length >= this.options.minJoinedLength &&
+            this.getFrequency(key) >= this.options.minJoinedFrequency;
+    }
+
+    /**
+     * Check if a token may take part in a join (letters only, no acronyms)
+     * @param {string} word - Token to check
+     * @returns {boolean} True if the token can be joined
+     * @private
+     */
+    isJoinable(word) {
+        if (!(/^\p{L}+$/u).test(word)) {
+            return false;
+        }
+
+        // Acronyms such as NN, EZ or EU are never fragments
+        return !(word.length > 1 && word === word.toUpperCase());
+    }
+
+    /**
+     * Repair a single text
+     * @param {string} text - Text to repair
+     * @returns {RepairResult} Repaired text with list of changes
+     */
+    repairText(text) {
+        if (!text || typeof text !== 'string') {
+            return { text: text || '', changes: [] };
+        }
+
+        const changes = [];
+        let repaired = this.repairHyphenation(text, changes);
+        repaired = this.repairSplitWords(repaired, changes);
+        repaired = this.repairPunctuationSpacing(repaired, changes);
+
+        return { text: repaired, changes };
+    }
+
+    /**
+     * Rejoin words hyphenated at a line break ("organiza- cije")
+     * @param {string} text - Text to repair
+     * @param {RepairChange[]} changes - Change log
+     * @returns {string} Repaired text
+     * @private
+     */
+    repairHyphenation(text, changes) {
+        return text.replace(/(\p{L}+)-\s+(\p{L}+)/gu, (match, head, tail, index) => {
+            const joined = head + tail;
+
+            if (!this.isKnownJoin(joined) || this.isKnownJoin(`${head}-${tail}`)) {
+                return match;
+            }
+
+            changes.push({ type: 'hyphenation', original: match, replacement: joined, index });
+            return joined;
+        });
+    }
+
+    /**
+     * Rejoin words broken by stray spaces ("skloplje n", "Vije ća")
+     * @param {string} text - Text to repair
+     * @param {RepairChange[]} changes - Change log
+     * @returns {string} Repaired text
+     * @private
+     */
+    repairSplitWords(text, changes) {
+        const words = this.scanWords(text);
+        let result = '';
+        let cursor = 0;
+        let i = 0;
+
+        while (i < words.length) {
+            const span = this.findJoinSpan(text, words, i);
+
+            if (span > 1) {
+                const first = words[i];
+                const last = words[i + span - 1];
+                const original = text.slice(first.start, last.end);
+                const replacement = words.slice(i, i + span).map(w => w.word).join('');
+
+                result += text.slice(cursor, first.start) + replacement;
+                cursor = last.end;
+                changes.push({ type: 'split-word', original, replacement, index: first.start });
+                i += span;
+            } else {
+                i++;
+            }
+        }
+
+        return result + text.slice(cursor);
+    }
+
+    /**
+     * Decide how many consecutive tokens starting at index form one broken word
+     * @param {string} text - Source text
+     * @param {Array} words - Scanned words
+     * @param {number} index - Index of the first token
+     * @returns {number} Number of tokens to join (1 means no join)
+     * @private
+     */
+    findJoinSpan(text, words, index) {
+        const parts = [];
+
+        for (let j = index; j < words.length && parts.length < 3; j++) {
+            if (j > index && !(/^ +$/).test(text.slice(words[j - 1].end, words[j].start))) {
+                break;
+            }
+            if (!this.isJoinable(words[j].word)) {
+                break;
+            }
+            parts.push(words[j].word);
+        }
+
+        if (parts.length < 2) {
+            return 1;
+        }
+
+        const valid = parts.map(part => this.isWord(part));
+
+        // Three fragments: the third one must be broken, otherwise a pair join is enough
+        if (parts.length === 3 && !valid[2] && (!valid[0] || !valid[1]) &&
+            this.isKnownJoin(parts.join('')) && !this.isKnownJoin(parts[0] + parts[1])) {
+            return 3;
+        }
+
+        if ((!valid[0] || !valid[1]) && this.isKnownJoin(parts[0] + parts[1])) {
+            return 2;
+        }
+
+        return 1;
+    }
+
+    /**
+     * Remove stray spaces in front of punctuation ("93/14 ,", "2023 .")
+     * @param {string} text - Text to repair
+     * @param {RepairChange[]} changes - Change log
+     * @returns {string} Repaired text
+     * @private
+     */
+    repairPunctuationSpacing(text, changes) {
+        return text.replace(/([\p{L}\p{N}.)]) +([,;:)]|\.(?=\s|$))/gu, (match, before, punctuation, index) => {
+            const replacement = before + punctuation;
+            changes.push({ type: 'punctuation', original: match, replacement, index });
+            return replacement;
+        });
+    }
+
+    /**
+     * Repair a list of articles
+     * @param {Object[]} articles - Article data objects
+     * @returns {{articles: Object[], report: RepairReportEntry[]}} Repaired copies and change report
+     */
+    repairArticles(articles) {
+        this.buildFrequencies(articles.map(article => article.content || ''));
+
+        const report = [];
+        const repaired = articles.map(article => {
+            const copy = { ...article };
+
+            this.options.fields.forEach(field => {
+                if (typeof article[field] !== 'string') {
+                    return;
+                }
+
+                const { text, changes } = this.repairText(article[field]);
+                if (changes.length > 0) {
+                    copy[field] = text;
+                    report.push({
+                        articleId: article.id,
+                        officialNumber: article.officialNumber || article.number || '',
+                        field,
+                        changes
+                    });
+                }
+            });
+
+            return copy;
+        });
+
+        return { articles: repaired, report };
+    }
+
+    /**
+     * Summarize a repair report
+     * @param {RepairReportEntry[]} report - Repair report
+     * @returns {Object} Totals per change type and number of touched articles
+     */
+    static summarize(report) {
+        const byType = {};
+        let total = 0;
+
+        report.forEach(entry => {
+            entry.changes.forEach(change => {
+                byType[change.type] = (byType[change.type] || 0) + 1;
+                total++;
+            });
+        });
+
+        return {
+            totalChanges: total,
+            articlesChanged: new Set(report.map(entry => entry.articleId)).size,
+            byType
+        };
+    }
+}
+
+export default TextRepair;
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Time limit extraction for Croatian Labor Law database
+ * Reads durations such as "u roku od 15 dana", "najmanje četiri tjedna" or "šest mjeseci" from the law text
+ * @version 2.2.0
+ */
+
+import { TextProcessor } from './TextProcessor.js';
+
+/**
+ * @typedef {Object} Timeframe
+ * @property {string} sourceId - Stavak or točka the duration is printed in
+ * @property {string} text - Duration as printed, with its bound ("u roku od 15 dana")
+ * @property {number} amount - Number of units
+ * @property {string} unit - Unit (minute, hour, day, working-day, week, month, year)
+ * @property {string} bound - How the amount limits the duration (minimum, maximum, exact)
+ * @property {string} kind - deadline for time limits ("u roku od", "najkasnije", a start event), period for other durations
+ * @property {string|null} trigger - Event the time limit runs from ("od dana dostave odluke")
+ * @property {string|null} per - Period the amount applies to (day, week, month, year), e.g. "40 sati tjedno"
+ * @property {number} start - Position of the text in the stavak or točka
+ * @property {number} end - End of the text in the stavak or točka
+ */
+
+// Croatian numerals, without diacritics as produced by TextProcessor.normalizeWord()
+const NUMBER_WORDS = {
+    jedan: 1, jedna: 1, jedno: 1, jednog: 1, jednoga: 1, jedne: 1, jednu: 1, jednom: 1,
+    dva: 2, dvije: 2, dvaju: 2, tri: 3, cetiri: 4, pet: 5, sest: 6, sedam: 7, osam: 8, devet: 9,
+    deset: 10, jedanaest: 11, dvanaest: 12, trinaest: 13, cetrnaest: 14, petnaest: 15,
+    sesnaest: 16, sedamnaest: 17, osamnaest: 18, devetnaest: 19,
+    dvadeset: 20, trideset: 30, cetrdeset: 40, pedeset: 50, sezdeset: 60,
+    sedamdeset: 70, osamdeset: 80, devedeset: 90, sto: 100, dvjesto: 200, tristo: 300
+};
+
+const UNIT_WORDS = {
+    minuta: 'minute', minute: 'minute', minutu: 'minute', minuti: 'minute',
+    sat: 'hour', sata: 'hour', sati: 'hour', satu: 'hour',
+    dan: 'day', dana: 'day', danu: 'day', dane: 'day', dani: 'day',
+    tjedan: 'week', tjedna: 'week', tjedana: 'week', tjednu: 'week', tjedne: 'week',
+    mjesec: 'month', mjeseca: 'month', mjeseci: 'month', mjesecu: 'month',
+    godina: 'year', godine: 'year', godinu: 'year', godini: 'year'
+};
+
+const PER_WORDS = {
+    dnevno: 'day',
+    tjedno: 'week',
+    mjesecno: 'month',
+    godisnje: 'year'
+};
+
+/**
+ * TimeframeExtractor class for the durations and time limits of the law
+ * Works on the words found by TextProcessor, so numerals written out in words are read as well
+ */
+export class TimeframeExtractor {
+    /**
+     * Create a new TimeframeExtractor instance
+     * @param {Object} [options] - Extractor options
+     * @param {TextProcessor} [options.textProcessor] - Shared text processor
+     * @param {number} [options.maxTriggerWords=12] - Longest start event kept after the duration
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxTriggerWords: 12,
+            ...options
+        };
+
+        this.textProcessor = options.textProcessor || new TextProcessor();
+
+        // Matched against the normalized text in front of and after the duration
+        this.patterns = {
+            minimum: /(?:najmanje|ne krace od|ne manje od|barem|minimalno)\s*$/,
+            maximum: /(?:najduze|najvise|ne duze od|ne vise od|maksimalno|u roku|rok\p{L}* od|do)\s*$/u,
+            deadline: /(?:rok\p{L}*(?: od)?|najkasnije(?: u roku od)?|u roku od najmanje|u roku od najvise)\s*$/u,
+            phrase: /(?:(?:najkasnije\s+)?u\s+roku\s+(?:od\s+)?(?:najmanje\s+|najviše\s+)?|(?:otkazni\s+)?rok\p{L}*\s+od\s+|najmanje\s+|ne\s+kraće\s+od\s+|ne\s+manje\s+od\s+|najduže\s+|najviše\s+|ne\s+duže\s+od\s+|ne\s+više\s+od\s+|do\s+)$/iu,
+            // Ages are not time limits ("navršenih 15 godina", "mlađe od 18 godina")
+            age: /(?:navrsen\p{L}*|mlad\p{L}* od|starij\p{L}* od|dob\p{L}* od|do navrsen\p{L}*)\s*$/u,
+            ageAfter: /^\s*(?:zivota|starosti)/,
+            trigger: /^\s*,?\s*((?:od|nakon|poslije|prije|po|računajući od)\s[^,;.:()]+)/iu,
+            per: /^\s*(dnevno|tjedno|mjesečno|godišnje)/iu
+        };
+    }
+
+    /**
+     * Find the durations of an article
+     * @param {Object} article - Article with paragraphs
+     * @returns {Timeframe[]} Durations in reading order
+     */
+    extract(article) {
+        const timeframes = [];
+
+        (article.paragraphs || []).forEach(paragraph => {
+            timeframes.push(...this.extractFromText(paragraph.text, paragraph.id));
+            (paragraph.points || []).forEach(point => {
+                timeframes.push(...this.extractFromText(point.text, point.id));
+            });
+        });
+
+        return timeframes;
+    }
+
+    /**
+     * Find the durations of one stavak or točka
+     * @param {string} text - Text of the stavak or točka
+     * @param {string} sourceId - Paragraph or point ID
+     * @returns {Timeframe[]} Durations
+     */
+    extractFromText(text, sourceId) {
+        const timeframes = [];
+        if (!text || typeof text !== 'string') {
+            return timeframes;
+        }
+
+        const words = this.scanWords(text);
+
+        for (let i = 0; i < words.length; i++) {
+            const number = this.readNumber(text, words, i);
+            if (!number) {
+                continue;
+            }
+
+            const duration = this.readUnit(text, words, number.next);
+            if (!duration) {
+                i = number.next - 1;
+                continue;
+            }
+
+            const start = words[i].start;
+            const end = words[duration.next - 1].end;
+            const before = this.textProcessor.normalizeText(text.slice(Math.max(0, start - 40), start));
+            const after = text.slice(end);
+
+            if (duration.unit === 'year' && (this.patterns.age.test(before) || this.patterns.ageAfter.test(this.textProcessor.normalizeText(after)))) {
+                i = duration.next - 1;
+                continue;
+            }
+
+            const phrase = text.slice(0, start).match(this.patterns.phrase);
+            const trigger = after.match(this.patterns.trigger);
+            const per = after.match(this.patterns.per);
+            const textStart = phrase ? start - phrase[0].length : start;
+
+            timeframes.push({
+                sourceId,
+                text: text.slice(textStart, end),
+                amount: number.value,
+                unit: duration.unit,
+                bound: this.readBound(before),
+                kind: this.patterns.deadline.test(before) || (trigger && !per) ? 'deadline' : 'period',
+                trigger: trigger ? this.trimTrigger(trigger[1]) : null,
+                per: per ? PER_WORDS[this.textProcessor.normalizeText(per[1])] : null,
+                start: textStart,
+                end
+            });
+
+            i = duration.next - 1;
+        }
+
+        return timeframes;
+    }
+
+    /**
+     * Find the words of a text with their positions
+     * @param {string} text - Text to scan
+     * @returns {Array<{word: string, start: number, end: number}>} Lower-case words without diacritics
+     * @private
+     */
+    scanWords(text) {
+        const pattern = new RegExp(this.textProcessor.wordPattern.source, 'gu');
+        return Array.from(text.matchAll(pattern), match => ({
+            word: this.textProcessor.normalizeWord(match[0].toLowerCase()),
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Check that two neighbouring words are separated by spaces only
+     * @param {string} text - Source text
+     * @param {Object} left - Left word
+     * @param {Object} right - Right word
+     * @returns {boolean} True if only spaces separate the words
+     * @private
+     */
+    isAdjacent(text, left, right) {
+        return (/^\s+$/).test(text.slice(left.end, right.start));
+    }
+
+    /**
+     * Read a number written in digits or in words ("15", "dvadeset četiri")
+     * @param {string} text - Source text
+     * @param {Object[]} words - Scanned words
+     * @param {number} index - Index of the first word
+     * @returns {{value: number, next: number}|null} Value and index of the following word
+     * @private
+     */
+    readNumber(text, words, index) {
+        if ((/^\d+$/).test(words[index].word)) {
+            return { value: parseInt(words[index].word, 10), next: index + 1 };
+        }
+
+        let value = 0;
+        let next = index;
+        while (next < words.length && NUMBER_WORDS[words[next].word] !== undefined &&
+            (next === index || this.isAdjacent(text, words[next - 1], words[next]))) {
+            value += NUMBER_WORDS[words[next].word];
+            next++;
+        }
+
+        return next > index ? { value, next } : null;
+    }
+
+    /**
+     * Read the unit after a number, allowing one adjective in between ("sedam radnih dana", "četiri uzastopna tjedna")
+     * @param {string} text - Source text
+     * @param {Object[]} words - Scanned words
+     * @param {number} index - Index of the word after the number
+     * @returns {{unit: string, next: number}|null} Unit and index of the following word
+     * @private
+     */
+    readUnit(text, words, index) {
+        for (let next = index; next < Math.min(index + 2, words.length); next++) {
+            if (!this.isAdjacent(text, words[next - 1], words[next])) {
+                return null;
+            }
+
+            const unit = UNIT_WORDS[words[next].word];
+            if (unit) {
+                const working = next > index && words[index].word.startsWith('radn');
+                return { unit: working && unit === 'day' ? 'working-day' : unit, next: next + 1 };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read whether the amount is a lower or an upper limit
+     * @param {string} before - Normalized text in front of the duration
+     * @returns {string} minimum, maximum or exact
+     * @private
+     */
+    readBound(before) {
+        if (this.patterns.minimum.test(before)) {
+            return 'minimum';
+        }
+
+        return this.patterns.maximum.test(before) ? 'maximum' : 'exact';
+    }
+
+    /**
+     * Shorten a start event to its first words
+     * @param {string} trigger - Text after the duration
+     * @returns {string} Start event
+     * @private
+     */
+    trimTrigger(trigger) {
+        const words = trigger.trim().split(/\s+/);
+        return words.slice(0, this.options.maxTriggerWords).join(' ');
+    }
+}
+
+export default TimeframeExtractor;
@@ -4,6 +4,8 @@
  * @version 2.2.0
  */
 
+import { QueryParser } from './QueryParser.js';
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - Whether the data is valid
@@ -73,6 +75,9 @@ export class Validator {
             ]
         };
         
+        // Parser of the search query language, for syntax errors
+        this.queryParser = new QueryParser();
+
         // Error codes and messages
         this.errorMessages = {
             REQUIRED_FIELD: 'Field is required',
@@ -124,11 +129,14 @@ export class Validator {
             type: 'object',
             properties: {
                 law: { type: 'string', required: true, minLength: 1, maxLength: 200 },
-                article: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+                article: { type: 'string', minLength: 1, maxLength: 50 },
                 description: { type: 'string', maxLength: 1000 },
-                url: { type: 'string', format: 'url', maxLength: 500 }
+                url: { type: 'string', format: 'url', maxLength: 500 },
+                celex: { type: 'string', minLength: 10, maxLength: 10 },
+                type: { type: 'string', maxLength: 20 },
+                relation: { type: 'string', maxLength: 20 }
             },
-            required: ['law', 'article']
+            required: ['law']
         };
     }
 
@@ -821,6 +829,19 @@ export class Validator {
             result.isValid = false;
         }
         
+        // Parentheses, quotes, operators and field filters must be complete
+        try {
+            this.queryParser.parse(query);
+        } catch (error) {
+            result.errors.push({
+                field: 'query',
+                code: 'SYNTAX_ERROR',
+                message: error.message,
+                value: query
+            });
+            result.isValid = false;
+        }
+
         // Check for potentially problematic patterns
         if (query.includes('*'.repeat(5))) {
             result.warnings.push({
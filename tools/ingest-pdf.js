@@ -0,0 +1,280 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * @fileoverview PDF ingestion command for the Croatian Labor Law dataset
+ * Rebuilds the article database from the text layer of the official consolidated PDF
+ *
+ * Usage:
+ *   node tools/ingest-pdf.js [--input <pdf>] [--output <json>] [--law <id>] [--dry-run]
+ *
+ * The law ID namespaces the article IDs once the dataset is loaded next to other laws
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { LawParser } from '../src/utils/LawParser.js';
+
+const DEFAULTS = {
+    input: 'src/data/pdfs/Zakon o radu 2023 B.pdf',
+    output: 'src/search-engine/data/croatian-labor-law.json',
+    law: 'zor',
+    dryRun: false
+};
+
+// Lines further apart than this multiple of the font height start a new block
+const BLOCK_SPACING = 1.3;
+
+// Body lines start exactly at the left margin, centered lines start further in
+const CENTERED_INDENT = 1.5;
+
+// Justified body lines are symmetric too, so the middle of a centered line must sit close to the page center
+const CENTER_TOLERANCE = 3;
+
+// Category per glava or subchapter title, first match wins
+const CATEGORY_RULES = [
+    { pattern: /RADNO VRIJEME|RADNOG VREMENA/, category: 'working-time' },
+    { pattern: /ODMORI|DOPUSTI/, category: 'leave' },
+    { pattern: /PLAĆA/, category: 'salary' },
+    { pattern: /PRESTANAK UGOVORA/, category: 'termination' },
+    { pattern: /ZASNIVANJE|PRAVILNICI|PRIVREMENO ZAPOŠLJAVANJE|PROBNI RAD|ZABRANA NATJECANJA|DIGITALNIH/, category: 'contracts' },
+    { pattern: /SUDJELOVANJE RADNIKA|KOLEKTIVNI/, category: 'collective' },
+    { pattern: /NADZOR|UPRAVNE MJERE/, category: 'supervision' },
+    { pattern: /PREKRŠAJNE/, category: 'violations' },
+    { pattern: /OPĆE ODREDBE|PRIJELAZNE/, category: 'general' }
+];
+
+// Article type from the wording of the provision, first match wins
+const ARTICLE_TYPE_RULES = [
+    { pattern: /u smislu ovoga zakona/, type: 'definitions' },
+    { pattern: /ne smije|zabranjen/, type: 'prohibitions' },
+    { pattern: /ima pravo|imaju pravo/, type: 'rights' },
+    { pattern: /dužan|dužni|obvezan|obvezni/, type: 'obligations' },
+    { pattern: /naknad|otpremnin/, type: 'compensation' },
+    { pattern: /u roku|rok od|najkasnije/, type: 'timeframes' },
+    { pattern: /postupak|postupku/, type: 'procedures' },
+    { pattern: /mora|uvjet/, type: 'requirements' }
+];
+
+// Search keywords used across the dataset
+const KEYWORD_RULES = [
+    { pattern: /ugovor/, keyword: 'ugovor' },
+    { pattern: /radnik/, keyword: 'radnik' },
+    { pattern: /otkaz/, keyword: 'otkaz' },
+    { pattern: /\brok/, keyword: 'rok' },
+    { pattern: /poslodav/, keyword: 'poslodavac' },
+    { pattern: /\bpravo\b/, keyword: 'pravo' },
+    { pattern: /obvez/, keyword: 'obveza' },
+    { pattern: /zaštit/, keyword: 'zaštita' },
+    { pattern: /plać/, keyword: 'plaća' },
+    { pattern: /postup/, keyword: 'postupak' },
+    { pattern: /radno vrijeme|radnog vremena/, keyword: 'radno vrijeme' },
+    { pattern: /odmor/, keyword: 'odmor' },
+    { pattern: /naknad/, keyword: 'naknada' }
+];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Resolved options
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    const valueFlags = {
+        '--input': 'input',
+        '--output': 'output',
+        '--law': 'law'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (valueFlags[argv[i]]) {
+            options[valueFlags[argv[i]]] = argv[++i];
+        } else if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read the text layer of a PDF as layout lines
+ * @param {string} path - PDF path
+ * @returns {Promise<Object[]>} Lines with text, centering and block start flags
+ */
+async function readLayoutLines(path) {
+    const data = new Uint8Array(await readFile(path));
+    const document = await pdfjs.getDocument({ data, verbosity: 0 }).promise;
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+        const page = await document.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        const lines = [];
+        let line = null;
+
+        textContent.items.forEach(item => {
+            if (!item.str) {
+                return;
+            }
+
+            const x = item.transform[4];
+            const y = item.transform[5];
+            if (!line || Math.abs(y - line.y) > 2) {
+                line = { text: '', x0: x, x1: x, y, height: item.height };
+                lines.push(line);
+            }
+
+            line.text += item.str;
+            line.x1 = Math.max(line.x1, x + item.width);
+        });
+
+        pages.push({ center: page.view[2] / 2, lines });
+    }
+
+    const margin = findLeftMargin(pages);
+
+    return pages.flatMap(({ center, lines }) => lines.map((line, index) => {
+        const gap = index > 0 ? lines[index - 1].y - line.y : -1;
+
+        return {
+            text: line.text,
+            centered: line.x0 - margin > CENTERED_INDENT && Math.abs((line.x0 + line.x1) / 2 - center) < CENTER_TOLERANCE,
+            // Page headers are printed out of reading order, so spacing above the first body line means nothing
+            newBlock: gap > 0 ? gap > line.height * BLOCK_SPACING : null
+        };
+    }));
+}
+
+/**
+ * Find the left text margin (the most common line start)
+ * @param {Object[]} pages - Pages with lines
+ * @returns {number} Left margin in PDF units
+ */
+function findLeftMargin(pages) {
+    const counts = new Map();
+
+    pages.forEach(({ lines }) => lines.forEach(line => {
+        const x = Math.round(line.x0);
+        counts.set(x, (counts.get(x) || 0) + 1);
+    }));
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Pick the first matching rule
+ * @param {Object[]} rules - Rules with a pattern
+ * @param {string} text - Text to test
+ * @returns {Object|undefined} Matching rule
+ */
+function matchRule(rules, text) {
+    return rules.find(rule => rule.pattern.test(text));
+}
+
+/**
+ * Convert a parsed article into a dataset record
+ * @param {Object} parsed - Article from LawParser
+ * @param {Object} metadata - Document metadata from the page headers
+ * @returns {Object} Record in the shape LegalDatabase.loadFromData consumes
+ */
+function toRecord(parsed, metadata) {
+    const text = parsed.content.toLowerCase();
+    const sectionTitle = [parsed.part, parsed.chapter]
+        .filter(Boolean)
+        .map(section => section.title)
+        .reverse()
+        .join(' ');
+
+    const category = (matchRule(CATEGORY_RULES, sectionTitle) || { category: 'other' }).category;
+    const articleType = (matchRule(ARTICLE_TYPE_RULES, text) || { type: 'general' }).type;
+    const excerpt = parsed.content.substring(0, 100);
+
+    const record = {
+        id: parsed.id,
+        // Articles printed without a heading fall back to their opening words
+        title: parsed.heading || excerpt,
+        content: parsed.content,
+        category,
+        number: parsed.officialNumber,
+        officialNumber: parsed.officialNumber,
+        articleType,
+        translations: {
+            english: `[TRANSLATION NEEDED] ${excerpt}...`,
+            spanish: `[TRADUCCIÓN NECESARIA] ${excerpt}...`
+        },
+        keywords: KEYWORD_RULES.filter(rule => rule.pattern.test(text)).map(rule => rule.keyword),
+        tags: [articleType, category],
+        lastUpdated: metadata.effectiveDate,
+        relevance: 0,
+        language: 'hr',
+        heading: parsed.heading,
+        part: parsed.part,
+        chapter: parsed.chapter,
+        amendments: parsed.amendments,
+        paragraphs: parsed.paragraphs
+    };
+
+    if (parsed.source) {
+        record.source = parsed.source;
+    }
+
+    if (parsed.effectiveDate) {
+        record.effectiveDate = parsed.effectiveDate;
+    }
+
+    return record;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const lines = await readLayoutLines(options.input);
+    const { metadata, articles } = new LawParser().parse(lines);
+    const records = articles.map(article => toRecord(article, metadata));
+
+    const paragraphCount = articles.reduce((sum, article) => sum + article.paragraphs.length, 0);
+    const pointCount = articles.reduce((sum, article) =>
+        sum + article.paragraphs.reduce((total, paragraph) => total + paragraph.points.length, 0), 0);
+
+    console.log(`Parsed ${articles.length} articles, ${paragraphCount} paragraphs and ${pointCount} points`);
+
+    if (options.dryRun) {
+        return;
+    }
+
+    // Carry over the aliases of the dataset being replaced, so the IDs they map keep resolving
+    const previous = await readFile(options.output, 'utf8').then(text => JSON.parse(text)).catch(() => null);
+
+    const output = {
+        metadata: {
+            version: '2.2.0',
+            lastUpdated: metadata.printedDate,
+            source: basename(options.input),
+            language: 'multi',
+            totalArticles: records.length,
+            description: 'Croatian Labor Law - Complete Articles Database extracted from official PDF',
+            law: {
+                id: options.law,
+                title: metadata.title,
+                abbreviation: options.law.toUpperCase()
+            },
+            consolidatedVersion: `NN ${metadata.amendments.join(', ')}`,
+            effectiveDate: metadata.effectiveDate
+        },
+        articles: records,
+        aliases: (previous && previous.aliases) || {}
+    };
+
+    await writeFile(options.output, JSON.stringify(output, null, 2));
+
+    console.log(`Dataset written to ${options.output}`);
+}
+
+main().catch(error => {
+    console.error('PDF ingestion failed:', error.message);
+    process.exit(1);
+});
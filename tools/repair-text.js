@@ -0,0 +1,120 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * @fileoverview Text repair command for the Croatian Labor Law dataset
+ * Rejoins words broken by PDF extraction and writes a review report
+ *
+ * Usage:
+ *   node tools/repair-text.js [--input <json>] [--output <json>] [--report <md>] [--dry-run]
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { TextRepair } from '../src/utils/TextRepair.js';
+
+const DEFAULTS = {
+    input: 'src/search-engine/data/croatian-labor-law.json',
+    output: 'src/search-engine/data/croatian-labor-law.json',
+    report: 'docs/TEXT_REPAIR_REPORT.md',
+    lexicon: 'src/data/croatian-lexicon.json',
+    dryRun: false
+};
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Resolved options
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    const valueFlags = {
+        '--input': 'input',
+        '--output': 'output',
+        '--report': 'report',
+        '--lexicon': 'lexicon'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (valueFlags[argv[i]]) {
+            options[valueFlags[argv[i]]] = argv[++i];
+        } else if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Render the repair report as Markdown for editorial review
+ * @param {Object[]} report - Report entries from TextRepair.repairArticles
+ * @param {Object} summary - Summary from TextRepair.summarize
+ * @param {string} source - Repaired dataset path
+ * @returns {string} Markdown report
+ */
+function renderReport(report, summary, source) {
+    const lines = [
+        '# Text Repair Report',
+        '',
+        `Source: \`${source}\``,
+        '',
+        `- Articles changed: ${summary.articlesChanged}`,
+        `- Total changes: ${summary.totalChanges}`
+    ];
+
+    Object.entries(summary.byType).forEach(([type, count]) => {
+        lines.push(`- ${type}: ${count}`);
+    });
+
+    report.forEach(entry => {
+        lines.push('', `## ${entry.articleId} (${entry.officialNumber}) - ${entry.field}`, '');
+        lines.push('| Type | Original | Replacement |', '|------|----------|-------------|');
+        entry.changes.forEach(change => {
+            lines.push(`| ${change.type} | \`${change.original}\` | \`${change.replacement}\` |`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const dataset = JSON.parse(await readFile(options.input, 'utf8'));
+    const lexicon = JSON.parse(await readFile(options.lexicon, 'utf8'));
+
+    const repair = new TextRepair({ lexicon: lexicon.words });
+    const { articles, report } = repair.repairArticles(dataset.articles);
+    const summary = TextRepair.summarize(report);
+
+    console.log(`Repaired ${summary.totalChanges} fragments in ${summary.articlesChanged} articles`, summary.byType);
+
+    if (options.dryRun) {
+        return;
+    }
+
+    const output = {
+        ...dataset,
+        metadata: {
+            ...dataset.metadata,
+            textRepair: {
+                date: new Date().toISOString().slice(0, 10),
+                changes: summary.totalChanges,
+                report: options.report
+            }
+        },
+        articles
+    };
+
+    await writeFile(options.output, JSON.stringify(output, null, 2));
+    await writeFile(options.report, renderReport(report, summary, options.input));
+
+    console.log(`Dataset written to ${options.output}, report written to ${options.report}`);
+}
+
+main().catch(error => {
+    console.error('Text repair failed:', error.message);
+    process.exit(1);
+});